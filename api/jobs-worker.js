@@ -0,0 +1,25 @@
+import { runJobWorker } from '../lib/jobs.js';
+import { jsonResponse, errorResponse } from '../lib/http.js';
+
+// Processes queued bulk-check jobs (see api/jobs.js), run every minute by the crons entry in vercel.json.
+// Elsewhere, run `domain-finder worker` (npm run worker) next to the server instead.
+// Each run stops taking new chunks after JOB_WORKER_TIME_MS, which leaves the rest of the function time limit
+// (maxDuration in vercel.json, 60 s) for the chunk in progress; unfinished jobs go back to the queue.
+// When CRON_SECRET is set, the request must carry it as a bearer token, as Vercel Cron does.
+const DEFAULT_TIME_BUDGET_MS = 30_000;
+
+export default async function handler(req) {
+    const secret = process.env.CRON_SECRET;
+    if (secret && req.headers.get('authorization') !== `Bearer ${secret}`) {
+        return errorResponse(401, 'unauthorized', 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    try {
+        const timeBudgetMs = Number(process.env.JOB_WORKER_TIME_MS) || DEFAULT_TIME_BUDGET_MS;
+        const { processed } = await runJobWorker({ timeBudgetMs });
+        return jsonResponse({ processed });
+    } catch (e) {
+        console.error('Job worker error:', e);
+        return errorResponse(500, 'internal_error', e.message || 'An internal server error occurred.');
+    }
+}
@@ -0,0 +1,189 @@
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { getJobStore, maxJobDomains, FINISHED_STATUSES } from '../lib/jobs.js';
+import { createResolver } from '../lib/resolvers.js';
+import { buildExportRows, EXPORT_FORMATS } from '../lib/export.js';
+import { scoreDomain } from '../lib/scoring.js';
+import { jsonResponse, errorResponse, ndjsonStream, readJsonBody, NDJSON_HEADERS } from '../lib/http.js';
+
+// Bulk check jobs, processed in the background by api/jobs-worker.js (Vercel Cron) or `domain-finder worker`.
+// The API and the worker must share the job store (JOB_STORE), so this suits a single server or a shared disk.
+//
+// Creating a job returns a token; only its hash is stored. Every other request must carry the token
+// (token in the query or the body), so a job id alone reveals nothing. Unknown ids and wrong tokens
+// both get a 404.
+//
+// POST { domains, force, resolver }               queue a job -> 202 { job, token }
+// POST { action: 'cancel' | 'resume' | 'delete', id, token }
+// GET ?id=&token=                                  { job }
+// GET ?id=&token=&results&offset=&limit=           { job, offset, results } (a page of results checked so far)
+// GET ?id=&token=&stream&offset=                   NDJSON: { type: 'result', index, result } lines as results arrive
+//                                                  and { type: 'job', job } whenever the job changes; the stream ends
+//                                                  when the job finishes or after STREAM_MAX_MS (reconnect with the next offset)
+// GET ?id=&token=&download=csv|json|xlsx|ndjson    the results file
+
+const MAX_PAGE_SIZE = 1000;
+const STREAM_POLL_MS = 1000;
+// Ends the stream before the function time limit (maxDuration in vercel.json, 30 s), so clients
+// get a clean end and reconnect with the next offset.
+const STREAM_MAX_MS = 25_000;
+const JOB_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+// The job as clients see it: without the owner token's hash.
+function publicJob(job) {
+    if (!job) return job;
+    const { ownerHash, ...rest } = job;
+    return rest;
+}
+
+// Loads the job when the id and token match; null otherwise, including for malformed input.
+async function findOwnedJob(store, id, token) {
+    if (typeof id !== 'string' || !JOB_ID_PATTERN.test(id) || typeof token !== 'string' || !token) return null;
+    const job = await store.get(id);
+    if (!job?.ownerHash) return null;
+    const expected = Buffer.from(job.ownerHash, 'hex');
+    const actual = Buffer.from(hashToken(token), 'hex');
+    return expected.length === actual.length && timingSafeEqual(expected, actual) ? job : null;
+}
+
+function readInteger(value, fallback, max) {
+    const number = Number(value);
+    return value !== null && Number.isInteger(number) && number >= 0 ? Math.min(number, max) : fallback;
+}
+
+function streamJobResults(store, id, offset) {
+    return ndjsonStream(async (emit, signal) => {
+        const stopAt = Date.now() + STREAM_MAX_MS;
+        let next = offset;
+        let lastUpdate;
+        while (!signal.aborted) {
+            // Read before the results: a job reported as completed then has all of its results on disk.
+            const job = await store.get(id);
+            const results = await store.readResults(id, { offset: next });
+            results.forEach((result, i) => emit({ type: 'result', index: next + i, result }));
+            next += results.length;
+            if (job?.updatedAt !== lastUpdate) {
+                emit({ type: 'job', job: publicJob(job) });
+                lastUpdate = job?.updatedAt;
+            }
+
+            if (!job || FINISHED_STATUSES.has(job.status) || Date.now() >= stopAt) return;
+            await new Promise(resolve => setTimeout(resolve, STREAM_POLL_MS));
+        }
+    });
+}
+
+async function downloadResults(store, job, format) {
+    const results = await store.readResults(job.id);
+    const filename = `domain-check-${job.id.slice(0, 8)}`;
+    if (format === 'ndjson') {
+        return new Response(results.map(result => JSON.stringify(result) + '\n').join(''), {
+            status: 200,
+            headers: { ...NDJSON_HEADERS, 'Content-Disposition': `attachment; filename="${filename}.ndjson"` },
+        });
+    }
+    const { extension, type, serialize } = EXPORT_FORMATS[format];
+    return new Response(serialize(buildExportRows(results, { scoreFor: (domain) => scoreDomain(domain) })), {
+        status: 200,
+        headers: { 'Content-Type': type, 'Content-Disposition': `attachment; filename="${filename}.${extension}"` },
+    });
+}
+
+async function handleGet(req, store) {
+    const params = new URL(req.url).searchParams;
+    const id = params.get('id');
+    if (id === null) {
+        return errorResponse(400, 'invalid_request', 'A job id is required.');
+    }
+
+    const job = await findOwnedJob(store, id, params.get('token'));
+    if (!job) {
+        return errorResponse(404, 'not_found', 'No job with this id.');
+    }
+
+    const offset = readInteger(params.get('offset'), 0, job.total);
+    if (params.has('stream')) {
+        return new Response(streamJobResults(store, id, offset), { status: 200, headers: NDJSON_HEADERS });
+    }
+    if (params.has('results')) {
+        const limit = readInteger(params.get('limit'), MAX_PAGE_SIZE, MAX_PAGE_SIZE);
+        return jsonResponse({ job: publicJob(job), offset, results: await store.readResults(id, { offset, limit }) });
+    }
+    if (params.has('download')) {
+        const format = params.get('download');
+        if (format !== 'ndjson' && !Object.hasOwn(EXPORT_FORMATS, format)) {
+            return errorResponse(400, 'invalid_request', `download must be one of: ndjson, ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+        }
+        return downloadResults(store, job, format);
+    }
+    return jsonResponse({ job: publicJob(job) });
+}
+
+async function handlePost(req, store) {
+    const { body, error } = await readJsonBody(req);
+    if (error) {
+        return errorResponse(400, 'invalid_request', error);
+    }
+
+    const action = body.action ?? 'create';
+    if (action === 'create') {
+        const maxDomains = maxJobDomains();
+        if (!Array.isArray(body.domains) || body.domains.length === 0) {
+            return errorResponse(400, 'invalid_request', 'Domains array is required.');
+        }
+        if (body.domains.length > maxDomains) {
+            return errorResponse(413, 'quota_exceeded', `A job can check at most ${maxDomains} domains; got ${body.domains.length}.`);
+        }
+        if (body.resolver) {
+            try {
+                createResolver(body.resolver);
+            } catch (err) {
+                return errorResponse(400, 'invalid_request', err.message);
+            }
+        }
+        const token = randomBytes(24).toString('base64url');
+        let job;
+        try {
+            job = await store.create(body.domains.map(String), { force: body.force, resolver: body.resolver, ownerHash: hashToken(token) });
+        } catch (err) {
+            // Typically a read-only file system (serverless) with the default file store. A writable local
+            // path doesn't help there: each instance has its own, which the worker never sees.
+            if (err.code === 'EROFS' || err.code === 'EACCES' || err.code === 'EPERM') {
+                console.error('Job store is not writable:', err);
+                return errorResponse(503, 'jobs_unavailable', 'Background jobs are not available on this deployment: the job store is not writable.');
+            }
+            throw err;
+        }
+        return jsonResponse({ job: publicJob(job), token }, 202);
+    }
+
+    if (!['cancel', 'resume', 'delete'].includes(action)) {
+        return errorResponse(400, 'invalid_request', 'Invalid action specified.');
+    }
+    const job = await findOwnedJob(store, body.id, body.token);
+    if (!job) {
+        return errorResponse(404, 'not_found', 'No job with this id.');
+    }
+    if (action === 'delete') {
+        await store.remove(job.id);
+        return jsonResponse({ deleted: job.id });
+    }
+    return jsonResponse({ job: publicJob(action === 'cancel' ? await store.cancel(job.id) : await store.resume(job.id)) });
+}
+
+export default async function handler(req) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return errorResponse(405, 'method_not_allowed', 'Method not allowed', { Allow: 'GET, POST' });
+    }
+
+    try {
+        const store = await getJobStore();
+        return req.method === 'GET' ? await handleGet(req, store) : await handlePost(req, store);
+    } catch (e) {
+        console.error('Jobs API Error:', e);
+        return errorResponse(500, 'internal_error', e.message || 'An internal server error occurred.');
+    }
+}
@@ -0,0 +1,5 @@
+// POST /api/v1/generate; the request and response schemas are in lib/openapi.js.
+
+import { createApiRoute } from '../../lib/api.js';
+
+export default createApiRoute('generate');
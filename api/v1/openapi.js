@@ -0,0 +1,11 @@
+// GET /api/v1/openapi (also /api/v1/openapi.json): the API description. Public, so tools can fetch it without a key.
+
+import { buildOpenApiDocument } from '../../lib/openapi.js';
+import { jsonResponse, errorResponse } from '../../lib/http.js';
+
+export default async function handler(req) {
+    if (req.method !== 'GET') {
+        return errorResponse(405, 'method_not_allowed', 'Method not allowed', { Allow: 'GET' });
+    }
+    return jsonResponse(buildOpenApiDocument(), 200, { 'Cache-Control': 'public, max-age=3600' });
+}
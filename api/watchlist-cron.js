@@ -0,0 +1,20 @@
+import { getWatchlistStore, runWatchlistChecks } from '../lib/watchlist.js';
+import { createNotifier } from '../lib/notify.js';
+import { jsonResponse, errorResponse } from '../lib/http.js';
+
+// Scheduled re-check of the watchlist (see the crons entry in vercel.json).
+// When CRON_SECRET is set, the request must carry it as a bearer token, as Vercel Cron does.
+export default async function handler(req) {
+    const secret = process.env.CRON_SECRET;
+    if (secret && req.headers.get('authorization') !== `Bearer ${secret}`) {
+        return errorResponse(401, 'unauthorized', 'Unauthorized', { 'WWW-Authenticate': 'Bearer' });
+    }
+
+    try {
+        const { checked, changes } = await runWatchlistChecks({ store: getWatchlistStore(), notifier: createNotifier() });
+        return jsonResponse({ checked, changes });
+    } catch (e) {
+        console.error('Watchlist cron error:', e);
+        return errorResponse(500, 'internal_error', e.message || 'An internal server error occurred.');
+    }
+}
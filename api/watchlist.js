@@ -0,0 +1,82 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { getWatchlistStore, runWatchlistChecks } from '../lib/watchlist.js';
+import { createNotifier } from '../lib/notify.js';
+import { readApiKey, findApiClient } from '../lib/api-keys.js';
+import { jsonResponse, errorResponse, readJsonBody } from '../lib/http.js';
+
+const MAX_DOMAINS_PER_REQUEST = 100;
+
+function sameSecret(a, b) {
+    const hash = (value) => createHash('sha256').update(value).digest();
+    return timingSafeEqual(hash(a), hash(b));
+}
+
+// POST requests carry CRON_SECRET or an /api/v1 key (API_CLIENT_KEYS) as "Authorization: Bearer <key>"
+// or "X-API-Key: <key>". Without either configured, the list can only be read.
+function isAuthorized(req) {
+    const key = readApiKey(req);
+    if (!key) return false;
+    const secret = process.env.CRON_SECRET;
+    return Boolean((secret && sameSecret(key, secret)) || findApiClient(key));
+}
+
+// GET lists the watchlist; POST { action: 'add' | 'remove' | 'check', domains, note } changes it.
+// "check" re-checks every domain and sends notifications, so it needs the key too.
+export default async function handler(req) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return errorResponse(405, 'method_not_allowed', 'Method not allowed', { Allow: 'GET, POST' });
+    }
+
+    try {
+        const store = getWatchlistStore();
+
+        if (req.method === 'GET') {
+            return jsonResponse({ domains: await store.list() });
+        }
+        if (!isAuthorized(req)) {
+            return errorResponse(401, 'unauthorized', 'Changing the watchlist requires CRON_SECRET or an API key.', { 'WWW-Authenticate': 'Bearer' });
+        }
+
+        const { body, error } = await readJsonBody(req);
+        if (error) {
+            return errorResponse(400, 'invalid_request', error);
+        }
+        const { action, domains, note } = body;
+        if (note !== undefined && note !== null && typeof note !== 'string') {
+            return errorResponse(400, 'invalid_request', 'note must be a string.');
+        }
+
+        switch (action) {
+            case 'add':
+            case 'remove': {
+                if (!Array.isArray(domains) || domains.length === 0 || domains.length > MAX_DOMAINS_PER_REQUEST) {
+                    return errorResponse(400, 'invalid_request', `A "domains" array with 1 to ${MAX_DOMAINS_PER_REQUEST} entries is required.`);
+                }
+                if (!domains.every(domain => typeof domain === 'string')) {
+                    return errorResponse(400, 'invalid_request', 'Every domain must be a string.');
+                }
+                const result = action === 'add'
+                    ? await store.add(domains, { note })
+                    : await store.remove(domains);
+                return jsonResponse(result);
+            }
+
+            case 'check': {
+                // "Check now" in the UI runs the same re-check as the scheduled job
+                const { checked, changes } = await runWatchlistChecks({ store, notifier: createNotifier() });
+                return jsonResponse({ checked, changes, domains: await store.list() });
+            }
+
+            default:
+                return errorResponse(400, 'invalid_request', 'Invalid action specified.');
+        }
+    } catch (e) {
+        // Typically a read-only file system (serverless) with the default file backend; see WATCHLIST_BACKEND.
+        if (e.code === 'EROFS' || e.code === 'EACCES' || e.code === 'EPERM') {
+            console.error('Watchlist store is not writable:', e);
+            return errorResponse(503, 'watchlist_unavailable', 'The watchlist is not available: its store is not writable. Set WATCHLIST_BACKEND=redis.');
+        }
+        console.error('Watchlist API Error:', e);
+        return errorResponse(500, 'internal_error', e.message || 'An internal server error occurred.');
+    }
+}
@@ -3,6 +3,21 @@
  * SPDX-License-Identifier: Apache-2.0
 */
 
+import { validateDomain, toUnicode } from './lib/domain.js';
+import { scoreDomain } from './lib/scoring.js';
+import { TLD_PRESETS, getTldPreset, expandNames } from './lib/expand.js';
+import { parseTlds } from './lib/generate.js';
+import { mergeCategories } from './lib/categorize.js';
+import { batchAiDomains } from './lib/prompt.js';
+import { VARIATION_LABELS } from './lib/variations.js';
+import { buildExportRows, EXPORT_FORMATS } from './lib/export.js';
+import { REGISTRARS, formatBulkBatches, registrarUrl } from './lib/registrars.js';
+import { parseDelimited, detectDelimiter, detectHeader, guessDomainColumn, columnNames, buildImportEntries, extractDomainsFromText } from './lib/import.js';
+import { readXlsx } from './lib/xlsx.js';
+import { createCategorySection } from './lib/results-view.js';
+import { diffRuns, summarizeDiff, createProjectFile, parseProjectFile, normalizeProjectName } from './lib/projects.js';
+import { listProjects, getProject, saveProject, deleteProject, listRuns, saveRun, deleteRun } from './lib/project-store.js';
+
 // --- DOM Element Selectors ---
 const domainInput = document.getElementById('domain-input');
 const analyzeButton = document.getElementById('analyze-button');
@@ -19,65 +34,169 @@ const progressBar = document.getElementById('progress-bar');
 // Mode switching elements
 const modeCheckerButton = document.getElementById('mode-checker');
 const modeGeneratorButton = document.getElementById('mode-generator');
+const modeVariationsButton = document.getElementById('mode-variations');
 const checkerPanel = document.getElementById('checker-panel');
 const generatorPanel = document.getElementById('generator-panel');
+const variationsPanel = document.getElementById('variations-panel');
+const seedInput = document.getElementById('seed-input');
+const variationTldsInput = document.getElementById('variation-tlds-input');
+const variationLimitInput = document.getElementById('variation-limit-input');
 const keywordsInput = document.getElementById('keywords-input');
 const tldsInput = document.getElementById('tlds-input');
+const countInput = document.getElementById('count-input');
+const maxLengthInput = document.getElementById('max-length-input');
+const excludeInput = document.getElementById('exclude-input');
+const allowHyphensInput = document.getElementById('allow-hyphens-input');
+const allowNumbersInput = document.getElementById('allow-numbers-input');
+const loopInput = document.getElementById('loop-input');
+const loopTargetInput = document.getElementById('loop-target-input');
+const loopRoundsInput = document.getElementById('loop-rounds-input');
 const csvUploadInput = document.getElementById('csv-upload');
+const aiNotice = document.getElementById('ai-notice');
+const expandInput = document.getElementById('expand-input');
+const tldPresetSelect = document.getElementById('tld-preset-select');
+const customTldsInput = document.getElementById('custom-tlds-input');
+const resultsToolbar = document.getElementById('results-toolbar');
+const sortSelect = document.getElementById('sort-select');
+const minScoreInput = document.getElementById('min-score-input');
+const aiBrandabilityInput = document.getElementById('ai-brandability-input');
+const allResultsSection = document.getElementById('all-results');
+const statusFilters = document.getElementById('status-filters');
+const resultsSearchInput = document.getElementById('results-search-input');
+const resultsTable = document.getElementById('results-table');
+const recheckButton = document.getElementById('recheck-button');
+const importDialog = document.getElementById('import-dialog');
+const importFileName = document.getElementById('import-file-name');
+const importDelimiterSelect = document.getElementById('import-delimiter-select');
+const importHeaderInput = document.getElementById('import-header-input');
+const importColumnSelect = document.getElementById('import-column-select');
+const importPreview = document.getElementById('import-preview');
+const importStatus = document.getElementById('import-status');
+const metadataColumnHeader = document.getElementById('metadata-column-header');
+const diffNotice = document.getElementById('diff-notice');
+const jobNotice = document.getElementById('job-notice');
+const historyButton = document.getElementById('history-button');
+const historySidebar = document.getElementById('history-sidebar');
+const historyCloseButton = document.getElementById('history-close-button');
+const projectSelect = document.getElementById('project-select');
+const newProjectButton = document.getElementById('new-project-button');
+const deleteProjectButton = document.getElementById('delete-project-button');
+const exportProjectButton = document.getElementById('export-project-button');
+const projectFileInput = document.getElementById('project-file-input');
+const runList = document.getElementById('run-list');
+const historyEmpty = document.getElementById('history-empty');
+const watchlistButton = document.getElementById('watchlist-button');
+const watchlistView = document.getElementById('watchlist-view');
+const watchlistCheckButton = document.getElementById('watchlist-check-button');
+const watchlistForm = document.getElementById('watchlist-form');
+const watchlistInput = document.getElementById('watchlist-input');
+const watchlistStatus = document.getElementById('watchlist-status');
+const watchlistTable = document.getElementById('watchlist-table');
+const watchlistEmpty = document.getElementById('watchlist-empty');
 
 // --- State ---
 let currentMode = 'checker';
 let isProcessingCancelled = false;
+let checkAbortController = null;
+let resultsState = null; // { categorizedDomains, allAvailableDomains, keywords } for re-sorting and filtering
+let brandabilityScores = new Map();
+let matrixCells = new Map(); // lookup domain -> <td> while the expansion matrix is shown
+let checkedResults = []; // every result of the current run, including unavailable and invalid ones, for exports
+let selectedDomains = new Set(); // available domains ticked for the registrar hand-off
+let hiddenStatuses = new Set(); // statuses filtered out of the full results table
+let tableSort = { key: 'domain', direction: 1 };
+let importState = null; // { text, rows } while the import dialog is open; text is null for .xlsx files
+let importMetadata = new Map(); // domain -> the other columns of the row it was imported from
+let currentProjectId = null;
+let currentRunId = null; // the saved run the results on screen belong to
+let watchedDomains = new Set(); // domains on the server-side watchlist, for the Watch buttons
+
+// The project to reopen on the next visit.
+const LAST_PROJECT_KEY = 'domain-finder:project';
+
+// Every status a check can report, in the order the summary and table use.
+const RESULT_STATUSES = ['Available', 'Unavailable', 'Timeout', 'Error', 'Invalid', 'Inconclusive'];
+const STATUS_COLORS = { Available: 'var(--success-color)', Timeout: 'var(--error-color)', Error: 'var(--error-color)', Invalid: 'var(--error-color)' };
+// Statuses that say nothing about the domain itself, so checking again may help.
+const RETRYABLE_STATUSES = new Set(['Timeout', 'Error']);
 
 // --- API Configuration ---
 const BACKEND_API_URL = '/api/orchestrator';
+const WATCHLIST_API_URL = '/api/watchlist';
+// Key for changing the watchlist (CRON_SECRET or an API key), asked for on the first change.
+const WATCHLIST_KEY_STORAGE = 'domain-finder:watchlist-key';
+const JOBS_API_URL = '/api/jobs';
+// Lists longer than this are checked by a server-side job instead of streaming from this tab.
+const BULK_JOB_THRESHOLD = 1000;
+// The most domains the backend checks per request (MAX_CHECK_DOMAINS in lib/api.js).
+const CHECK_BATCH_SIZE = 1000;
+// The bulk job this browser is following, so a reload picks it up again.
+const ACTIVE_JOB_KEY = 'domain-finder:job';
+const FINISHED_JOB_STATUSES = new Set(['completed', 'cancelled', 'failed']);
 
 // --- Mode Switching Logic ---
+const MODES = {
+    checker: { button: modeCheckerButton, panel: checkerPanel, label: 'Find Available Domains' },
+    generator: { button: modeGeneratorButton, panel: generatorPanel, label: 'Generate & Check Domains' },
+    variations: { button: modeVariationsButton, panel: variationsPanel, label: 'Find Available Variations' },
+};
+
 function setMode(mode) {
     currentMode = mode;
-    if (mode === 'checker') {
-        modeCheckerButton.classList.add('active');
-        modeCheckerButton.setAttribute('aria-pressed', 'true');
-        modeGeneratorButton.classList.remove('active');
-        modeGeneratorButton.setAttribute('aria-pressed', 'false');
-        checkerPanel.style.display = 'block';
-        generatorPanel.style.display = 'none';
-        buttonText.textContent = 'Find Available Domains';
-    } else {
-        modeGeneratorButton.classList.add('active');
-        modeGeneratorButton.setAttribute('aria-pressed', 'true');
-        modeCheckerButton.classList.remove('active');
-        modeCheckerButton.setAttribute('aria-pressed', 'false');
-        generatorPanel.style.display = 'block';
-        checkerPanel.style.display = 'none';
-        buttonText.textContent = 'Generate & Check Domains';
+    for (const [name, { button, panel }] of Object.entries(MODES)) {
+        const active = name === mode;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+        panel.style.display = active ? 'block' : 'none';
     }
+    buttonText.textContent = MODES[mode].label;
 }
 
 modeCheckerButton.addEventListener('click', () => setMode('checker'));
 modeGeneratorButton.addEventListener('click', () => setMode('generator'));
+modeVariationsButton.addEventListener('click', () => setMode('variations'));
 
 
 // --- Core Functions ---
 
 /**
- * Normalizes a domain string by cleaning it up.
+ * Validates raw entries with the shared domain rules.
+ * Returns the unique ASCII lookup names plus an "Invalid" result for every rejected entry.
  */
-function normalizeDomain(domainStr) {
-    let cleanedDomain = domainStr.trim().toLowerCase();
-    cleanedDomain = cleanedDomain.replace(/^(https?:\/\/)?(www\.)?/, '');
-    cleanedDomain = cleanedDomain.split('/')[0];
-    return cleanedDomain;
+function partitionDomains(entries) {
+    const valid = new Set();
+    const invalid = [];
+    for (const entry of entries) {
+        const validation = validateDomain(entry);
+        if (validation.valid) {
+            valid.add(validation.domain);
+        } else {
+            invalid.push({ domain: entry, availability: 'Invalid', error: validation.error });
+        }
+    }
+    return { valid: [...valid], invalid };
 }
 
 /**
- * Checks a batch of domains by calling the backend service.
+ * Shows a notice when the backend answered an AI request with its offline mock provider.
  */
-async function checkDomainsWithBackend(domains) {
+function noteAiProvider(response) {
+    const provider = response.headers.get('X-AI-Provider');
+    if (provider) {
+        aiNotice.hidden = provider !== 'mock';
+    }
+}
+
+/**
+ * POSTs to the backend and feeds each line of its NDJSON response to onValue as it arrives.
+ * Throws on HTTP errors and on error lines emitted mid-stream.
+ */
+async function streamFromBackend(payload, signal, onValue) {
     const response = await fetch(BACKEND_API_URL, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ mode: 'check', domains }),
+        body: JSON.stringify(payload),
+        signal,
     });
 
     if (!response.ok) {
@@ -85,44 +204,189 @@ async function checkDomainsWithBackend(domains) {
         console.error('Backend API error:', response.status, errorText);
         throw new Error(`Backend API failed with status ${response.status}: ${errorText}`);
     }
-    
-    return response.json();
+    noteAiProvider(response);
+    await readNdjson(response, onValue);
+}
+
+/**
+ * Feeds each line of an NDJSON response to onValue as it arrives; throws on { type: 'error' } lines.
+ */
+async function readNdjson(response, onValue) {
+    // One JSON value per line, possibly split across chunks.
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    const handleLine = (line) => {
+        const value = JSON.parse(line);
+        if (value.type === 'error') throw new Error(value.error);
+        onValue(value);
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffered += decoder.decode(value, { stream: true });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.filter(Boolean).forEach(handleLine);
+    }
+    if (buffered.trim()) {
+        handleLine(buffered);
+    }
+}
+
+/**
+ * Calls a JSON API route: GET without a payload, POST with one. Throws with the server's error message.
+ */
+async function requestJson(url, payload, headers = {}) {
+    const response = await fetch(url, payload ? {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload),
+    } : undefined);
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        const error = new Error(data.error || `Request failed with status ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    return data;
+}
+
+/**
+ * Checks domains through the backend's streaming check endpoint.
+ * Calls onResult for each result as soon as the server reports it. Lists longer than the backend
+ * takes per request (e.g. a big expansion matrix or re-check) go in several requests, one after another.
+ */
+async function streamDomainChecks(domains, signal, onResult, { force = false } = {}) {
+    for (let i = 0; i < domains.length; i += CHECK_BATCH_SIZE) {
+        await streamFromBackend({ mode: 'check', domains: domains.slice(i, i + CHECK_BATCH_SIZE), stream: true, force }, signal, onResult);
+    }
+}
+
+/**
+ * Runs the backend's generate-until-available loop, forwarding its round/result/done events to onEvent.
+ */
+function streamGenerateLoop(keywords, tlds, options, budget, signal, onEvent) {
+    return streamFromBackend({ mode: 'generate-loop', keywords, tlds, ...options, ...budget }, signal, onEvent);
 }
 
 
+/**
+ * Reads the generator's optional settings from the form.
+ */
+function getGeneratorOptions() {
+    const options = {
+        count: Number(countInput.value) || undefined,
+        styles: [...document.querySelectorAll('input[name="style"]:checked')].map(input => input.value),
+        exclude: excludeInput.value,
+        allowHyphens: allowHyphensInput.checked,
+        allowNumbers: allowNumbersInput.checked,
+    };
+    if (maxLengthInput.value) {
+        options.maxLength = Number(maxLengthInput.value);
+    }
+    return options;
+}
+
 /**
  * Uses the backend to generate domain ideas via Gemini.
  */
-async function generateDomainIdeas(keywords, tlds) {
+async function generateDomainIdeas(keywords, tlds, options = {}) {
     const response = await fetch(BACKEND_API_URL, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ mode: 'generate', keywords, tlds }),
+        body: JSON.stringify({ mode: 'generate', keywords, tlds, ...options }),
     });
 
     if (!response.ok) {
-        alert("Could not generate domain ideas. Please check the console for details.");
-        console.error('Backend error generating domains:', await response.text());
+        const errorText = await response.text();
+        let message = "Could not generate domain ideas. Please check the console for details.";
+        // 400 explains what's wrong with the input; 503 means no AI provider is configured.
+        if (response.status === 400 || response.status === 503) {
+            try {
+                message = JSON.parse(errorText).error || message;
+            } catch {}
+        }
+        alert(message);
+        console.error('Backend error generating domains:', errorText);
         return [];
     }
+    noteAiProvider(response);
     const data = await response.json();
     return data.domains;
 }
 
+/**
+ * Asks the backend for rule-based variations of a seed name.
+ * Returns [{ domain, kind, hack? }], or an empty list after alerting the user on error.
+ */
+async function fetchVariations(seed, tlds, options = {}) {
+    const response = await fetch(BACKEND_API_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode: 'variations', seed, tlds, ...options }),
+    });
+
+    if (!response.ok) {
+        const errorText = await response.text();
+        let message = "Could not build variations. Please check the console for details.";
+        if (response.status === 400) {
+            try {
+                message = JSON.parse(errorText).error || message;
+            } catch {}
+        }
+        alert(message);
+        console.error('Backend error building variations:', errorText);
+        return [];
+    }
+    const data = await response.json();
+    return data.variations;
+}
+
+function getVariationOptions() {
+    return {
+        kinds: [...document.querySelectorAll('input[name="variation-kind"]:checked')].map(input => input.value),
+        limit: Number(variationLimitInput.value) || undefined,
+    };
+}
+
+/**
+ * Groups available variations by how they were derived, in place of AI categorization.
+ */
+function groupVariations(variations, availableDomains) {
+    const available = new Set(availableDomains);
+    const groups = new Map();
+    for (const variation of variations) {
+        if (!available.has(variation.domain)) continue;
+        const category = VARIATION_LABELS[variation.kind] || 'Other';
+        if (!groups.has(category)) groups.set(category, []);
+        const domains = groups.get(category);
+        if (!domains.includes(variation.domain)) domains.push(variation.domain);
+    }
+    return [...groups].map(([category, domains]) => ({ category, domains }));
+}
+
 /**
  * Uses the backend to categorize a list of available domains via Gemini.
+ * Long lists go in several requests, since the backend takes at most MAX_AI_DOMAINS at once.
  */
 async function categorizeDomains(domains) {
     if (domains.length === 0) return [];
     
     try {
-        const response = await fetch(BACKEND_API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ mode: 'categorize', domains }),
-        });
-        if (!response.ok) throw new Error("Categorization failed");
-        return response.json();
+        const batches = [];
+        for (const batch of batchAiDomains(domains)) {
+            const response = await fetch(BACKEND_API_URL, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mode: 'categorize', domains: batch }),
+            });
+            if (!response.ok) throw new Error("Categorization failed");
+            noteAiProvider(response);
+            batches.push(await response.json());
+        }
+        return mergeCategories(batches);
     } catch(error) {
         console.error("Error categorizing domains:", error);
         // Fallback: return a single "Uncategorized" bucket
@@ -131,23 +395,193 @@ async function categorizeDomains(domains) {
 }
 
 
+/**
+ * Uses the backend to rate the brandability of available domains (0-100) via the AI provider.
+ */
+async function fetchBrandabilityScores(domains) {
+    const scores = new Map();
+    for (const batch of batchAiDomains(domains)) {
+        const response = await fetch(BACKEND_API_URL, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mode: 'brandability', domains: batch }),
+        });
+        if (!response.ok) throw new Error(`Brandability scoring failed with status ${response.status}`);
+        noteAiProvider(response);
+        const data = await response.json();
+        data.scores.forEach(entry => scores.set(entry.domain, entry.score));
+    }
+    return scores;
+}
+
+
 // --- Main Event Handlers ---
+
+/**
+ * Streams checks for the given domains, updating progress, summary and the live list as results arrive.
+ * Returns the available domains found before completion or cancellation.
+ */
+async function checkAndReport(domains, invalidResults, { onResult, showLive = true, force = false } = {}) {
+    if (invalidResults.length > 0) {
+        console.warn('Skipped invalid entries:', invalidResults.map(r => `${r.domain}: ${r.error}`));
+    }
+
+    // Invalid entries never reach the backend, so they count as checked up front.
+    let checkedCount = invalidResults.length;
+    const totalDomains = domains.length + invalidResults.length;
+    const allAvailableDomains = [];
+    checkedResults.push(...invalidResults);
+
+    updateSummary(checkedCount, totalDomains);
+    updateProgress(checkedCount, totalDomains);
+
+    checkAbortController = new AbortController();
+    try {
+        if (domains.length > 0) {
+            await streamDomainChecks(domains, checkAbortController.signal, (result) => {
+                if (result.availability === 'Available') {
+                    allAvailableDomains.push(result.domain);
+                    if (showLive) appendLiveResult(result.domain);
+                }
+                onResult?.(result);
+                checkedResults.push(result);
+                checkedCount++;
+                updateProgress(checkedCount, totalDomains);
+                updateSummary(checkedCount, totalDomains);
+            }, { force });
+        }
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+        console.log("Processing cancelled by user.");
+    } finally {
+        checkAbortController = null;
+    }
+    return allAvailableDomains;
+}
+
+/**
+ * Runs the generate-until-available loop, showing per-round progress.
+ * Returns the available domains found before the loop finished or was cancelled.
+ */
+async function generateUntilAvailable(keywords, tlds) {
+    const budget = {
+        target: Number(loopTargetInput.value) || undefined,
+        maxRounds: Number(loopRoundsInput.value) || undefined,
+    };
+    const target = budget.target || 10;
+    let checkedCount = 0;
+    let generatedCount = 0;
+    let currentRound = { round: 0, maxRounds: budget.maxRounds || 5 };
+    let allAvailableDomains = [];
+
+    const render = () => {
+        updateSummary(checkedCount, generatedCount, currentRound);
+        updateProgress(allAvailableDomains.length, target);
+    };
+    render();
+
+    checkAbortController = new AbortController();
+    try {
+        await streamGenerateLoop(keywords, tlds, getGeneratorOptions(), budget, checkAbortController.signal, (event) => {
+            if (event.type === 'round') {
+                currentRound = { round: event.round, maxRounds: event.maxRounds };
+                generatedCount += event.generated.length;
+                buttonText.textContent = `Round ${event.round}...`;
+            } else if (event.type === 'result') {
+                checkedResults.push(event.result);
+                checkedCount++;
+                if (event.result.availability === 'Available' && allAvailableDomains.length < target) {
+                    allAvailableDomains.push(event.result.domain);
+                    appendLiveResult(event.result.domain);
+                }
+            } else if (event.type === 'done') {
+                allAvailableDomains = event.available;
+            }
+            render();
+        });
+    } catch (error) {
+        // Cancelled: keep what was found so far.
+        if (error.name !== 'AbortError') throw error;
+    } finally {
+        checkAbortController = null;
+    }
+    return allAvailableDomains;
+}
+
 analyzeButton.addEventListener('click', async () => {
     setLoading(true);
     clearResults();
     isProcessingCancelled = false;
 
     let domains = [];
+    let invalidResults = [];
+    let allAvailableDomains = [];
 
     try {
-        if (currentMode === 'checker') {
+        if (currentMode === 'checker' && expandInput.checked) {
+            // Expansion mode: bare names × selected TLDs, shown as a matrix instead of categories
+            const names = domainInput.value.split('\n').map(d => d.trim()).filter(Boolean);
+            const tlds = getExpansionTlds();
+            if (names.length === 0 || tlds.length === 0) {
+                alert("Please enter at least one name and choose the TLDs to check.");
+                setLoading(false);
+                return;
+            }
+            const pairs = expandNames(names, tlds);
+            ({ valid: domains, invalid: invalidResults } = partitionDomains(pairs.map(pair => pair.domain)));
+            renderMatrix(pairs);
+            invalidResults.forEach(updateMatrixCell);
+            const available = await checkAndReport(domains, invalidResults, { onResult: updateMatrixCell, showLive: false });
+            finishMatrix(available);
+            return;
+        } else if (currentMode === 'checker') {
             const rawDomains = domainInput.value.split('\n').map(d => d.trim()).filter(Boolean);
-            domains = [...new Set(rawDomains.map(normalizeDomain))];
-            if (domains.length === 0) {
+            ({ valid: domains, invalid: invalidResults } = partitionDomains(rawDomains));
+            if (domains.length === 0 && invalidResults.length === 0) {
                 alert("Please paste a list of domains.");
                 setLoading(false);
                 return;
             }
+            if (domains.length > BULK_JOB_THRESHOLD) {
+                // Big lists run as a server-side job, so closing the tab doesn't lose the work.
+                let created = null;
+                try {
+                    created = await requestJson(JOBS_API_URL, { domains });
+                } catch (error) {
+                    // e.g. no writable job store on this deployment: check from this tab in batches instead.
+                    console.warn('Could not start a background job; checking from this tab instead:', error);
+                    jobNotice.textContent = `Background jobs are unavailable (${error.message}). Checking from this tab instead; keep it open until the check finishes.`;
+                    jobNotice.hidden = false;
+                }
+                if (created) {
+                    const jobRef = { id: created.job.id, token: created.token };
+                    localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(jobRef));
+                    await showBulkJob(jobRef, invalidResults);
+                    return;
+                }
+            }
+            allAvailableDomains = await checkAndReport(domains, invalidResults);
+        } else if (currentMode === 'variations') {
+            const seed = seedInput.value.trim();
+            if (!seed) {
+                alert("Please enter a name or domain to build variations of.");
+                setLoading(false);
+                return;
+            }
+            buttonText.textContent = "Building variations...";
+            const variations = await fetchVariations(seed, variationTldsInput.value, getVariationOptions());
+            ({ valid: domains, invalid: invalidResults } = partitionDomains(variations.map(variation => variation.domain)));
+            if (domains.length === 0) {
+                setLoading(false);
+                return;
+            }
+            allAvailableDomains = await checkAndReport(domains, invalidResults);
+            if (allAvailableDomains.length > 0) {
+                // Variations are already grouped by how they were made, so no AI categorization here.
+                await displayResults(groupVariations(variations, allAvailableDomains), allAvailableDomains);
+                displayActions();
+                return;
+            }
         } else { // Generator mode
             const keywords = keywordsInput.value;
             const tlds = tldsInput.value;
@@ -157,47 +591,28 @@ analyzeButton.addEventListener('click', async () => {
                 return;
             }
             buttonText.textContent = "Generating...";
-            domains = await generateDomainIdeas(keywords, tlds);
-            if (domains.length === 0) {
-                setLoading(false);
-                return;
+            if (loopInput.checked) {
+                allAvailableDomains = await generateUntilAvailable(keywords, tlds);
+            } else {
+                ({ valid: domains, invalid: invalidResults } = partitionDomains(await generateDomainIdeas(keywords, tlds, getGeneratorOptions())));
+                if (domains.length === 0) {
+                    setLoading(false);
+                    return;
+                }
+                allAvailableDomains = await checkAndReport(domains, invalidResults);
             }
         }
         
-        const BATCH_SIZE = 50;
-        let checkedCount = 0;
-        const totalDomains = domains.length;
-        const allAvailableDomains = [];
-        
-        updateSummary(checkedCount, totalDomains, allAvailableDomains);
-
-        for (let i = 0; i < totalDomains; i += BATCH_SIZE) {
-            if (isProcessingCancelled) {
-                console.log("Processing cancelled by user.");
-                break;
-            }
-
-            const batch = domains.slice(i, i + BATCH_SIZE);
-            const results = await checkDomainsWithBackend(batch);
-            
-            const availableInBatch = results
-                .filter(r => r.availability === 'Available')
-                .map(r => r.domain);
-            allAvailableDomains.push(...availableInBatch);
-
-            checkedCount += batch.length;
-            updateProgress(checkedCount, totalDomains);
-            updateSummary(checkedCount, totalDomains, allAvailableDomains);
-        }
-        
         if (allAvailableDomains.length > 0) {
             buttonText.textContent = "Categorizing...";
             const categorized = await categorizeDomains(allAvailableDomains);
-            displayResults(categorized, allAvailableDomains);
+            await displayResults(categorized, allAvailableDomains);
             displayActions();
         } else {
              placeholderResults.innerHTML = isProcessingCancelled ? '<p>Process cancelled.</p>' : '<p>No available domains found.</p>';
              placeholderResults.style.display = 'block';
+             // The unavailable and invalid results can still be exported.
+             if (checkedResults.length > 0) displayActions();
         }
 
     } catch (error) {
@@ -206,116 +621,1218 @@ analyzeButton.addEventListener('click', async () => {
         placeholderResults.style.display = 'block';
     } finally {
         setLoading(false);
+        renderResultsTable();
+        await saveCurrentRun();
+    }
+});
+
+/**
+ * Sends the Timeout/Error domains back through the checker, skipping the cache, and merges the new results in.
+ */
+async function recheckFailed() {
+    const failed = checkedResults.filter(result => RETRYABLE_STATUSES.has(result.availability)).map(result => result.domain);
+    if (failed.length === 0) return;
+
+    setLoading(true);
+    isProcessingCancelled = false;
+    const newlyAvailable = [];
+    let rechecked = 0;
+    checkAbortController = new AbortController();
+    try {
+        await streamDomainChecks(failed, checkAbortController.signal, (result) => {
+            const index = checkedResults.findIndex(previous => previous.domain === result.domain);
+            if (index >= 0) checkedResults[index] = result;
+            else checkedResults.push(result);
+            if (result.availability === 'Available') newlyAvailable.push(result.domain);
+            updateMatrixCell(result);
+            rechecked++;
+            updateProgress(rechecked, failed.length);
+            updateSummary(checkedResults.length, checkedResults.length);
+        }, { force: true });
+    } catch (error) {
+        if (error.name !== 'AbortError') {
+            console.error("Error re-checking domains:", error);
+            alert("Re-checking failed. Please check the console for details.");
+        }
+    } finally {
+        checkAbortController = null;
+        setLoading(false);
+    }
+
+    if (newlyAvailable.length > 0 && matrixCells.size === 0) {
+        // Matrix cells were updated in place; the category view gets the newcomers as their own group.
+        const category = { category: 'Re-checked', domains: newlyAvailable };
+        if (resultsState) {
+            resultsState.categorizedDomains.push(category);
+            resultsState.allAvailableDomains.push(...newlyAvailable);
+        } else {
+            await displayResults([category], newlyAvailable);
+        }
+    }
+    // Also restores the Copy All button the summary refresh removed.
+    renderResults();
+    displayActions();
+    renderResultsTable();
+    await saveCurrentRun({ update: true });
+}
+
+recheckButton.addEventListener('click', () => recheckFailed());
+
+resultsSearchInput.addEventListener('input', () => renderResultsTable());
+
+resultsTable.querySelectorAll('[data-sort]').forEach(button => {
+    button.addEventListener('click', () => {
+        const key = button.dataset.sort;
+        tableSort = { key, direction: tableSort.key === key ? -tableSort.direction : 1 };
+        renderResultsTable();
+    });
+});
+
+
+expandInput.addEventListener('change', () => {
+    tldPresetSelect.disabled = !expandInput.checked;
+    customTldsInput.disabled = !expandInput.checked;
+    domainInput.placeholder = expandInput.checked
+        ? 'Paste names here, one per line (e.g. acmeflow)...'
+        : 'Paste domains here, one per line...';
+});
+
+tldPresetSelect.addEventListener('change', () => {
+    customTldsInput.hidden = tldPresetSelect.value !== 'custom';
+});
+
+sortSelect.addEventListener('change', () => renderResults());
+minScoreInput.addEventListener('input', () => renderResults());
+
+aiBrandabilityInput.addEventListener('change', async () => {
+    if (!resultsState) return;
+    if (aiBrandabilityInput.checked) {
+        await loadBrandabilityScores();
     }
+    renderResults();
 });
 
 
 cancelButton.addEventListener('click', () => {
     isProcessingCancelled = true;
+    // Abort the in-flight check so the server stops streaming results.
+    checkAbortController?.abort();
+});
+
+
+/**
+ * Puts imported domains into the checker, in their Unicode form, and remembers their metadata for results and exports.
+ */
+function applyImportedDomains(domains, metadata = new Map()) {
+    if (domains.length === 0) {
+        alert('No domains found.');
+        return;
+    }
+    importMetadata = metadata;
+    domainInput.value = [...new Set(domains.map(toUnicode))].join('\n');
+    setMode('checker');
+}
+
+/**
+ * Imports a .csv, .tsv, .txt or .xlsx file. Tables with more than one column open the mapping dialog;
+ * anything else is treated as text and every domain, URL or email address in it is extracted.
+ */
+async function importFile(file) {
+    try {
+        if (/\.xlsx$/i.test(file.name)) {
+            openImportDialog(file.name, { text: null, rows: await readXlsx(await file.arrayBuffer()) });
+            return;
+        }
+        const text = await file.text();
+        if (!text.trim()) {
+            alert('File is empty or could not be read.');
+            return;
+        }
+        const delimiter = detectDelimiter(text);
+        const rows = parseDelimited(text, delimiter);
+        if (rows.some(row => row.length > 1)) {
+            importDelimiterSelect.value = delimiter;
+            openImportDialog(file.name, { text, rows });
+        } else {
+            applyImportedDomains(extractDomainsFromText(text));
+        }
+    } catch (error) {
+        console.error('Error importing file:', error);
+        alert(`Error reading the file: ${error.message}`);
+    }
+}
+
+function openImportDialog(fileName, state) {
+    importState = state;
+    importFileName.textContent = fileName;
+    importDelimiterSelect.disabled = state.text === null;
+    importHeaderInput.checked = detectHeader(state.rows);
+    refreshImportColumns();
+    importDialog.showModal();
+}
+
+// Re-reads the column list after the delimiter or header setting changed, keeping the best guess selected.
+function refreshImportColumns() {
+    const { rows } = importState;
+    const names = columnNames(rows, importHeaderInput.checked);
+    importColumnSelect.replaceChildren(...names.map((name, index) => new Option(name, String(index))));
+    importColumnSelect.value = String(guessDomainColumn(rows, importHeaderInput.checked));
+    renderImportPreview();
+}
+
+function renderImportPreview() {
+    const { rows } = importState;
+    const hasHeader = importHeaderInput.checked;
+    const domainColumn = Number(importColumnSelect.value);
+    const names = columnNames(rows, hasHeader);
+
+    const head = document.createElement('thead');
+    const headRow = head.insertRow();
+    names.forEach((name, index) => {
+        const th = document.createElement('th');
+        th.textContent = name;
+        if (index === domainColumn) th.className = 'import-domain-column';
+        headRow.appendChild(th);
+    });
+    const body = document.createElement('tbody');
+    rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + 5).forEach(row => {
+        const tr = body.insertRow();
+        names.forEach((_, index) => {
+            const td = tr.insertCell();
+            td.textContent = row[index] ?? '';
+            if (index === domainColumn) td.className = 'import-domain-column';
+        });
+    });
+    importPreview.replaceChildren(head, body);
+
+    const { entries, skipped } = buildImportEntries(rows, { hasHeader, domainColumn });
+    importStatus.textContent = `${entries.length} domain${entries.length === 1 ? '' : 's'} found` + (skipped > 0 ? `, ${skipped} row${skipped === 1 ? '' : 's'} without a domain skipped.` : '.');
+}
+
+importDelimiterSelect.addEventListener('change', () => {
+    importState.rows = parseDelimited(importState.text, importDelimiterSelect.value);
+    importHeaderInput.checked = detectHeader(importState.rows);
+    refreshImportColumns();
 });
+importHeaderInput.addEventListener('change', () => refreshImportColumns());
+importColumnSelect.addEventListener('change', () => renderImportPreview());
 
+importDialog.addEventListener('close', () => {
+    if (importDialog.returnValue === 'import' && importState) {
+        const { entries } = buildImportEntries(importState.rows, {
+            hasHeader: importHeaderInput.checked,
+            domainColumn: Number(importColumnSelect.value),
+        });
+        applyImportedDomains(entries.map(entry => entry.domain), new Map(entries.map(entry => [entry.domain, entry.metadata])));
+    }
+    importState = null;
+});
 
 csvUploadInput.addEventListener('change', (event) => {
     const input = event.target;
     if (!input.files || input.files.length === 0) {
         return;
     }
+    importFile(input.files[0]);
+    input.value = ''; // Allow re-uploading the same file
+});
+
+domainInput.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    domainInput.classList.add('drag-over');
+});
+domainInput.addEventListener('dragleave', () => domainInput.classList.remove('drag-over'));
+domainInput.addEventListener('drop', (event) => {
+    event.preventDefault();
+    domainInput.classList.remove('drag-over');
+    const file = event.dataTransfer.files[0];
+    if (file) {
+        importFile(file);
+    } else {
+        applyImportedDomains(extractDomainsFromText(event.dataTransfer.getData('text/plain')));
+    }
+});
+
+// One domain, URL or email per line is already understood; pasted prose or comma-separated lists are
+// reduced to the domains they mention, one per line.
+domainInput.addEventListener('paste', (event) => {
+    const text = event.clipboardData.getData('text/plain');
+    if (!text.split(/\r?\n/).some(line => line.trim().split(/[\s,;]+/).length > 1)) return;
+    const domains = extractDomainsFromText(text);
+    if (domains.length === 0) return;
+    event.preventDefault();
+    domainInput.setRangeText(domains.map(toUnicode).join('\n'), domainInput.selectionStart, domainInput.selectionEnd, 'end');
+});
+
+
+// --- Projects & History ---
+
+function getInputSnapshot() {
+    return {
+        mode: currentMode,
+        domains: domainInput.value,
+        expand: expandInput.checked,
+        expandTlds: expandInput.checked ? getExpansionTlds() : [],
+        tldPreset: tldPresetSelect.value,
+        customTlds: customTldsInput.value,
+        keywords: keywordsInput.value,
+        tlds: tldsInput.value,
+        seed: seedInput.value,
+        variationTlds: variationTldsInput.value,
+    };
+}
+
+function restoreInput(input) {
+    domainInput.value = input.domains ?? '';
+    expandInput.checked = Boolean(input.expand);
+    tldPresetSelect.value = input.tldPreset || tldPresetSelect.value;
+    customTldsInput.value = input.customTlds ?? '';
+    keywordsInput.value = input.keywords ?? '';
+    tldsInput.value = input.tlds ?? tldsInput.value;
+    seedInput.value = input.seed ?? '';
+    variationTldsInput.value = input.variationTlds ?? '';
+    expandInput.dispatchEvent(new Event('change'));
+    tldPresetSelect.dispatchEvent(new Event('change'));
+    setMode(input.mode || 'checker');
+}
+
+async function ensureProject() {
+    if (currentProjectId) return currentProjectId;
+    const now = new Date().toISOString();
+    const project = { id: crypto.randomUUID(), name: 'My project', createdAt: now, updatedAt: now };
+    await saveProject(project);
+    selectProject(project.id);
+    return project.id;
+}
+
+function selectProject(id) {
+    currentProjectId = id;
+    if (id) localStorage.setItem(LAST_PROJECT_KEY, id);
+    else localStorage.removeItem(LAST_PROJECT_KEY);
+}
+
+/**
+ * Saves what's on screen as a run of the current project. update: true overwrites the run
+ * the results came from (e.g. after re-checking failed domains) instead of adding a new one.
+ */
+async function saveCurrentRun({ update = false } = {}) {
+    if (checkedResults.length === 0 || isProcessingCancelled) return;
+    try {
+        const projectId = await ensureProject();
+        const run = {
+            id: update && currentRunId ? currentRunId : crypto.randomUUID(),
+            projectId,
+            createdAt: new Date().toISOString(),
+            mode: currentMode,
+            input: getInputSnapshot(),
+            results: checkedResults,
+            categories: resultsState?.categorizedDomains ?? [],
+            metadata: Object.fromEntries(importMetadata),
+        };
+        await saveRun(run);
+        currentRunId = run.id;
+        const project = await getProject(projectId);
+        if (project) await saveProject({ ...project, updatedAt: run.createdAt });
+        await refreshHistory();
+    } catch (error) {
+        // Storage can be unavailable (e.g. private browsing); the results on screen are unaffected.
+        console.warn('Could not save this run:', error);
+    }
+}
 
-    const file = input.files[0];
-    const reader = new FileReader();
+/**
+ * Shows a saved run as if it had just finished: inputs, summary, results view, table and actions.
+ */
+async function showRun(run) {
+    clearResults();
+    restoreInput(run.input || {});
+    checkedResults = [...run.results];
+    importMetadata = new Map(Object.entries(run.metadata || {}));
+    currentRunId = run.id;
 
-    reader.onload = (e) => {
-        const text = e.target?.result;
-        if (!text || typeof text !== 'string') {
-             alert('File is empty or could not be read.');
-             return;
+    updateSummary(checkedResults.length, checkedResults.length);
+    const available = checkedResults.filter(result => result.availability === 'Available').map(result => result.domain);
+    if (run.input?.expand) {
+        const names = (run.input.domains || '').split('\n').map(d => d.trim()).filter(Boolean);
+        renderMatrix(expandNames(names, run.input.expandTlds || []));
+        checkedResults.forEach(updateMatrixCell);
+        finishMatrix(available);
+    } else if (available.length > 0) {
+        const categories = run.categories.length > 0 ? run.categories : [{ category: 'Available Domains', domains: available }];
+        await displayResults(categories, available);
+        displayActions();
+    } else {
+        placeholderResults.innerHTML = '<p>No available domains in this run.</p>';
+        displayActions();
+    }
+    renderResultsTable();
+}
+
+/**
+ * Re-checks every domain of a saved run, skipping the cache, and reports what changed since.
+ * The fresh results are saved as a new run.
+ */
+async function recheckRun(run) {
+    await showRun(run);
+    const invalidResults = run.results.filter(result => result.availability === 'Invalid');
+    const domains = run.results.filter(result => result.availability !== 'Invalid').map(result => result.domain);
+    const matrixMode = matrixCells.size > 0;
+
+    setLoading(true);
+    isProcessingCancelled = false;
+    checkedResults = [];
+    let available = [];
+    try {
+        available = await checkAndReport(domains, invalidResults, { force: true, showLive: !matrixMode, onResult: updateMatrixCell });
+    } catch (error) {
+        console.error("Error re-checking run:", error);
+        alert("Re-checking failed. Please check the console for details.");
+        return;
+    } finally {
+        setLoading(false);
+    }
+
+    if (isProcessingCancelled) {
+        diffNotice.textContent = 'Re-check cancelled.';
+        diffNotice.hidden = false;
+        renderResultsTable();
+        return;
+    }
+
+    const diff = diffRuns(run.results, checkedResults);
+    diffNotice.textContent = summarizeDiff(diff) + '.';
+    diffNotice.hidden = false;
+
+    if (matrixMode) {
+        finishMatrix(available);
+    } else if (available.length > 0) {
+        // Keep the run's categories for domains that are still available; anything new gets its own group.
+        const stillAvailable = new Set(available);
+        const categories = run.categories
+            .map(cat => ({ category: cat.category, domains: cat.domains.filter(domain => stillAvailable.has(domain)) }))
+            .filter(cat => cat.domains.length > 0);
+        const categorized = new Set(categories.flatMap(cat => cat.domains));
+        const newlyAvailable = available.filter(domain => !categorized.has(domain));
+        if (newlyAvailable.length > 0) categories.unshift({ category: 'Newly available', domains: newlyAvailable });
+        await displayResults(categories, available);
+        displayActions();
+    } else {
+        placeholderResults.innerHTML = '<p>No available domains found.</p>';
+        placeholderResults.style.display = 'block';
+        displayActions();
+    }
+    renderResultsTable();
+    currentRunId = null;
+    await saveCurrentRun();
+}
+
+function describeRun(run) {
+    const available = run.results.filter(result => result.availability === 'Available').length;
+    const label = { checker: run.input?.expand ? 'TLD expansion' : 'Checker', generator: 'Generator', variations: 'Variations' }[run.mode] || run.mode;
+    return { title: `${new Date(run.createdAt).toLocaleString()} · ${label}`, detail: `${run.results.length} checked · ${available} available` };
+}
+
+async function refreshHistory() {
+    const projects = await listProjects();
+    if (currentProjectId && !projects.some(project => project.id === currentProjectId)) {
+        selectProject(projects[0]?.id ?? null);
+    }
+    projectSelect.replaceChildren(...projects.map(project => new Option(project.name, project.id)));
+    projectSelect.value = currentProjectId ?? '';
+    deleteProjectButton.disabled = !currentProjectId;
+    exportProjectButton.disabled = !currentProjectId;
+
+    const runs = currentProjectId ? await listRuns(currentProjectId) : [];
+    historyEmpty.hidden = runs.length > 0;
+    runList.replaceChildren(...runs.map(run => {
+        const { title, detail } = describeRun(run);
+        const item = document.createElement('li');
+        item.className = run.id === currentRunId ? 'run-item current' : 'run-item';
+        const text = document.createElement('div');
+        const titleLine = document.createElement('strong');
+        titleLine.textContent = title;
+        const detailLine = document.createElement('span');
+        detailLine.textContent = detail;
+        text.append(titleLine, detailLine);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'run-actions';
+        const actions = [
+            ['Open', () => showRun(run)],
+            ['Re-check', () => recheckRun(run)],
+            ['Delete', async () => {
+                if (!confirm('Delete this run from the history?')) return;
+                await deleteRun(run.id);
+                if (currentRunId === run.id) currentRunId = null;
+                await refreshHistory();
+            }],
+        ];
+        actions.forEach(([label, action]) => {
+            const button = document.createElement('button');
+            button.className = 'export-button';
+            button.textContent = label;
+            button.addEventListener('click', async () => {
+                try {
+                    await action();
+                } catch (error) {
+                    console.error(`Error running "${label}" on a saved run:`, error);
+                }
+            });
+            buttons.appendChild(button);
+        });
+        item.append(text, buttons);
+        return item;
+    }));
+}
+
+historyButton.addEventListener('click', () => {
+    historySidebar.hidden = !historySidebar.hidden;
+    if (!historySidebar.hidden) refreshHistory().catch(error => console.warn('Could not load history:', error));
+});
+historyCloseButton.addEventListener('click', () => historySidebar.hidden = true);
+
+projectSelect.addEventListener('change', () => {
+    selectProject(projectSelect.value);
+    currentRunId = null;
+    refreshHistory();
+});
+
+newProjectButton.addEventListener('click', async () => {
+    const name = normalizeProjectName(prompt('Project name'));
+    if (!name) return;
+    const now = new Date().toISOString();
+    const project = { id: crypto.randomUUID(), name, createdAt: now, updatedAt: now };
+    await saveProject(project);
+    selectProject(project.id);
+    currentRunId = null;
+    await refreshHistory();
+});
+
+deleteProjectButton.addEventListener('click', async () => {
+    if (!currentProjectId || !confirm(`Delete "${projectSelect.selectedOptions[0]?.text}" and all of its runs?`)) return;
+    await deleteProject(currentProjectId);
+    selectProject(null);
+    currentRunId = null;
+    await refreshHistory();
+});
+
+exportProjectButton.addEventListener('click', async () => {
+    const project = await getProject(currentProjectId);
+    if (!project) return;
+    const fileName = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+    downloadFile(`${fileName}.domain-project.json`, createProjectFile(project, await listRuns(project.id)), 'application/json');
+});
+
+projectFileInput.addEventListener('change', async () => {
+    const file = projectFileInput.files?.[0];
+    projectFileInput.value = '';
+    if (!file) return;
+    const { project, runs, error } = parseProjectFile(await file.text());
+    if (error) {
+        alert(error);
+        return;
+    }
+    await saveProject(project);
+    for (const run of runs) await saveRun(run);
+    selectProject(project.id);
+    currentRunId = null;
+    await refreshHistory();
+});
+
+// --- Bulk Jobs ---
+// A job is referred to as { id, token }: the job API only answers to the token it handed out on creation.
+
+function jobUrl(jobRef, query) {
+    return `${JOBS_API_URL}?id=${encodeURIComponent(jobRef.id)}&token=${encodeURIComponent(jobRef.token)}${query}`;
+}
+
+/**
+ * Streams a bulk job's results into the page until the job finishes, reconnecting whenever the server
+ * ends the stream early. Cancelling stops the job on the server. Returns the job as last reported.
+ */
+async function followJob(jobRef, invalidResults = []) {
+    checkedResults.push(...invalidResults);
+    let job = null;
+    let offset = 0;
+
+    checkAbortController = new AbortController();
+    try {
+        do {
+            const response = await fetch(jobUrl(jobRef, `&stream&offset=${offset}`), { signal: checkAbortController.signal });
+            if (!response.ok) {
+                throw new Error(`Job API failed with status ${response.status}: ${await response.text()}`);
+            }
+            await readNdjson(response, (event) => {
+                if (event.type === 'result') {
+                    checkedResults.push(event.result);
+                    offset = event.index + 1;
+                    if (event.result.availability === 'Available') appendLiveResult(event.result.domain);
+                } else if (event.type === 'job') {
+                    job = event.job;
+                    showJobNotice(jobRef, job);
+                }
+                const total = (job?.total ?? offset) + invalidResults.length;
+                updateProgress(checkedResults.length, total);
+                updateSummary(checkedResults.length, total);
+            });
+        } while (job && !FINISHED_JOB_STATUSES.has(job.status));
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+        ({ job } = await requestJson(JOBS_API_URL, { action: 'cancel', ...jobRef }));
+    } finally {
+        checkAbortController = null;
+    }
+    return job;
+}
+
+function showJobNotice(jobRef, job) {
+    const parts = [];
+    const text = document.createElement('span');
+    text.textContent = job
+        ? `Background job ${job.status}: ${job.processed} of ${job.total} domains checked${job.error ? ` (${job.error})` : ''}.`
+        : 'The background job no longer exists.';
+    parts.push(text);
+
+    if (job && (job.status === 'cancelled' || job.status === 'failed')) {
+        const resumeButton = document.createElement('button');
+        resumeButton.className = 'export-button';
+        resumeButton.textContent = 'Resume';
+        resumeButton.addEventListener('click', async () => {
+            try {
+                await requestJson(JOBS_API_URL, { action: 'resume', ...jobRef });
+                localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(jobRef));
+                await reopenBulkJob(jobRef);
+            } catch (error) {
+                alert(`Could not resume the job: ${error.message}`);
+            }
+        });
+        parts.push(resumeButton);
+    }
+    if (job?.processed > 0) {
+        // The server builds these from every stored result, which is handy for very large jobs.
+        for (const [format, label] of [['csv', 'CSV'], ['xlsx', 'Excel'], ['ndjson', 'NDJSON']]) {
+            const link = document.createElement('a');
+            link.href = jobUrl(jobRef, `&download=${format}`);
+            link.textContent = label;
+            parts.push(link);
         }
+    }
+    jobNotice.replaceChildren(...parts);
+    jobNotice.hidden = false;
+}
 
-        const domainRegex = /([a-z0-9]+(?:-[a-z0-9]+)*\.)+[a-z]{2,}/gi;
-        const matches = text.match(domainRegex);
-        
-        if (matches && matches.length > 0) {
-            const uniqueDomains = [...new Set(matches.map(normalizeDomain))];
-            domainInput.value = uniqueDomains.join('\n');
-            setMode('checker');
-        } else {
-            alert('No domains found in the file.');
+/**
+ * Follows a bulk job and shows its available domains. They aren't sent for AI categorization,
+ * which isn't built for lists this long.
+ */
+async function showBulkJob(jobRef, invalidResults = []) {
+    const job = await followJob(jobRef, invalidResults);
+    if (!job || FINISHED_JOB_STATUSES.has(job.status)) localStorage.removeItem(ACTIVE_JOB_KEY);
+    showJobNotice(jobRef, job);
+
+    const available = checkedResults.filter(result => result.availability === 'Available').map(result => result.domain);
+    if (available.length > 0) {
+        await displayResults([{ category: 'Available', domains: available }], available);
+        displayActions();
+    } else {
+        placeholderResults.innerHTML = '<p>No available domains found.</p>';
+        placeholderResults.style.display = 'block';
+        if (checkedResults.length > 0) displayActions();
+    }
+}
+
+async function reopenBulkJob(jobRef) {
+    setLoading(true);
+    clearResults();
+    try {
+        await showBulkJob(jobRef);
+    } catch (error) {
+        console.error('Error following the bulk job:', error);
+        placeholderResults.innerHTML = `<p style="color: var(--error-color);">Could not follow the background job. Please check the console.</p>`;
+        placeholderResults.style.display = 'block';
+    } finally {
+        setLoading(false);
+        renderResultsTable();
+        await saveCurrentRun();
+    }
+}
+
+// Picks up the job this browser started before a reload; it kept running on the server meanwhile.
+async function restoreActiveJob() {
+    let jobRef;
+    try {
+        jobRef = JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY));
+    } catch {
+        jobRef = null;
+    }
+    if (!jobRef?.id || !jobRef.token) {
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        return;
+    }
+    try {
+        await requestJson(jobUrl(jobRef, ''));
+    } catch (error) {
+        console.warn('Could not restore the background job:', error);
+        localStorage.removeItem(ACTIVE_JOB_KEY);
+        return;
+    }
+    await reopenBulkJob(jobRef);
+}
+
+// --- Watchlist ---
+
+function renderWatchlist(entries) {
+    watchedDomains = new Set(entries.map(entry => entry.domain));
+    watchlistEmpty.hidden = entries.length > 0;
+    watchlistTable.hidden = entries.length === 0;
+
+    watchlistTable.tBodies[0].replaceChildren(...entries.map(entry => {
+        const row = document.createElement('tr');
+        row.insertCell().textContent = toUnicode(entry.domain);
+
+        const statusCell = row.insertCell();
+        statusCell.textContent = entry.status || 'Not checked yet';
+        if (entry.status) statusCell.className = `status-cell ${entry.status.toLowerCase()}`;
+
+        const checkedCell = row.insertCell();
+        checkedCell.textContent = entry.lastCheckedAt ? new Date(entry.lastCheckedAt).toLocaleString() : 'Never';
+        if (entry.lastError) checkedCell.title = `Last check failed: ${entry.lastError}`;
+
+        const historyCell = row.insertCell();
+        if (entry.history.length > 0) {
+            const details = document.createElement('details');
+            details.className = 'watchlist-history';
+            const summary = document.createElement('summary');
+            summary.textContent = `${entry.history.length} status change${entry.history.length === 1 ? '' : 's'}`;
+            const list = document.createElement('ol');
+            list.append(...[...entry.history].reverse().map(({ at, status }) => {
+                const item = document.createElement('li');
+                item.textContent = `${new Date(at).toLocaleString()}: ${status}`;
+                return item;
+            }));
+            details.append(summary, list);
+            historyCell.appendChild(details);
         }
-    };
 
-    reader.onerror = () => {
-        alert('Error reading the file.');
-    };
-    
-    reader.readAsText(file);
-    input.value = ''; // Allow re-uploading the same file
+        const removeButton = document.createElement('button');
+        removeButton.className = 'export-button watch-button';
+        removeButton.textContent = 'Remove';
+        removeButton.addEventListener('click', () => runWatchlistAction(async () => {
+            await watchlistRequest({ action: 'remove', domains: [entry.domain] });
+        }));
+        row.insertCell().appendChild(removeButton);
+        return row;
+    }));
+}
+
+/**
+ * POSTs a watchlist change with the stored key. When the server turns the key down (or there is none yet),
+ * asks for one and tries again; cancelling the prompt gives up with the server's error.
+ */
+async function watchlistRequest(payload) {
+    const key = localStorage.getItem(WATCHLIST_KEY_STORAGE);
+    try {
+        return await requestJson(WATCHLIST_API_URL, payload, key ? { Authorization: `Bearer ${key}` } : {});
+    } catch (error) {
+        if (error.status !== 401) throw error;
+        const entered = prompt(key ? 'That key was not accepted. Watchlist key (CRON_SECRET or an API key):' : 'Watchlist key (CRON_SECRET or an API key):')?.trim();
+        if (!entered) throw error;
+        localStorage.setItem(WATCHLIST_KEY_STORAGE, entered);
+        return watchlistRequest(payload);
+    }
+}
+
+async function refreshWatchlist() {
+    const { domains } = await requestJson(WATCHLIST_API_URL);
+    renderWatchlist(domains);
+    renderResultsTable();
+}
+
+// Runs a watchlist change, then reloads the list. Failures show under the add form, or as an alert
+// when the change came from the results table with the watchlist closed.
+async function runWatchlistAction(action) {
+    watchlistStatus.textContent = '';
+    try {
+        const message = await action();
+        await refreshWatchlist();
+        if (message) watchlistStatus.textContent = message;
+    } catch (error) {
+        console.error('Watchlist error:', error);
+        watchlistStatus.textContent = error.message;
+        if (watchlistView.hidden) alert(`Could not update the watchlist: ${error.message}`);
+    }
+}
+
+function toggleWatch(domain) {
+    return runWatchlistAction(async () => {
+        const action = watchedDomains.has(domain) ? 'remove' : 'add';
+        await watchlistRequest({ action, domains: [domain] });
+    });
+}
+
+watchlistButton.addEventListener('click', () => {
+    watchlistView.hidden = !watchlistView.hidden;
+    if (!watchlistView.hidden) runWatchlistAction(async () => {});
 });
 
+watchlistForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const domains = watchlistInput.value.split(/[\s,;]+/).filter(Boolean);
+    if (domains.length === 0) return;
+    runWatchlistAction(async () => {
+        const { added, invalid } = await watchlistRequest({ action: 'add', domains });
+        watchlistInput.value = invalid.map(item => item.domain).join(', ');
+        return invalid.length > 0
+            ? `Added ${added.length}. Not added: ${invalid.map(item => `${item.domain} (${item.error})`).join('; ')}`
+            : `Added ${added.length} domain${added.length === 1 ? '' : 's'}.`;
+    });
+});
+
+watchlistCheckButton.addEventListener('click', async () => {
+    watchlistCheckButton.disabled = true;
+    await runWatchlistAction(async () => {
+        const { checked, changes } = await watchlistRequest({ action: 'check' });
+        return `Checked ${checked} domain${checked === 1 ? '' : 's'}: ${changes.length === 0 ? 'no status changes' : changes.map(change => `${change.domain} is now ${change.to}`).join(', ')}.`;
+    });
+    watchlistCheckButton.disabled = false;
+});
+
+/**
+ * Reopens the latest run of the project used last time, so a refresh doesn't lose the results.
+ */
+async function restoreLastSession() {
+    try {
+        const projectId = localStorage.getItem(LAST_PROJECT_KEY);
+        if (!projectId || !(await getProject(projectId))) return;
+        selectProject(projectId);
+        const [latestRun] = await listRuns(projectId);
+        if (latestRun) await showRun(latestRun);
+    } catch (error) {
+        console.warn('Could not restore the last session:', error);
+    }
+}
+
 
 // --- UI Update Functions ---
 
+/**
+ * Returns the TLDs selected for expansion mode: a bundled preset or the custom list.
+ */
+function getExpansionTlds() {
+    if (tldPresetSelect.value === 'custom') {
+        return parseTlds(customTldsInput.value);
+    }
+    return getTldPreset(tldPresetSelect.value) || [];
+}
+
+function populateTldPresets() {
+    const presets = [...Object.entries(TLD_PRESETS), ['all', { label: 'All presets', tlds: getTldPreset('all') }]];
+    presets.forEach(([value, preset]) => {
+        tldPresetSelect.add(new Option(`${preset.label} (${preset.tlds.length})`, value));
+    });
+    tldPresetSelect.add(new Option('Custom...', 'custom'));
+}
+
+const MATRIX_SYMBOLS = { Available: '✓', Unavailable: '✗', Invalid: '—' };
+
+/**
+ * Draws an empty name × TLD matrix; cells fill in as results stream back.
+ */
+function renderMatrix(pairs) {
+    const names = [...new Set(pairs.map(pair => pair.name))];
+    const tlds = [...new Set(pairs.map(pair => pair.tld))];
+    matrixCells = new Map();
+
+    const table = document.createElement('table');
+    table.className = 'tld-matrix';
+    const headerRow = table.createTHead().insertRow();
+    headerRow.appendChild(document.createElement('th')).textContent = 'Name';
+    tlds.forEach(tld => {
+        headerRow.appendChild(document.createElement('th')).textContent = `.${toUnicode(tld)}`;
+    });
+
+    const body = table.createTBody();
+    names.forEach(name => {
+        const row = body.insertRow();
+        row.appendChild(document.createElement('th')).textContent = toUnicode(name);
+        tlds.forEach(tld => {
+            const cell = row.insertCell();
+            cell.className = 'matrix-cell pending';
+            cell.textContent = '…';
+            const domain = `${name}.${tld}`;
+            // Results come back under the ASCII lookup name; invalid entries keep the name as typed.
+            const validation = validateDomain(domain);
+            matrixCells.set(validation.valid ? validation.domain : domain, cell);
+        });
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'matrix-wrapper';
+    wrapper.appendChild(table);
+    placeholderResults.style.display = 'none';
+    resultsView.style.display = 'block';
+    resultsView.replaceChildren(wrapper);
+}
+
+function updateMatrixCell(result) {
+    const cell = matrixCells.get(result.domain);
+    if (!cell) return;
+    const state = MATRIX_SYMBOLS[result.availability] ? result.availability : 'Unknown';
+    cell.className = `matrix-cell ${state.toLowerCase()}`;
+    cell.textContent = MATRIX_SYMBOLS[state] || '?';
+    cell.title = result.error ? `${result.availability}: ${result.error}` : result.availability;
+}
+
+function finishMatrix(availableDomains) {
+    if (availableDomains.length > 0) {
+        setupCopyListener(addCopyAllButton(), availableDomains.join('\n'));
+    }
+    if (checkedResults.length > 0) displayActions();
+}
+
 function updateProgress(checked, total) {
     const percentage = total > 0 ? (checked / total) * 100 : 0;
     progressBar.value = percentage;
 }
 
-function updateSummary(checked, total, availableDomains) {
-    const availableCount = availableDomains.length;
+function countByStatus(results) {
+    const counts = Object.fromEntries(RESULT_STATUSES.map(status => [status, 0]));
+    results.forEach(result => counts[result.availability] = (counts[result.availability] || 0) + 1);
+    return counts;
+}
 
-    summaryContainer.innerHTML = `
-        <div class="summary-item">
-            <h3>Checked / Total</h3>
-            <p>${checked} / ${total}</p>
-        </div>
-        <div class="summary-item">
-            <div class="summary-header">
-                <h3>Available</h3>
-            </div>
-            <p style="color: var(--success-color);">${availableCount}</p>
-        </div>
-    `;
+function createSummaryItem(label, value, color) {
+    const item = document.createElement('div');
+    item.className = 'summary-item';
+    const heading = document.createElement('h3');
+    heading.textContent = label;
+    const text = document.createElement('p');
+    text.textContent = value;
+    if (color) text.style.color = color;
+    item.append(heading, text);
+    return item;
+}
+
+function updateSummary(checked, total, loopRound = null) {
+    const counts = countByStatus(checkedResults);
+    const items = [];
+    if (loopRound) {
+        items.push(createSummaryItem('Round', `${loopRound.round} / ${loopRound.maxRounds}`));
+    }
+    items.push(createSummaryItem('Checked / Total', `${checked} / ${total}`));
+    // Inconclusive only happens with consensus resolvers, so it's shown only when it occurs.
+    RESULT_STATUSES.filter(status => status !== 'Inconclusive' || counts[status] > 0).forEach(status => {
+        const item = createSummaryItem(status, String(counts[status]), STATUS_COLORS[status] || 'var(--text-color)');
+        if (status === 'Available') {
+            // The Copy All button goes next to this heading.
+            const header = document.createElement('div');
+            header.className = 'summary-header';
+            header.appendChild(item.querySelector('h3'));
+            item.prepend(header);
+        }
+        items.push(item);
+    });
+    summaryContainer.replaceChildren(...items);
+}
+
+function addCopyAllButton() {
+    const button = document.createElement('button');
+    button.id = 'copy-all-button';
+    button.title = 'Copy all available domains';
+    button.textContent = 'Copy All';
+    summaryContainer.querySelector('.summary-header').appendChild(button);
+    return button;
 }
 
-function displayResults(categorizedDomains, allAvailableDomains) {
+function describeResult(result) {
+    if (result.error) return result.error;
+    const details = [];
+    if (result.registrar) details.push(`Registrar: ${result.registrar}`);
+    if (result.expires) details.push(`Expires ${result.expires.slice(0, 10)}`);
+    if (result.rdapStatus) details.push(`RDAP: ${result.rdapStatus}`);
+    if (result.cached) details.push(`Cached ${result.ageSeconds}s ago`);
+    return details.join(' · ');
+}
+
+function compareResults(a, b) {
+    const { key, direction } = tableSort;
+    if (key === 'status') {
+        return (RESULT_STATUSES.indexOf(a.availability) - RESULT_STATUSES.indexOf(b.availability)) * direction;
+    }
+    const left = a[key] ?? '';
+    const right = b[key] ?? '';
+    const order = typeof left === 'number' && typeof right === 'number' ? left - right : String(left).localeCompare(String(right));
+    return order * direction;
+}
+
+function formatMetadata(metadata) {
+    return Object.entries(metadata || {}).map(([key, value]) => `${key}: ${value}`).join(' · ');
+}
+
+/**
+ * Renders every checked domain (not just the available ones) with status filters, search and column sorting.
+ */
+function renderResultsTable() {
+    allResultsSection.hidden = checkedResults.length === 0;
+    if (checkedResults.length === 0) return;
+    metadataColumnHeader.hidden = importMetadata.size === 0;
+
+    const counts = countByStatus(checkedResults);
+    statusFilters.replaceChildren(...RESULT_STATUSES.filter(status => counts[status] > 0).map(status => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = !hiddenStatuses.has(status);
+        checkbox.addEventListener('change', () => {
+            if (checkbox.checked) hiddenStatuses.delete(status);
+            else hiddenStatuses.add(status);
+            renderResultsTable();
+        });
+        label.append(checkbox, ` ${status} (${counts[status]})`);
+        return label;
+    }));
+
+    const failedCount = counts.Timeout + counts.Error;
+    recheckButton.hidden = failedCount === 0;
+    recheckButton.textContent = `Re-check failed (${failedCount})`;
+
+    const query = resultsSearchInput.value.trim().toLowerCase();
+    const rows = checkedResults
+        .filter(result => !hiddenStatuses.has(result.availability))
+        .filter(result => !query || result.domain.includes(query) || toUnicode(result.domain).includes(query))
+        .sort(compareResults)
+        .map(result => {
+            const row = document.createElement('tr');
+            const cells = [
+                toUnicode(result.domain),
+                result.availability,
+                result.resolver || '',
+                typeof result.latencyMs === 'number' ? `${result.latencyMs} ms` : '',
+                result.checkedAt ? new Date(result.checkedAt).toLocaleString() : '',
+                describeResult(result),
+            ];
+            if (importMetadata.size > 0) cells.push(formatMetadata(importMetadata.get(result.domain)));
+            cells.forEach(text => row.insertCell().textContent = text);
+            row.cells[1].className = `status-cell ${result.availability.toLowerCase()}`;
+
+            const watchCell = row.insertCell();
+            if (result.availability !== 'Invalid') {
+                const watching = watchedDomains.has(result.domain);
+                const watchButton = document.createElement('button');
+                watchButton.className = 'export-button watch-button';
+                watchButton.textContent = watching ? 'Watching' : 'Watch';
+                watchButton.setAttribute('aria-pressed', String(watching));
+                watchButton.addEventListener('click', () => toggleWatch(result.domain));
+                watchCell.appendChild(watchButton);
+            }
+            return row;
+        });
+    resultsTable.tBodies[0].replaceChildren(...rows);
+
+    resultsTable.querySelectorAll('[data-sort]').forEach(button => {
+        const active = button.dataset.sort === tableSort.key;
+        button.closest('th').setAttribute('aria-sort', active ? (tableSort.direction > 0 ? 'ascending' : 'descending') : 'none');
+    });
+}
+
+/**
+ * Shows an available domain while the check is still streaming; replaced by displayResults once categorized.
+ */
+function appendLiveResult(domain) {
+    let liveList = resultsView.querySelector('.live-results .domain-list');
+    if (!liveList) {
+        placeholderResults.style.display = 'none';
+        resultsView.style.display = 'block';
+        resultsView.innerHTML = `
+            <details class="category-accordion live-results" open>
+                <summary>
+                    <div class="category-header">
+                        <h2>Available so far</h2>
+                    </div>
+                </summary>
+                <div class="domain-list"></div>
+            </details>
+        `;
+        liveList = resultsView.querySelector('.live-results .domain-list');
+    }
+    const item = document.createElement('p');
+    item.textContent = toUnicode(domain);
+    liveList.appendChild(item);
+}
+
+async function displayResults(categorizedDomains, allAvailableDomains) {
     if (categorizedDomains.length === 0) {
         return;
     }
 
-    const summaryHeader = summaryContainer.querySelector('.summary-item:last-child .summary-header');
-    if (summaryHeader && allAvailableDomains.length > 0) {
-        summaryHeader.innerHTML += `<button id="copy-all-button" title="Copy all available domains">Copy All</button>`;
-        setupCopyListener(document.getElementById('copy-all-button'), allAvailableDomains.join('\n'));
+    resultsState = {
+        categorizedDomains,
+        allAvailableDomains,
+        // Keyword relevance only applies to generated ideas and variations of a seed.
+        keywords: currentMode === 'generator' ? keywordsInput.value : currentMode === 'variations' ? seedInput.value : '',
+    };
+    brandabilityScores = new Map();
+    if (aiBrandabilityInput.checked) {
+        await loadBrandabilityScores();
+    }
+    resultsToolbar.hidden = false;
+    renderResults();
+}
+
+async function loadBrandabilityScores() {
+    try {
+        brandabilityScores = await fetchBrandabilityScores(resultsState.allAvailableDomains);
+    } catch (error) {
+        console.error("Error scoring brandability:", error);
+        alert("Could not get AI brandability scores. Showing rule-based scores only.");
+        aiBrandabilityInput.checked = false;
+    }
+}
+
+/**
+ * Scores, filters and sorts a list of domains according to the toolbar settings.
+ */
+function scoreOptionsFor(domain) {
+    return {
+        keywords: resultsState?.keywords,
+        brandability: aiBrandabilityInput.checked ? brandabilityScores.get(domain) : undefined,
+    };
+}
+
+function rankDomains(domains) {
+    const minScore = Number(minScoreInput.value) || 0;
+    const ranked = domains
+        .map(domain => ({ domain, ...scoreDomain(domain, scoreOptionsFor(domain)) }))
+        .filter(entry => entry.score >= minScore);
+
+    switch (sortSelect.value) {
+        case 'name':
+            return ranked.sort((a, b) => a.domain.localeCompare(b.domain));
+        case 'length':
+            return ranked.sort((a, b) => a.domain.length - b.domain.length || b.score - a.score);
+        default:
+            return ranked.sort((a, b) => b.score - a.score);
     }
+}
+
+function renderResults() {
+    if (!resultsState) return;
+    const { categorizedDomains, allAvailableDomains } = resultsState;
+
+    if (summaryContainer.querySelector('.summary-header') && allAvailableDomains.length > 0) {
+        setupCopyListener(document.getElementById('copy-all-button') || addCopyAllButton(), rankDomains(allAvailableDomains).map(e => e.domain).join('\n'));
+    }
+
+    const rankedCategories = categorizedDomains.map(cat => ({ category: cat.category, ranked: rankDomains(cat.domains) }));
 
     placeholderResults.style.display = 'none';
     resultsView.style.display = 'block';
-    resultsView.innerHTML = categorizedDomains.map((cat, index) => `
-        <details class="category-accordion" ${index === 0 ? 'open' : ''}>
-            <summary>
-                <div class="category-header">
-                    <h2>${cat.category} (${cat.domains.length})</h2>
-                    <button class="copy-cat-button" data-category-index="${index}" title="Copy domains in this category">Copy</button>
-                </div>
-            </summary>
-            <div class="domain-list">
-                ${cat.domains.map(d => `<p>${d}</p>`).join('')}
-            </div>
-        </details>
-    `).join('');
-    
-    document.querySelectorAll('.copy-cat-button').forEach(button => {
-        const catIndex = parseInt(button.dataset.categoryIndex, 10);
-        const domainsToCopy = categorizedDomains[catIndex].domains.join('\n');
-        setupCopyListener(button, domainsToCopy);
+    resultsView.replaceChildren(...rankedCategories.map((cat, index) => {
+        const accordion = createCategorySection(document, cat, { open: index === 0, selected: selectedDomains });
+        setupCopyListener(accordion.querySelector('.copy-cat-button'), cat.ranked.map(e => e.domain).join('\n'));
+        accordion.querySelectorAll('.domain-select').forEach(checkbox => checkbox.addEventListener('change', () => {
+            if (checkbox.checked) selectedDomains.add(checkbox.value);
+            else selectedDomains.delete(checkbox.value);
+            updateSelectionNote();
+        }));
+        return accordion;
+    }));
+    updateSelectionNote();
+}
+
+/**
+ * Domains for the registrar hand-off: the ticked ones, or every available domain when none are ticked.
+ */
+function getActionDomains() {
+    if (selectedDomains.size > 0) return [...selectedDomains];
+    return checkedResults.filter(result => result.availability === 'Available').map(result => result.domain);
+}
+
+function getExportRows() {
+    const categories = new Map();
+    resultsState?.categorizedDomains.forEach(cat => cat.domains.forEach(domain => categories.set(domain, cat.category)));
+    return buildExportRows(checkedResults, {
+        categories,
+        scoreFor: (domain) => scoreDomain(domain, scoreOptionsFor(domain)),
+        metadata: importMetadata,
     });
 }
 
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function updateSelectionNote() {
+    const note = document.getElementById('selection-note');
+    if (note) {
+        note.textContent = selectedDomains.size > 0 ? `${selectedDomains.size} selected` : 'All available domains';
+    }
+}
+
 function displayActions() {
+    const hasAvailable = checkedResults.some(result => result.availability === 'Available');
     actionsContainer.innerHTML = `
-        <a href="https://www.namecheap.com/domains/registration/results/?type=beast" target="_blank" rel="noopener noreferrer" class="action-button">
-            Bulk Register on Namecheap
-        </a>
+        <div class="actions-row">
+            <span class="form-label">Download all results</span>
+            ${Object.entries(EXPORT_FORMATS).map(([id, format]) => `<button class="export-button" data-format="${id}">${format.label}</button>`).join('')}
+        </div>
+        ${hasAvailable ? `
+            <div class="actions-row">
+                <label class="form-label" for="registrar-select">Register at</label>
+                <select id="registrar-select">
+                    ${Object.entries(REGISTRARS).map(([id, registrar]) => `<option value="${id}">${registrar.label}</option>`).join('')}
+                </select>
+                <button id="registrar-open-button" class="action-button">Open registrar</button>
+                <button id="registrar-copy-button" class="export-button">Copy bulk list</button>
+                <button id="registrar-download-button" class="export-button">Download bulk file</button>
+                <span id="selection-note" class="selection-note"></span>
+            </div>
+        ` : ''}
     `;
+
+    actionsContainer.querySelectorAll('[data-format]').forEach(button => {
+        button.addEventListener('click', () => {
+            const format = EXPORT_FORMATS[button.dataset.format];
+            const stamp = new Date().toISOString().slice(0, 10);
+            downloadFile(`domains-${stamp}.${format.extension}`, format.serialize(getExportRows()), format.type);
+        });
+    });
+    if (!hasAvailable) return;
+
+    const registrarSelect = document.getElementById('registrar-select');
+    // Registrars take a limited number of domains per bulk search, so long lists are split into batches.
+    const copyBulkList = async () => {
+        const batches = formatBulkBatches(registrarSelect.value, getActionDomains());
+        await navigator.clipboard.writeText(batches[0]);
+        if (batches.length > 1) {
+            alert(`${REGISTRARS[registrarSelect.value].label} accepts ${REGISTRARS[registrarSelect.value].bulkLimit} domains at a time. The first batch was copied; download the bulk file for the rest.`);
+        }
+    };
+
+    document.getElementById('registrar-open-button').addEventListener('click', async () => {
+        const domains = getActionDomains();
+        if (domains.length > 1) {
+            // Bulk pages can't be pre-filled, so the list goes to the clipboard for pasting.
+            await copyBulkList().catch(err => console.error('Failed to copy: ', err));
+        }
+        window.open(registrarUrl(registrarSelect.value, domains), '_blank', 'noopener,noreferrer');
+    });
+    document.getElementById('registrar-copy-button').addEventListener('click', () => {
+        copyBulkList().catch(err => {
+            console.error('Failed to copy: ', err);
+            alert('Failed to copy.');
+        });
+    });
+    document.getElementById('registrar-download-button').addEventListener('click', () => {
+        const batches = formatBulkBatches(registrarSelect.value, getActionDomains());
+        downloadFile(`${registrarSelect.value}-bulk.txt`, batches.join('\n\n') + '\n', 'text/plain;charset=utf-8');
+    });
+    updateSelectionNote();
 }
 
 function setupCopyListener(button, textToCopy) {
@@ -345,6 +1862,7 @@ function setupCopyListener(button, textToCopy) {
 function setLoading(isLoading) {
     modeCheckerButton.disabled = isLoading;
     modeGeneratorButton.disabled = isLoading;
+    modeVariationsButton.disabled = isLoading;
 
     if (isLoading) {
         analyzeButton.disabled = true;
@@ -366,6 +1884,17 @@ function setLoading(isLoading) {
 }
 
 function clearResults() {
+    resultsState = null;
+    matrixCells = new Map();
+    checkedResults = [];
+    selectedDomains = new Set();
+    hiddenStatuses = new Set();
+    resultsSearchInput.value = '';
+    allResultsSection.hidden = true;
+    diffNotice.hidden = true;
+    jobNotice.hidden = true;
+    currentRunId = null;
+    resultsToolbar.hidden = true;
     resultsView.innerHTML = '';
     resultsView.style.display = 'none';
     summaryContainer.innerHTML = '';
@@ -377,4 +1906,8 @@ function clearResults() {
 }
 
 // Initialize default mode
+populateTldPresets();
 setMode('checker');
+restoreLastSession().then(restoreActiveJob);
+// The watchlist API may not be deployed (e.g. a static preview); the Watch buttons then just start unpressed.
+refreshWatchlist().catch(() => {});
@@ -0,0 +1,129 @@
+// API keys, per-key rate limits and per-request domain quotas for the public /api/v1 routes.
+//
+// API_CLIENT_KEYS lists the clients as comma-separated name:key[:requestsPerMinute[:maxDomains]] entries,
+// e.g. "crm:sk_live_abc:120:500,reports:sk_live_def". Clients without their own limits get
+// API_RATE_LIMIT requests per minute (default 60) and API_MAX_DOMAINS domains per request (default 100).
+// API_CLIENT_KEYS is separate from API_KEY, which is the Gemini key.
+
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createMemoryCache, createRedisCache } from './cache.js';
+
+const DEFAULT_RATE_LIMIT = 60;
+const DEFAULT_MAX_DOMAINS = 100;
+const RATE_WINDOW_MS = 60 * 1000;
+
+let defaultClients;
+let defaultRateLimiter = null;
+
+function hashKey(key) {
+    return createHash('sha256').update(key).digest();
+}
+
+function readLimit(value, fallback, label) {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error(`${label} must be a positive integer, got "${value}".`);
+    }
+    return number;
+}
+
+/**
+ * Parses API_CLIENT_KEYS into [{ name, keyHash, rateLimit, maxDomains }]. Throws on malformed entries,
+ * so a typo in the configuration fails loudly instead of locking a client out.
+ */
+export function parseApiClients(env = process.env) {
+    const rateLimit = readLimit(env.API_RATE_LIMIT, DEFAULT_RATE_LIMIT, 'API_RATE_LIMIT');
+    const maxDomains = readLimit(env.API_MAX_DOMAINS, DEFAULT_MAX_DOMAINS, 'API_MAX_DOMAINS');
+
+    return String(env.API_CLIENT_KEYS ?? '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const [name, key, clientRateLimit, clientMaxDomains] = entry.split(':').map(part => part.trim());
+        if (!name || !key) {
+            throw new Error(`API_CLIENT_KEYS entries must look like name:key, got "${entry.split(':')[0]}:...".`);
+        }
+        return {
+            name,
+            keyHash: hashKey(key),
+            rateLimit: readLimit(clientRateLimit, rateLimit, `The rate limit for API client "${name}"`),
+            maxDomains: readLimit(clientMaxDomains, maxDomains, `The domain quota for API client "${name}"`),
+        };
+    });
+}
+
+export function getApiClients() {
+    defaultClients ??= parseApiClients();
+    return defaultClients;
+}
+
+/**
+ * Reads the key from "Authorization: Bearer <key>" or "X-API-Key: <key>".
+ */
+export function readApiKey(req) {
+    const authorization = req.headers.get('authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return (match ? match[1] : req.headers.get('x-api-key') || '').trim() || null;
+}
+
+/**
+ * Returns the client the key belongs to, or null. Keys are compared as hashes in constant time.
+ */
+export function findApiClient(key, clients = getApiClients()) {
+    if (!key) return null;
+    const keyHash = hashKey(key);
+    return clients.find(client => timingSafeEqual(client.keyHash, keyHash)) ?? null;
+}
+
+/**
+ * Fixed-window request counter per client on top of a get/set backend (see cache.js).
+ * The read and the write are separate steps, so concurrent requests can slip a few over the
+ * limit; that's fine for protecting the resolvers and the AI budget.
+ */
+export function createRateLimiter(backend = createMemoryCache(), { windowMs = RATE_WINDOW_MS } = {}) {
+    return {
+        /**
+         * Counts one request. Returns { allowed, limit, remaining, resetAt } with resetAt in epoch seconds.
+         */
+        async consume(client) {
+            const now = Date.now();
+            const windowStart = Math.floor(now / windowMs) * windowMs;
+            const key = `api-rate-limit:${client.name}`;
+            const stored = await backend.get(key);
+            const used = stored?.windowStart === windowStart ? stored.used : 0;
+            const resetAt = Math.ceil((windowStart + windowMs) / 1000);
+            if (used >= client.rateLimit) {
+                return { allowed: false, limit: client.rateLimit, remaining: 0, resetAt };
+            }
+            await backend.set(key, { windowStart, used: used + 1 }, windowStart + windowMs - now);
+            return { allowed: true, limit: client.rateLimit, remaining: client.rateLimit - used - 1, resetAt };
+        },
+    };
+}
+
+/**
+ * Returns the process-wide rate limiter. RATE_LIMIT_BACKEND picks "memory" (default; per instance)
+ * or "redis" (REDIS_URL; shared by every instance).
+ */
+export function getRateLimiter() {
+    if (!defaultRateLimiter) {
+        const backend = process.env.RATE_LIMIT_BACKEND || 'memory';
+        if (backend === 'redis') {
+            if (!process.env.REDIS_URL) {
+                throw new Error('RATE_LIMIT_BACKEND is "redis" but REDIS_URL is not set.');
+            }
+            defaultRateLimiter = createRateLimiter(createRedisCache(process.env.REDIS_URL));
+        } else if (backend === 'memory') {
+            defaultRateLimiter = createRateLimiter();
+        } else {
+            throw new Error(`Unknown rate limit backend: ${backend}`);
+        }
+    }
+    return defaultRateLimiter;
+}
+
+export function rateLimitHeaders({ limit, remaining, resetAt }) {
+    return {
+        'X-RateLimit-Limit': String(limit),
+        'X-RateLimit-Remaining': String(remaining),
+        'X-RateLimit-Reset': String(resetAt),
+    };
+}
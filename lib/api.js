@@ -0,0 +1,193 @@
+// The API actions behind both the versioned /api/v1 routes and the legacy mode-based orchestrator.
+//
+// Each action validates its body in prepare(body) -> { input, domainCount } | { error }, then
+// run(input, { provider }) -> { data } | { stream }. ai actions need an LLM provider; legacy reshapes
+// data into what the orchestrator has always returned for that mode.
+
+import { checkDomains } from './check.js';
+import { createResolver } from './resolvers.js';
+import { normalizeGenerateOptions, generateDomains } from './generate.js';
+import { normalizeLoopBudget, runGenerateLoop } from './generate-loop.js';
+import { resolveProvider } from './llm/index.js';
+import { categorizeDomains } from './categorize.js';
+import { normalizeBrandabilityScores } from './brandability.js';
+import { normalizeVariationOptions, generateVariations } from './variations.js';
+import { normalizeAiDomainList } from './prompt.js';
+import { jsonResponse, errorResponse, ndjsonStream, readJsonBody, NDJSON_HEADERS } from './http.js';
+import { getApiClients, readApiKey, findApiClient, getRateLimiter, rateLimitHeaders } from './api-keys.js';
+
+// Larger lists belong in a background job (api/jobs.js); the client switches over at the same size.
+export const MAX_CHECK_DOMAINS = 1000;
+
+function prepareDomainList(body) {
+    const { domains, error } = normalizeAiDomainList(body.domains);
+    return error ? { error } : { input: { domains }, domainCount: domains.length };
+}
+
+export const API_ACTIONS = {
+    check: {
+        prepare(body) {
+            if (!Array.isArray(body.domains)) {
+                return { error: 'Domains array is required.' };
+            }
+            if (body.domains.length > MAX_CHECK_DOMAINS) {
+                return { error: `At most ${MAX_CHECK_DOMAINS} domains can be checked per request; use a bulk job for more.` };
+            }
+            let resolver;
+            try {
+                // Optional per-request backend: "google", or ["cloudflare", "google"] for consensus.
+                resolver = body.resolver ? createResolver(body.resolver) : undefined;
+            } catch (err) {
+                return { error: err.message };
+            }
+            // force: true skips the availability cache and re-queries every domain.
+            return {
+                input: { domains: body.domains, resolver, force: Boolean(body.force), stream: Boolean(body.stream) },
+                domainCount: body.domains.length,
+            };
+        },
+        async run({ domains, resolver, force, stream }) {
+            if (stream) {
+                // One line per domain in completion order
+                return { stream: (emit, signal) => checkDomains(domains, { resolver, force, signal, onResult: emit }) };
+            }
+            return { data: { results: await checkDomains(domains, { resolver, force }) } };
+        },
+        legacy: data => data.results,
+    },
+
+    generate: {
+        ai: true,
+        prepare(body) {
+            const { options, error } = normalizeGenerateOptions(body);
+            return error ? { error } : { input: options, domainCount: options.count };
+        },
+        async run(options, { provider }) {
+            return { data: { domains: await generateDomains(provider, options), provider: provider.name } };
+        },
+    },
+
+    'generate-loop': {
+        // Keeps generating and checking until `target` names are available or the round/time budget runs out.
+        ai: true,
+        prepare(body) {
+            const { options, error } = normalizeGenerateOptions(body);
+            const { budget, error: budgetError } = normalizeLoopBudget(body);
+            if (error || budgetError) return { error: error || budgetError };
+            return { input: { options, budget }, domainCount: options.count };
+        },
+        async run({ options, budget }, { provider }) {
+            return {
+                stream: (emit, signal) => runGenerateLoop({
+                    generate: (avoid) => generateDomains(provider, options, avoid),
+                    check: checkDomains,
+                    budget,
+                    signal,
+                    onEvent: emit,
+                }),
+            };
+        },
+    },
+
+    categorize: {
+        ai: true,
+        prepare: prepareDomainList,
+        async run({ domains }, { provider }) {
+            return { data: { categories: await categorizeDomains(provider, domains) } };
+        },
+        legacy: data => data.categories,
+    },
+
+    brandability: {
+        // Optional AI input to the scoring engine in lib/scoring.js
+        ai: true,
+        prepare: prepareDomainList,
+        async run({ domains }, { provider }) {
+            return { data: { scores: normalizeBrandabilityScores(await provider.rateBrandability(domains), domains) } };
+        },
+    },
+
+    variations: {
+        // Rule-based alternatives to a taken name; the client checks them separately.
+        prepare(body) {
+            const { options, error } = normalizeVariationOptions(body);
+            return error ? { error } : { input: options, domainCount: options.limit };
+        },
+        async run(options) {
+            return { data: { variations: generateVariations(options) } };
+        },
+    },
+};
+
+/**
+ * Runs an action on a parsed body and builds its response.
+ * maxDomains enforces a quota on domainCount; legacy returns the orchestrator's response shapes;
+ * headers are added to every response (e.g. rate limit headers).
+ */
+export async function runApiAction(name, body, { maxDomains = Infinity, legacy = false, headers = {} } = {}) {
+    const action = API_ACTIONS[name];
+
+    const { input, domainCount, error } = action.prepare(body);
+    if (error) {
+        return errorResponse(400, 'invalid_request', error, headers);
+    }
+    if (domainCount > maxDomains) {
+        return errorResponse(413, 'quota_exceeded', `This API key allows at most ${maxDomains} domains per request; got ${domainCount}.`, headers);
+    }
+
+    let provider;
+    if (action.ai) {
+        const resolved = resolveProvider();
+        if (resolved.error) {
+            return errorResponse(503, 'provider_unavailable', resolved.error, headers);
+        }
+        provider = resolved.provider;
+        // Tells the client which provider answered, e.g. so it can flag offline mock output.
+        headers = { ...headers, 'X-AI-Provider': provider.name };
+    }
+
+    const { data, stream } = await action.run(input, { provider });
+    if (stream) {
+        return new Response(ndjsonStream(stream), { status: 200, headers: { ...headers, ...NDJSON_HEADERS } });
+    }
+    return jsonResponse(legacy && action.legacy ? action.legacy(data) : data, 200, headers);
+}
+
+/**
+ * Builds the handler for a versioned route: POST only, API key required, per-key rate limit and domain quota.
+ * The routes are off (503) until API_CLIENT_KEYS is configured; see api-keys.js.
+ */
+export function createApiRoute(name) {
+    return async function handler(req) {
+        if (req.method !== 'POST') {
+            return errorResponse(405, 'method_not_allowed', 'Method not allowed', { Allow: 'POST' });
+        }
+
+        try {
+            const clients = getApiClients();
+            if (clients.length === 0) {
+                return errorResponse(503, 'api_disabled', 'The API is not enabled on this server.');
+            }
+            const client = findApiClient(readApiKey(req), clients);
+            if (!client) {
+                return errorResponse(401, 'unauthorized', 'A valid API key is required.', { 'WWW-Authenticate': 'Bearer' });
+            }
+
+            const rate = await getRateLimiter().consume(client);
+            const headers = rateLimitHeaders(rate);
+            if (!rate.allowed) {
+                const retryAfter = Math.max(1, rate.resetAt - Math.floor(Date.now() / 1000));
+                return errorResponse(429, 'rate_limited', `Rate limit of ${rate.limit} requests per minute exceeded.`, { ...headers, 'Retry-After': String(retryAfter) });
+            }
+
+            const { body, error } = await readJsonBody(req);
+            if (error) {
+                return errorResponse(400, 'invalid_request', error, headers);
+            }
+            return await runApiAction(name, body, { maxDomains: client.maxDomains, headers });
+        } catch (e) {
+            console.error(`API ${name} error:`, e);
+            return errorResponse(500, 'internal_error', e.message || 'An internal server error occurred.');
+        }
+    };
+}
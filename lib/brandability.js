@@ -0,0 +1,25 @@
+// Prompt and output clean-up for the optional AI brandability score (0-100 per domain).
+
+import { buildPrompt } from './prompt.js';
+
+export function buildBrandabilityPrompt(domains) {
+    return buildPrompt(
+        'Rate how brandable each domain name in "domains" is on a scale from 0 to 100, considering memorability, how easy it is to spell and say, and how well it would work as a company or product name. Return one entry per domain.',
+        { domains },
+    );
+}
+
+/**
+ * Keeps only scores for the requested domains, clamped to whole numbers in 0-100.
+ */
+export function normalizeBrandabilityScores(raw, domains) {
+    const requested = new Set(domains);
+    const scores = new Map();
+    for (const entry of Array.isArray(raw) ? raw : []) {
+        const score = Number(entry?.score);
+        if (requested.has(entry?.domain) && Number.isFinite(score)) {
+            scores.set(entry.domain, Math.max(0, Math.min(100, Math.round(score))));
+        }
+    }
+    return [...scores].map(([domain, score]) => ({ domain, score }));
+}
@@ -0,0 +1,258 @@
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import net from 'node:net';
+
+// Availability cache. Backends share one interface: get(key) -> value | null and set(key, value, ttlMs).
+
+const KEY_PREFIX = 'domain-availability:';
+
+// Seconds each state stays fresh. Available names get snapped up, so they expire fastest;
+// Timeout and Error are never cached.
+const DEFAULT_TTL_SECONDS = {
+    Available: 15 * 60,
+    Inconclusive: 15 * 60,
+    Unavailable: 24 * 60 * 60,
+};
+
+export function createMemoryCache() {
+    const entries = new Map();
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+    };
+}
+
+/**
+ * JSON file cache for single-machine deployments and local runs. The file is read once and
+ * rewritten after every update; writes are serialized so concurrent checks can't interleave them.
+ * With shared: true the file is re-read before every get and set, for files that several processes
+ * update (e.g. the watchlist, written by both the API and the cron job).
+ * A failed write is only logged, since a lost cache entry just means another lookup; with
+ * throwOnWriteError: true, set rejects instead, for data that must not be lost silently.
+ */
+export function createFileCache(path, { shared = false, throwOnWriteError = false } = {}) {
+    let entries = null;
+    let pendingWrite = Promise.resolve();
+
+    async function load() {
+        if (entries && !shared) return entries;
+        // Let our own queued write land first, so a re-read doesn't bring back the old contents.
+        await pendingWrite;
+        try {
+            const stored = JSON.parse(await readFile(path, 'utf8'));
+            const now = Date.now();
+            entries = new Map(Object.entries(stored).filter(([, entry]) => entry.expiresAt > now));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Could not read cache file ${path}:`, error.message);
+            }
+            entries = new Map();
+        }
+        return entries;
+    }
+
+    function persist() {
+        const snapshot = JSON.stringify(Object.fromEntries(entries));
+        const write = pendingWrite.then(async () => {
+            await mkdir(dirname(path), { recursive: true });
+            // Written aside and renamed into place, so readers never see a half-written file.
+            const tempPath = `${path}.${process.pid}.tmp`;
+            await writeFile(tempPath, snapshot);
+            await rename(tempPath, path);
+        });
+        // The queue itself never rejects, so one failed write doesn't fail the ones after it.
+        pendingWrite = write.catch(error => {
+            if (!throwOnWriteError) console.error(`Could not write cache file ${path}:`, error.message);
+        });
+        return throwOnWriteError ? write : pendingWrite;
+    }
+
+    return {
+        async get(key) {
+            const entry = (await load()).get(key);
+            if (!entry || entry.expiresAt <= Date.now()) return null;
+            return entry.value;
+        },
+        async set(key, value, ttlMs) {
+            (await load()).set(key, { value, expiresAt: Date.now() + ttlMs });
+            await persist();
+        },
+    };
+}
+
+function encodeCommand(args) {
+    return `*${args.length}\r\n` + args.map(arg => {
+        const value = String(arg);
+        return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }).join('');
+}
+
+// Parses one RESP reply from the buffer. Returns null when more data is needed.
+function parseReply(buffer) {
+    const lineEnd = buffer.indexOf('\r\n');
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[0]);
+    const line = buffer.toString('utf8', 1, lineEnd);
+    const rest = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, length: rest };
+        case '-':
+            return { value: new Error(line), length: rest };
+        case ':':
+            return { value: Number(line), length: rest };
+        case '$': {
+            const size = Number(line);
+            if (size === -1) return { value: null, length: rest };
+            if (buffer.length < rest + size + 2) return null;
+            return { value: buffer.toString('utf8', rest, rest + size), length: rest + size + 2 };
+        }
+        default:
+            return { value: new Error(`Unsupported RESP reply type "${type}"`), length: buffer.length };
+    }
+}
+
+/**
+ * Cache backed by any Redis-compatible server (Redis, Valkey, KeyDB, ...), e.g. redis://:password@host:6379/0.
+ * Speaks just enough RESP for AUTH, SELECT, GET and SET over one lazily opened connection.
+ */
+export function createRedisCache(url) {
+    const { hostname, port, password, username, pathname } = new URL(url);
+    // Resolves to the open connection once AUTH and SELECT have succeeded; reset when it fails or closes.
+    let ready = null;
+
+    function connect() {
+        const socket = net.createConnection({ host: hostname, port: Number(port) || 6379 });
+        const pending = [];
+        let buffer = Buffer.alloc(0);
+
+        const failPending = (error) => pending.splice(0).forEach(({ reject }) => reject(error));
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let reply;
+            while (pending.length > 0 && (reply = parseReply(buffer))) {
+                buffer = buffer.subarray(reply.length);
+                const { resolve, reject } = pending.shift();
+                reply.value instanceof Error ? reject(reply.value) : resolve(reply.value);
+            }
+            // An idle connection doesn't keep the process alive, so the CLI and scripts can exit.
+            if (pending.length === 0) socket.unref();
+        });
+        const drop = (error) => {
+            if (ready === connection) ready = null;
+            failPending(error);
+        };
+        socket.on('error', drop);
+        socket.on('close', () => drop(new Error('The Redis connection was closed.')));
+
+        const send = (args) => new Promise((resolve, reject) => {
+            if (socket.destroyed) {
+                reject(new Error('The Redis connection was closed.'));
+                return;
+            }
+            pending.push({ resolve, reject });
+            socket.ref();
+            socket.write(encodeCommand(args));
+        });
+
+        const handshake = [];
+        if (password) {
+            handshake.push(send(username ? ['AUTH', decodeURIComponent(username), decodeURIComponent(password)] : ['AUTH', decodeURIComponent(password)]));
+        }
+        const db = pathname.slice(1);
+        if (db) handshake.push(send(['SELECT', db]));
+
+        const connection = Promise.all(handshake).then(() => ({ send }), (error) => {
+            // Drop the connection so the next command starts over.
+            if (ready === connection) ready = null;
+            socket.destroy();
+            throw error;
+        });
+        return connection;
+    }
+
+    async function command(args) {
+        if (!ready) ready = connect();
+        const { send } = await ready;
+        return send(args);
+    }
+
+    return {
+        async get(key) {
+            const raw = await command(['GET', key]);
+            return raw === null ? null : JSON.parse(raw);
+        },
+        async set(key, value, ttlMs) {
+            await command(['SET', key, JSON.stringify(value), 'PX', Math.round(ttlMs)]);
+        },
+    };
+}
+
+/**
+ * Builds the cache selected by CACHE_BACKEND: "memory" (default), "file" (CACHE_FILE),
+ * "redis" (REDIS_URL) or "none".
+ */
+export function createCache(backend = process.env.CACHE_BACKEND || 'memory') {
+    switch (backend) {
+        case 'none':
+            return null;
+        case 'memory':
+            return createMemoryCache();
+        case 'file':
+            return createFileCache(process.env.CACHE_FILE || '.cache/availability.json');
+        case 'redis':
+            if (!process.env.REDIS_URL) {
+                throw new Error('CACHE_BACKEND is "redis" but REDIS_URL is not set.');
+            }
+            return createRedisCache(process.env.REDIS_URL);
+        default:
+            throw new Error(`Unknown cache backend: ${backend}`);
+    }
+}
+
+/**
+ * TTL in milliseconds for a result, or 0 when it shouldn't be cached.
+ * CACHE_TTL_AVAILABLE, CACHE_TTL_UNAVAILABLE and CACHE_TTL_INCONCLUSIVE override the defaults (seconds).
+ */
+export function ttlFor(result) {
+    const seconds = DEFAULT_TTL_SECONDS[result.availability];
+    if (seconds === undefined) return 0;
+    const override = Number(process.env[`CACHE_TTL_${result.availability.toUpperCase()}`]);
+    return (Number.isFinite(override) && override >= 0 ? override : seconds) * 1000;
+}
+
+/**
+ * Looks up a cached result and annotates it with freshness metadata. Cache failures count as misses.
+ */
+export async function readCachedResult(cache, domain) {
+    try {
+        const entry = await cache.get(KEY_PREFIX + domain);
+        if (!entry) return null;
+        const ageSeconds = Math.max(0, Math.round((Date.now() - Date.parse(entry.checkedAt)) / 1000));
+        return { ...entry, cached: true, ageSeconds };
+    } catch (error) {
+        console.error(`Cache read failed for ${domain}:`, error.message);
+        return null;
+    }
+}
+
+export async function writeCachedResult(cache, result) {
+    const ttlMs = ttlFor(result);
+    if (!ttlMs) return;
+    try {
+        await cache.set(KEY_PREFIX + result.domain, result, ttlMs);
+    } catch (error) {
+        console.error(`Cache write failed for ${result.domain}:`, error.message);
+    }
+}
@@ -0,0 +1,74 @@
+// Prompt, schema description and output validation for the AI "categorize" mode, shared by the LLM providers.
+
+import { validateDomain } from './domain.js';
+import { buildPrompt } from './prompt.js';
+
+export const CATEGORY_EXAMPLES = ['Business', 'Technology', 'Creative', 'Short & Brandable'];
+
+// Domains the model left out, or put under a name that fails validation, end up here.
+export const FALLBACK_CATEGORY = 'Other';
+
+const MAX_CATEGORIES = 12;
+export const MAX_CATEGORY_LENGTH = 40;
+// Letters, digits, spaces and a little punctuation: enough for "Short & Brandable", nothing markup-like.
+const CATEGORY_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} &',.+-]*$/u;
+
+export function buildCategorizePrompt(domains) {
+    return buildPrompt(
+        `Categorize the domain names in "domains" into at most ${MAX_CATEGORIES} logical groups like ${CATEGORY_EXAMPLES.map(c => `"${c}"`).join(', ')}, etc. Category names are short plain words of at most ${MAX_CATEGORY_LENGTH} characters. Put every domain in exactly one category.`,
+        { domains },
+    );
+}
+
+function normalizeCategoryName(name) {
+    const category = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+    return category.length <= MAX_CATEGORY_LENGTH && CATEGORY_PATTERN.test(category) ? category : FALLBACK_CATEGORY;
+}
+
+/**
+ * Checks model output against the requested domains: only requested domains are kept, each in one
+ * category, category names must match CATEGORY_PATTERN, and anything left over goes to FALLBACK_CATEGORY.
+ * Returns [{ category, domains }] covering every requested domain.
+ */
+export function normalizeCategories(raw, domains) {
+    const requested = new Set(domains);
+    const assigned = new Map();
+    const groups = new Map();
+    for (const entry of Array.isArray(raw) ? raw : []) {
+        let category = normalizeCategoryName(entry?.category);
+        if (!groups.has(category) && groups.size >= MAX_CATEGORIES) category = FALLBACK_CATEGORY;
+        for (const candidate of Array.isArray(entry?.domains) ? entry.domains : []) {
+            // The model may answer with the Unicode form of an IDN.
+            const validation = typeof candidate === 'string' ? validateDomain(candidate) : { valid: false };
+            if (!validation.valid || !requested.has(validation.domain) || assigned.has(validation.domain)) continue;
+            assigned.set(validation.domain, category);
+            if (!groups.has(category)) groups.set(category, []);
+            groups.get(category).push(validation.domain);
+        }
+    }
+
+    const leftOver = domains.filter(domain => !assigned.has(domain));
+    if (leftOver.length > 0) {
+        groups.set(FALLBACK_CATEGORY, [...(groups.get(FALLBACK_CATEGORY) ?? []), ...leftOver]);
+    }
+    return [...groups].map(([category, categoryDomains]) => ({ category, domains: categoryDomains }));
+}
+
+/**
+ * Combines the categories of several batches (see batchAiDomains in prompt.js), joining same-named categories.
+ */
+export function mergeCategories(batches) {
+    const groups = new Map();
+    for (const { category, domains } of batches.flat()) {
+        groups.set(category, [...(groups.get(category) ?? []), ...domains]);
+    }
+    return [...groups].map(([category, domains]) => ({ category, domains }));
+}
+
+/**
+ * Asks an LLM provider (see llm/index.js) to group domains and validates the answer with normalizeCategories.
+ * domains should already have been through normalizeAiDomainList (see prompt.js).
+ */
+export async function categorizeDomains(provider, domains) {
+    return normalizeCategories(await provider.categorizeDomains(domains), domains);
+}
@@ -0,0 +1,141 @@
+import { createLookupScheduler } from './scheduler.js';
+import { verifyAvailableDomains, getRdapBaseUrl } from './rdap.js';
+import { createResolver } from './resolvers.js';
+import { createCache, readCachedResult, writeCachedResult } from './cache.js';
+import { validateDomain } from './domain.js';
+
+// Results worth another attempt: timeouts, network errors and non-2xx answers such as HTTP 429.
+const RETRYABLE = new Set(['Timeout', 'Error']);
+
+let defaultScheduler = null;
+let defaultResolver = null;
+let defaultCache;
+
+function readNumber(value, fallback) {
+    const number = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Returns the process-wide scheduler, configured from the environment:
+ * CHECK_CONCURRENCY, CHECK_RETRIES, CHECK_BACKOFF_MS and CHECK_RATE_LIMIT (requests per second per resolver).
+ */
+export function getLookupScheduler() {
+    if (!defaultScheduler) {
+        defaultScheduler = createLookupScheduler({
+            concurrency: readNumber(process.env.CHECK_CONCURRENCY, 20),
+            retries: readNumber(process.env.CHECK_RETRIES, 2),
+            backoffMs: readNumber(process.env.CHECK_BACKOFF_MS, 250),
+            requestsPerSecond: readNumber(process.env.CHECK_RATE_LIMIT, 50),
+            shouldRetry: (result) => RETRYABLE.has(result.availability),
+        });
+    }
+    return defaultScheduler;
+}
+
+/**
+ * Returns the resolver configured by DNS_RESOLVER (see resolvers.js), Cloudflare DoH by default.
+ */
+export function getDefaultResolver() {
+    if (!defaultResolver) {
+        defaultResolver = createResolver();
+    }
+    return defaultResolver;
+}
+
+/**
+ * Returns the process-wide availability cache selected by CACHE_BACKEND (see cache.js), or null when disabled.
+ */
+export function getDefaultCache() {
+    if (defaultCache === undefined) {
+        defaultCache = createCache();
+    }
+    return defaultCache;
+}
+
+// Helper to check domain availability with a single NS lookup through the given resolver
+export async function checkDomainAvailability(domain, {
+    resolver = getDefaultResolver(),
+    timeout = readNumber(process.env.CHECK_TIMEOUT_MS, 3000),
+} = {}) {
+    try {
+        // Use a timeout to prevent hanging requests
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+        try {
+            const { availability, answers } = await resolver.lookup(domain, { signal: controller.signal });
+            return answers
+                ? { domain, availability, resolver: resolver.name, answers }
+                : { domain, availability, resolver: resolver.name };
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    } catch (error) {
+        // Distinguish between timeout and other errors. HTTP errors such as 429 land in 'Error' so the scheduler retries them.
+        const availability = error.name === 'AbortError' ? 'Timeout' : 'Error';
+        console.error(`Error checking domain ${domain}:`, availability, error.message);
+        return { domain, availability, resolver: resolver.name, error: availability === 'Timeout' ? 'DNS lookup timed out' : error.message };
+    }
+}
+
+/**
+ * Checks a list of domains through the shared scheduler, then verifies DNS "Available" candidates via RDAP.
+ * Each entry is validated and reduced to its registrable ASCII form first; entries that fail come back
+ * as "Invalid" with the reason in error and are never sent to a resolver.
+ * resolver accepts anything createResolver does: a backend name, a list of names for consensus, or a resolver object.
+ * Fresh cached results are reused unless force is set; every result carries cached, ageSeconds and checkedAt.
+ * Resolves to the results in input order; onResult is called for each one as soon as it is ready.
+ * Domains still queued when the signal aborts are skipped.
+ */
+export async function checkDomains(domains, {
+    scheduler = getLookupScheduler(),
+    resolver,
+    cache = getDefaultCache(),
+    force = false,
+    onResult,
+    signal,
+} = {}) {
+    resolver = resolver ? createResolver(resolver) : getDefaultResolver();
+    const rateLimitKeys = resolver.resolvers ? resolver.resolvers.map(r => r.name) : resolver.name;
+
+    const results = await Promise.all(domains.map(async (input) => {
+        const validation = validateDomain(input);
+        if (!validation.valid) {
+            const invalidResult = { domain: validation.domain || String(input), availability: 'Invalid', error: validation.error };
+            onResult?.(invalidResult);
+            return invalidResult;
+        }
+        const { domain } = validation;
+
+        const cachedResult = cache && !force ? await readCachedResult(cache, domain) : null;
+        if (cachedResult) {
+            onResult?.(cachedResult);
+            return cachedResult;
+        }
+
+        let dnsResult;
+        let verified;
+        try {
+            // Rate limits are tracked per resolver, so the scheduler keys are the names of the backends queried.
+            dnsResult = await scheduler.schedule(rateLimitKeys, () => checkDomainAvailability(domain, { resolver }), { signal });
+            // RDAP requests go through the same concurrency cap, rate limited per registry server.
+            verified = dnsResult.availability === 'Available'
+                ? await scheduler.schedule(`rdap:${getRdapBaseUrl(domain)}`, async () => (await verifyAvailableDomains([dnsResult]))[0], { signal })
+                : dnsResult;
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            throw error;
+        }
+        // attempts and latencyMs describe the DNS lookup, not the RDAP stage.
+        const result = { ...verified, attempts: dnsResult.attempts, latencyMs: dnsResult.latencyMs, checkedAt: new Date().toISOString() };
+        if (cache) {
+            await writeCachedResult(cache, result);
+        }
+
+        const freshResult = { ...result, cached: false, ageSeconds: 0 };
+        onResult?.(freshResult);
+        return freshResult;
+    }));
+    return results.filter(Boolean);
+}
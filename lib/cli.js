@@ -0,0 +1,353 @@
+// The domain-finder command line: check, generate and categorize from scripts and CI, and the bulk-job worker.
+// bin/domain-finder.js only runs main(); everything else lives here so it can be imported and tested.
+
+import { parseArgs } from 'node:util';
+import { readFile } from 'node:fs/promises';
+import { checkDomains } from './check.js';
+import { createResolver } from './resolvers.js';
+import { toUnicode } from './domain.js';
+import { expandNames, getTldPreset, TLD_PRESETS } from './expand.js';
+import { parseTlds, normalizeGenerateOptions, generateDomains } from './generate.js';
+import { resolveProvider } from './llm/index.js';
+import { categorizeDomains, mergeCategories } from './categorize.js';
+import { normalizeAiDomainList, batchAiDomains } from './prompt.js';
+import { buildExportRows, toCsv } from './export.js';
+import { scoreDomain } from './scoring.js';
+import { getJobStore, runJobWorker } from './jobs.js';
+
+// 0: at least one domain is available, 1: none is, 2: bad usage or a failure,
+// 3: no lookup got an answer (every valid domain ended in Error or Timeout), e.g. the resolver is unreachable.
+export const EXIT_AVAILABLE = 0;
+export const EXIT_NONE_AVAILABLE = 1;
+export const EXIT_ERROR = 2;
+export const EXIT_LOOKUPS_FAILED = 3;
+
+const FAILED_STATES = new Set(['Error', 'Timeout']);
+
+export const OUTPUT_FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+const DEFAULT_WORKER_INTERVAL_S = 5;
+
+const USAGE = `Usage: domain-finder <command> [options] [domains...]
+
+Commands:
+  check [domains...]       Check availability. Domains come from the arguments, --file, or stdin.
+  generate                 Generate ideas with the configured LLM provider and check them.
+  categorize [domains...]  Group domains into categories with the LLM provider.
+  worker                   Process queued bulk-check jobs (JOB_STORE) until stopped with Ctrl-C or SIGTERM.
+
+Input (check, categorize):
+  -f, --file <path>        Read domains from a file, one per line ("-" for stdin). Repeatable.
+  -t, --tlds <list>        check: treat the input as bare names and try each with these TLDs, e.g. "com,io,ai".
+  -p, --preset <name>      check: like --tlds, with a bundled TLD set (${[...Object.keys(TLD_PRESETS), 'all'].join(', ')}).
+
+Generator (generate):
+  -k, --keywords <text>    What the names should be about (required).
+  -t, --tlds <list>        TLDs to generate for (required).
+  -n, --count <n>          How many ideas to ask for (default 30).
+      --max-length <n>     Longest name, without the TLD.
+      --style <style>      brandable, compound or exact-match. Repeatable.
+      --exclude <words>    Words the names must not contain.
+      --allow-hyphens      Allow hyphens in names.
+      --allow-numbers      Allow digits in names.
+      --model <name>       Override the provider's default model.
+      --no-check           Print the ideas without checking them.
+
+Worker (worker):
+      --interval <s>       Seconds to wait for new jobs when the queue is empty (default ${DEFAULT_WORKER_INTERVAL_S}).
+      --once               Exit once the queue is empty.
+
+Checking:
+  -r, --resolver <list>    DNS backend, or several for consensus, e.g. "cloudflare,google".
+      --force              Ignore cached results.
+      --no-cache           Don't read or write the availability cache.
+
+Output:
+  -o, --format <format>    ${OUTPUT_FORMATS.join(', ')} (default table).
+  -h, --help               Show this help.
+
+Exit status: 0 if any domain is available, 1 if none is, 2 on errors, 3 if every lookup failed.
+worker exits with 0 when stopped, 2 on errors.
+The resolver, cache and LLM provider are configured with the same environment variables as the server.`;
+
+const OPTIONS = {
+    file: { type: 'string', short: 'f', multiple: true },
+    tlds: { type: 'string', short: 't' },
+    preset: { type: 'string', short: 'p' },
+    keywords: { type: 'string', short: 'k' },
+    count: { type: 'string', short: 'n' },
+    'max-length': { type: 'string' },
+    style: { type: 'string', multiple: true },
+    exclude: { type: 'string' },
+    'allow-hyphens': { type: 'boolean' },
+    'allow-numbers': { type: 'boolean' },
+    model: { type: 'string' },
+    'no-check': { type: 'boolean' },
+    interval: { type: 'string' },
+    once: { type: 'boolean' },
+    resolver: { type: 'string', short: 'r' },
+    force: { type: 'boolean' },
+    'no-cache': { type: 'boolean' },
+    format: { type: 'string', short: 'o', default: 'table' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+// Thrown for mistakes in the command line; main() prints the message and exits with EXIT_ERROR.
+class UsageError extends Error {}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+// One entry per line; blank lines and # comments are skipped, and "name, note" keeps only the first field.
+function parseEntries(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.replace(/#.*/, '').split(/[,;\t]/)[0].trim())
+        .filter(Boolean);
+}
+
+async function readInputEntries(values, positionals, stdin) {
+    const entries = [...positionals];
+    for (const file of values.file ?? []) {
+        entries.push(...parseEntries(file === '-' ? await readStream(stdin) : await readFile(file, 'utf8')));
+    }
+    if (entries.length === 0 && !values.file && !stdin.isTTY) {
+        entries.push(...parseEntries(await readStream(stdin)));
+    }
+    if (entries.length === 0) {
+        throw new UsageError('No domains given. Pass them as arguments, with --file, or on stdin.');
+    }
+    return entries;
+}
+
+function expansionTlds(values) {
+    if (values.tlds && values.preset) {
+        throw new UsageError('Use either --tlds or --preset, not both.');
+    }
+    if (values.preset) {
+        const tlds = getTldPreset(values.preset);
+        if (!tlds) throw new UsageError(`Unknown preset "${values.preset}".`);
+        return tlds;
+    }
+    return values.tlds ? parseTlds(values.tlds) : null;
+}
+
+function checkOptions(values) {
+    let resolver;
+    if (values.resolver) {
+        try {
+            resolver = createResolver(values.resolver);
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+    }
+    return { resolver, force: Boolean(values.force), ...(values['no-cache'] ? { cache: null } : {}) };
+}
+
+function formatTable(rows) {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    return rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()).join('\n') + '\n';
+}
+
+function describeResult(result) {
+    if (result.error) return result.error;
+    if (result.registrar || result.expires) {
+        return [result.registrar, result.expires && `expires ${result.expires.slice(0, 10)}`].filter(Boolean).join(', ');
+    }
+    return result.cached ? 'cached' : '';
+}
+
+/**
+ * Checks the domains and writes the results. NDJSON is written as results arrive; the other formats
+ * once everything is checked, in input order. Returns the results.
+ */
+async function checkAndWrite(domains, values, stdout, { keywords } = {}) {
+    const ndjson = values.format === 'ndjson';
+    const results = await checkDomains(domains, {
+        ...checkOptions(values),
+        onResult: ndjson ? (result) => stdout.write(JSON.stringify(result) + '\n') : undefined,
+    });
+
+    if (values.format === 'json') {
+        stdout.write(JSON.stringify(results, null, 2) + '\n');
+    } else if (values.format === 'csv') {
+        stdout.write(toCsv(buildExportRows(results, { scoreFor: (domain) => scoreDomain(domain, { keywords }) })));
+    } else if (values.format === 'table') {
+        stdout.write(formatTable([
+            ['DOMAIN', 'STATUS', 'DETAILS'],
+            ...results.map(result => [toUnicode(result.domain), result.availability, describeResult(result)]),
+        ]));
+    }
+    return results;
+}
+
+function exitCodeFor(results) {
+    if (results.some(result => result.availability === 'Available')) return EXIT_AVAILABLE;
+    const looked = results.filter(result => result.availability !== 'Invalid');
+    return looked.length > 0 && looked.every(result => FAILED_STATES.has(result.availability)) ? EXIT_LOOKUPS_FAILED : EXIT_NONE_AVAILABLE;
+}
+
+function requireProvider(stderr) {
+    const { provider, error } = resolveProvider();
+    if (error) throw new Error(error);
+    if (provider.name === 'mock') {
+        stderr.write('No LLM provider is configured; using the offline mock provider.\n');
+    }
+    return provider;
+}
+
+async function runCheck(values, positionals, io) {
+    let domains = await readInputEntries(values, positionals, io.stdin);
+    const tlds = expansionTlds(values);
+    if (tlds) {
+        domains = expandNames(domains, tlds).map(pair => pair.domain);
+    }
+    return exitCodeFor(await checkAndWrite(domains, values, io.stdout));
+}
+
+async function runGenerate(values, positionals, io) {
+    if (positionals.length > 0) {
+        throw new UsageError(`generate takes no domains; got "${positionals[0]}".`);
+    }
+    const { options, error } = normalizeGenerateOptions({
+        keywords: values.keywords,
+        tlds: values.tlds,
+        count: values.count === undefined ? undefined : Number(values.count),
+        maxLength: values['max-length'] === undefined ? undefined : Number(values['max-length']),
+        styles: values.style,
+        exclude: values.exclude,
+        allowHyphens: values['allow-hyphens'],
+        allowNumbers: values['allow-numbers'],
+        model: values.model,
+    });
+    if (error) throw new UsageError(error);
+
+    const domains = await generateDomains(requireProvider(io.stderr), options);
+    if (values['no-check']) {
+        if (values.format === 'json') io.stdout.write(JSON.stringify(domains, null, 2) + '\n');
+        else if (values.format === 'ndjson') domains.forEach(domain => io.stdout.write(JSON.stringify({ domain }) + '\n'));
+        else if (values.format === 'csv') io.stdout.write(['domain', ...domains].join('\r\n') + '\r\n');
+        else io.stdout.write(domains.map(toUnicode).join('\n') + (domains.length > 0 ? '\n' : ''));
+        return domains.length > 0 ? EXIT_AVAILABLE : EXIT_NONE_AVAILABLE;
+    }
+    if (domains.length === 0) {
+        io.stderr.write('The provider returned no usable ideas.\n');
+        return EXIT_NONE_AVAILABLE;
+    }
+    return exitCodeFor(await checkAndWrite(domains, values, io.stdout, { keywords: options.keywords }));
+}
+
+async function runCategorize(values, positionals, io) {
+    const entries = await readInputEntries(values, positionals, io.stdin);
+    const provider = requireProvider(io.stderr);
+    const batches = [];
+    for (const batch of batchAiDomains(entries)) {
+        const { domains, error } = normalizeAiDomainList(batch);
+        if (error) throw new UsageError(error);
+        batches.push(await categorizeDomains(provider, domains));
+    }
+    const categories = mergeCategories(batches);
+    const pairs = categories.flatMap(({ category, domains: categoryDomains }) => categoryDomains.map(domain => [category, domain]));
+
+    if (values.format === 'json') {
+        io.stdout.write(JSON.stringify(categories, null, 2) + '\n');
+    } else if (values.format === 'ndjson') {
+        categories.forEach(category => io.stdout.write(JSON.stringify(category) + '\n'));
+    } else if (values.format === 'csv') {
+        // Unchecked, so the status column stays empty; the scores don't depend on availability.
+        const rows = buildExportRows(pairs.map(([, domain]) => ({ domain, availability: '' })), { categories: new Map(pairs.map(([category, domain]) => [domain, category])) })
+            .map(row => {
+                const { score, breakdown } = scoreDomain(row.domain);
+                return { ...row, score, scoreBreakdown: breakdown };
+            });
+        io.stdout.write(toCsv(rows));
+    } else {
+        io.stdout.write(formatTable([['CATEGORY', 'DOMAIN'], ...pairs.map(([category, domain]) => [category, toUnicode(domain)])]));
+    }
+    return EXIT_AVAILABLE;
+}
+
+// Resolves after ms, or early when the signal aborts.
+function wait(ms, signal) {
+    return new Promise(resolve => {
+        const timer = setTimeout(done, ms);
+        signal.addEventListener('abort', done, { once: true });
+        function done() {
+            clearTimeout(timer);
+            signal.removeEventListener('abort', done);
+            resolve();
+        }
+    });
+}
+
+/**
+ * Runs the job worker in this process, for setups without Vercel Cron (see api/jobs-worker.js).
+ * A job in progress when the worker stops goes back to the queue after its current chunk.
+ */
+async function runWorker(values, positionals, io) {
+    if (positionals.length > 0) {
+        throw new UsageError(`worker takes no domains; got "${positionals[0]}".`);
+    }
+    const interval = values.interval === undefined ? DEFAULT_WORKER_INTERVAL_S : Number(values.interval);
+    if (!(interval > 0)) {
+        throw new UsageError('--interval must be a positive number of seconds.');
+    }
+
+    const store = await getJobStore();
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    const signal = io.signal ?? controller.signal;
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    try {
+        io.stderr.write(`Waiting for jobs (${process.env.JOB_STORE || 'file'} store)...\n`);
+        while (!signal.aborted) {
+            const { processed } = await runJobWorker({ store, signal });
+            for (const id of processed) {
+                const job = await store.get(id);
+                io.stderr.write(`Job ${id}: ${job?.status ?? 'deleted'}, ${job?.processed ?? 0}/${job?.total ?? 0} checked.\n`);
+            }
+            if (values.once && !processed.length) break;
+            if (!processed.length) await wait(interval * 1000, signal);
+        }
+    } finally {
+        process.off('SIGINT', stop);
+        process.off('SIGTERM', stop);
+    }
+    return EXIT_AVAILABLE;
+}
+
+const COMMANDS = { check: runCheck, generate: runGenerate, categorize: runCategorize, worker: runWorker };
+
+/**
+ * Runs the CLI with argv (without "node" and the script path). io defaults to the process streams;
+ * io.signal, when given, stops the worker instead of SIGINT and SIGTERM.
+ * Resolves to the exit code.
+ */
+export async function main(argv, io = { stdin: process.stdin, stdout: process.stdout, stderr: process.stderr }) {
+    try {
+        const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        const [command, ...rest] = positionals;
+        if (values.help || command === 'help') {
+            io.stdout.write(USAGE + '\n');
+            return EXIT_AVAILABLE;
+        }
+        if (!COMMANDS[command]) {
+            throw new UsageError(command ? `Unknown command "${command}".` : 'No command given.');
+        }
+        if (!OUTPUT_FORMATS.includes(values.format)) {
+            throw new UsageError(`--format must be one of: ${OUTPUT_FORMATS.join(', ')}.`);
+        }
+        return await COMMANDS[command](values, rest, io);
+    } catch (error) {
+        // parseArgs reports unknown options and missing values with ERR_PARSE_ARGS_* codes.
+        if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+            io.stderr.write(`domain-finder: ${error.message}\nRun "domain-finder --help" for usage.\n`);
+        } else {
+            io.stderr.write(`domain-finder: ${error.message}\n`);
+        }
+        return EXIT_ERROR;
+    }
+}
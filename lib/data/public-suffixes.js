@@ -0,0 +1,44 @@
+// ICANN-section entries from the Public Suffix List (https://publicsuffix.org/list/) for the suffixes
+// people actually register under. Every TLD in tlds.js is implicitly a suffix too. Private-section
+// entries (github.io, vercel.app, ...) are left out on purpose: names under them can't be registered.
+export const PUBLIC_SUFFIXES = [
+    'co.uk', 'org.uk', 'me.uk', 'ltd.uk', 'plc.uk', 'net.uk', 'ac.uk', 'gov.uk', 'sch.uk', 'nhs.uk', 'police.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au', 'asn.au', 'id.au',
+    'co.nz', 'net.nz', 'org.nz', 'ac.nz', 'govt.nz', 'geek.nz', 'gen.nz', 'kiwi.nz', 'maori.nz', 'school.nz',
+    'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'ad.jp', 'ed.jp', 'go.jp', 'gr.jp', 'lg.jp',
+    'com.br', 'net.br', 'org.br', 'gov.br', 'edu.br', 'art.br', 'blog.br', 'eco.br', 'emp.br', 'ind.br', 'inf.br',
+    'com.cn', 'net.cn', 'org.cn', 'gov.cn', 'edu.cn', 'ac.cn',
+    'co.in', 'net.in', 'org.in', 'firm.in', 'gen.in', 'ind.in', 'ac.in', 'edu.in', 'gov.in', 'res.in',
+    'co.za', 'org.za', 'net.za', 'web.za', 'gov.za', 'ac.za',
+    'com.mx', 'net.mx', 'org.mx', 'gob.mx', 'edu.mx',
+    'com.ar', 'net.ar', 'org.ar', 'gob.ar', 'edu.ar', 'int.ar',
+    'co.kr', 'ne.kr', 'or.kr', 're.kr', 'pe.kr', 'go.kr', 'ac.kr',
+    'com.sg', 'net.sg', 'org.sg', 'edu.sg', 'gov.sg', 'per.sg',
+    'com.hk', 'net.hk', 'org.hk', 'edu.hk', 'gov.hk', 'idv.hk',
+    'com.tw', 'net.tw', 'org.tw', 'edu.tw', 'gov.tw', 'idv.tw',
+    'co.il', 'org.il', 'net.il', 'ac.il', 'gov.il', 'muni.il',
+    'co.id', 'or.id', 'web.id', 'ac.id', 'go.id', 'my.id', 'biz.id',
+    'com.my', 'net.my', 'org.my', 'edu.my', 'gov.my',
+    'com.ph', 'net.ph', 'org.ph', 'edu.ph', 'gov.ph',
+    'com.vn', 'net.vn', 'org.vn', 'edu.vn', 'gov.vn',
+    'com.pk', 'net.pk', 'org.pk', 'edu.pk', 'gov.pk',
+    'com.ng', 'net.ng', 'org.ng', 'edu.ng', 'gov.ng',
+    'co.ke', 'or.ke', 'ne.ke', 'ac.ke', 'go.ke',
+    'com.eg', 'net.eg', 'org.eg', 'edu.eg', 'gov.eg',
+    'com.sa', 'net.sa', 'org.sa', 'edu.sa', 'gov.sa',
+    'com.tr', 'net.tr', 'org.tr', 'biz.tr', 'gen.tr', 'web.tr', 'edu.tr', 'gov.tr',
+    'com.ua', 'net.ua', 'org.ua', 'in.ua', 'kiev.ua', 'edu.ua', 'gov.ua',
+    'com.co', 'net.co', 'org.co', 'nom.co', 'edu.co', 'gov.co',
+    'com.pe', 'net.pe', 'org.pe', 'nom.pe', 'edu.pe', 'gob.pe',
+    'gob.cl', 'gov.cl',
+    'com.es', 'nom.es', 'org.es', 'gob.es', 'edu.es',
+    'com.pl', 'net.pl', 'org.pl', 'info.pl', 'biz.pl', 'waw.pl', 'gov.pl', 'edu.pl',
+    'com.ru', 'net.ru', 'org.ru', 'pp.ru', 'msk.ru', 'spb.ru',
+    'asso.fr', 'com.fr', 'gouv.fr', 'nom.fr',
+    'ac.be',
+    'co.at', 'or.at', 'ac.at', 'gv.at',
+    'com.gr', 'net.gr', 'org.gr', 'edu.gr', 'gov.gr',
+    'com.pt', 'org.pt', 'edu.pt', 'gov.pt',
+    'gov.ie',
+    'ny.us', 'ca.us', 'tx.us', 'fl.us', 'wa.us',
+];
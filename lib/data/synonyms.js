@@ -0,0 +1,75 @@
+// Interchangeable words for synonym swaps in the variation engine. Every word in a group can replace the others.
+export const SYNONYM_GROUPS = [
+    ['fast', 'quick', 'rapid', 'swift', 'speedy'],
+    ['smart', 'clever', 'bright', 'wise'],
+    ['easy', 'simple', 'basic', 'clear'],
+    ['big', 'grand', 'mega', 'large'],
+    ['small', 'mini', 'tiny', 'little'],
+    ['new', 'fresh', 'modern', 'next'],
+    ['top', 'best', 'prime', 'peak', 'elite'],
+    ['good', 'great', 'fine', 'nice'],
+    ['shop', 'store', 'market', 'mart', 'outlet'],
+    ['buy', 'get', 'grab', 'order'],
+    ['sell', 'trade', 'deal'],
+    ['home', 'house', 'nest', 'place'],
+    ['hub', 'center', 'base', 'spot', 'point'],
+    ['lab', 'labs', 'studio', 'works', 'shop'],
+    ['team', 'crew', 'squad', 'group', 'tribe'],
+    ['build', 'make', 'craft', 'forge', 'create'],
+    ['start', 'launch', 'begin', 'boot'],
+    ['go', 'run', 'move', 'drive'],
+    ['find', 'seek', 'search', 'scout', 'hunt'],
+    ['look', 'see', 'view', 'watch', 'eye'],
+    ['talk', 'chat', 'speak', 'say'],
+    ['note', 'memo', 'jot', 'log'],
+    ['list', 'index', 'catalog', 'directory'],
+    ['book', 'page', 'read'],
+    ['link', 'bridge', 'connect', 'join'],
+    ['flow', 'stream', 'wave', 'current'],
+    ['cloud', 'sky', 'air'],
+    ['spark', 'flash', 'bolt', 'flare'],
+    ['fire', 'flame', 'blaze', 'burn'],
+    ['light', 'glow', 'shine', 'beam'],
+    ['sun', 'solar', 'day'],
+    ['star', 'nova', 'astro'],
+    ['earth', 'world', 'globe', 'planet', 'terra'],
+    ['green', 'eco', 'leaf', 'verde'],
+    ['blue', 'azure', 'sky'],
+    ['money', 'cash', 'coin', 'fund', 'pay'],
+    ['bank', 'vault', 'safe'],
+    ['care', 'aid', 'help', 'support'],
+    ['health', 'well', 'vital', 'cure'],
+    ['fit', 'strong', 'active', 'power'],
+    ['food', 'eat', 'meal', 'dish', 'kitchen'],
+    ['pet', 'paw', 'pup', 'dog'],
+    ['kid', 'kids', 'child', 'young'],
+    ['travel', 'trip', 'tour', 'journey', 'voyage'],
+    ['car', 'auto', 'motor', 'ride'],
+    ['job', 'work', 'career', 'gig'],
+    ['learn', 'study', 'school', 'academy'],
+    ['code', 'dev', 'script', 'program'],
+    ['data', 'info', 'facts', 'stats'],
+    ['ai', 'bot', 'mind', 'brain'],
+    ['app', 'tool', 'kit', 'gear'],
+    ['net', 'web', 'online', 'digital'],
+    ['box', 'crate', 'pack', 'kit'],
+    ['secure', 'safe', 'guard', 'shield', 'lock'],
+    ['key', 'pass', 'access'],
+    ['plan', 'map', 'chart', 'route'],
+    ['idea', 'notion', 'concept', 'spark'],
+    ['pro', 'expert', 'master', 'ace'],
+    ['true', 'real', 'pure', 'genuine'],
+    ['one', 'solo', 'uno', 'single'],
+    ['daily', 'everyday', 'always'],
+    ['happy', 'joy', 'glad', 'merry'],
+    ['calm', 'zen', 'still', 'quiet'],
+    ['bold', 'brave', 'daring', 'epic'],
+    ['city', 'town', 'metro', 'urban'],
+    ['art', 'design', 'pixel', 'canvas'],
+    ['sound', 'audio', 'sonic', 'tune'],
+    ['photo', 'pic', 'snap', 'shot'],
+    ['video', 'film', 'clip', 'reel'],
+    ['game', 'play', 'fun', 'arcade'],
+    ['news', 'daily', 'report', 'press'],
+    ['event', 'meet', 'gather', 'summit'],
+];
@@ -0,0 +1,19 @@
+// Curated TLD presets for expansion mode. Every entry must also be in tlds.js.
+export const TLD_PRESETS = {
+    popular: {
+        label: 'Popular',
+        tlds: ['com', 'net', 'org', 'io', 'co', 'ai', 'app', 'dev', 'me', 'info', 'biz', 'xyz'],
+    },
+    tech: {
+        label: 'Tech',
+        tlds: ['io', 'ai', 'app', 'dev', 'tech', 'cloud', 'software', 'digital', 'network', 'systems', 'codes', 'data', 'site', 'online', 'tools', 'computer'],
+    },
+    country: {
+        label: 'Country codes',
+        tlds: ['us', 'uk', 'ca', 'de', 'fr', 'nl', 'es', 'it', 'se', 'ch', 'at', 'be', 'dk', 'no', 'fi', 'pl', 'ie', 'au', 'nz', 'in', 'jp', 'sg', 'br', 'mx'],
+    },
+    newGtlds: {
+        label: 'New gTLDs',
+        tlds: ['xyz', 'online', 'site', 'store', 'shop', 'tech', 'space', 'website', 'blog', 'club', 'live', 'life', 'world', 'today', 'studio', 'design', 'agency', 'media', 'group', 'solutions'],
+    },
+};
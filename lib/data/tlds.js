@@ -0,0 +1,54 @@
+// Known top-level domains: every ISO 3166 ccTLD plus the legacy and commonly registered new gTLDs,
+// and a handful of IDN ccTLDs in their punycode form. Entries not in this list are rejected as unknown.
+export const KNOWN_TLDS = [
+    'ac', 'academy', 'accountant', 'accountants', 'actor', 'ad', 'ae', 'aero', 'af', 'ag', 'agency', 'ai',
+    'al', 'am', 'ao', 'apartments', 'app', 'aq', 'ar', 'art', 'as', 'asia', 'at', 'au', 'auction', 'audio',
+    'auto', 'aw', 'ax', 'az', 'ba', 'band', 'bar', 'bargains', 'bb', 'bd', 'be', 'beer', 'best', 'bet', 'bf',
+    'bg', 'bh', 'bi', 'bid', 'bike', 'bio', 'biz', 'bj', 'black', 'blog', 'blue', 'bm', 'bn', 'bo',
+    'boutique', 'br', 'bs', 'bt', 'build', 'builders', 'business', 'buzz', 'bw', 'by', 'bz', 'ca', 'cab',
+    'cafe', 'cam', 'camera', 'camp', 'capital', 'cards', 'care', 'career', 'careers', 'cash', 'casino',
+    'catering', 'cc', 'cd', 'center', 'cf', 'cg', 'ch', 'chat', 'cheap', 'church', 'ci', 'city', 'ck', 'cl',
+    'claims', 'cleaning', 'click', 'clinic', 'clothing', 'cloud', 'club', 'cm', 'cn', 'co', 'coach', 'codes',
+    'coffee', 'college', 'com', 'community', 'company', 'computer', 'condos', 'construction', 'consulting',
+    'contractors', 'cool', 'coop', 'coupons', 'cr', 'credit', 'creditcard', 'cruises', 'cu', 'cv', 'cw', 'cx',
+    'cy', 'cz', 'dance', 'data', 'date', 'dating', 'de', 'deals', 'degree', 'delivery', 'dental', 'design',
+    'dev', 'diamonds', 'diet', 'digital', 'direct', 'directory', 'discount', 'dj', 'dk', 'dm', 'do', 'dog',
+    'domains', 'download', 'dz', 'earth', 'ec', 'eco', 'edu', 'education', 'ee', 'eg', 'email', 'energy',
+    'engineer', 'engineering', 'enterprises', 'equipment', 'er', 'es', 'estate', 'et', 'eu', 'events',
+    'exchange', 'expert', 'exposed', 'express', 'fail', 'faith', 'family', 'fans', 'farm', 'fashion', 'fi',
+    'film', 'finance', 'financial', 'fish', 'fitness', 'fj', 'fk', 'flights', 'florist', 'fm', 'fo',
+    'football', 'forsale', 'foundation', 'fr', 'fun', 'fund', 'furniture', 'futbol', 'fyi', 'ga', 'gallery',
+    'game', 'games', 'garden', 'gd', 'ge', 'gf', 'gg', 'gh', 'gi', 'gift', 'gifts', 'gives', 'gl', 'glass',
+    'global', 'gm', 'gmbh', 'gn', 'gold', 'golf', 'gov', 'gp', 'gq', 'gr', 'graphics', 'gratis', 'green',
+    'gripe', 'group', 'gs', 'gt', 'gu', 'guide', 'guitars', 'guru', 'gw', 'gy', 'health', 'healthcare',
+    'help', 'hiphop', 'hk', 'hm', 'hn', 'hockey', 'holdings', 'holiday', 'horse', 'host', 'hosting', 'house',
+    'how', 'hr', 'ht', 'hu', 'id', 'ie', 'il', 'im', 'immo', 'immobilien', 'in', 'inc', 'industries', 'info',
+    'ink', 'institute', 'insure', 'int', 'international', 'investments', 'io', 'iq', 'ir', 'irish', 'is',
+    'it', 'je', 'jetzt', 'jewelry', 'jm', 'jo', 'jobs', 'jp', 'kaufen', 'ke', 'kg', 'kh', 'ki', 'kim',
+    'kitchen', 'km', 'kn', 'kp', 'kr', 'kw', 'ky', 'kz', 'la', 'land', 'lawyer', 'lb', 'lc', 'lease', 'legal',
+    'lgbt', 'li', 'life', 'lighting', 'limited', 'limo', 'link', 'live', 'lk', 'llc', 'loan', 'loans', 'lol',
+    'london', 'love', 'lr', 'ls', 'lt', 'ltd', 'lu', 'luxury', 'lv', 'ly', 'ma', 'maison', 'management',
+    'market', 'marketing', 'mba', 'mc', 'md', 'me', 'media', 'memorial', 'men', 'menu', 'mg', 'mh', 'mil',
+    'mk', 'ml', 'mm', 'mn', 'mo', 'mobi', 'moda', 'moe', 'mom', 'money', 'monster', 'mortgage', 'movie', 'mp',
+    'mq', 'mr', 'ms', 'mt', 'mu', 'museum', 'mv', 'mw', 'mx', 'my', 'mz', 'na', 'name', 'nc', 'ne', 'net',
+    'network', 'new', 'news', 'nf', 'ng', 'ni', 'ninja', 'nl', 'no', 'np', 'nr', 'nu', 'nz', 'om', 'one',
+    'online', 'ooo', 'org', 'pa', 'page', 'partners', 'parts', 'party', 'pe', 'pet', 'pf', 'pg', 'ph',
+    'photo', 'photography', 'photos', 'pics', 'pictures', 'pink', 'pizza', 'pk', 'pl', 'place', 'plumbing',
+    'plus', 'pm', 'pn', 'poker', 'porn', 'pr', 'press', 'pro', 'productions', 'promo', 'properties',
+    'property', 'ps', 'pt', 'pub', 'pw', 'py', 'qa', 'qpon', 'racing', 'radio', 're', 'realestate', 'realty',
+    'recipes', 'red', 'rehab', 'reise', 'reisen', 'rent', 'rentals', 'repair', 'report', 'republican', 'rest',
+    'restaurant', 'review', 'reviews', 'rich', 'rip', 'ro', 'rocks', 'rs', 'ru', 'run', 'rw', 'sa', 'sale',
+    'salon', 'sarl', 'sb', 'sc', 'school', 'schule', 'science', 'sd', 'se', 'services', 'sexy', 'sg', 'sh',
+    'shiksha', 'shoes', 'shop', 'shopping', 'show', 'si', 'singles', 'site', 'sk', 'ski', 'sl', 'sm', 'sn',
+    'so', 'soccer', 'social', 'software', 'solar', 'solutions', 'space', 'sr', 'ss', 'st', 'store', 'stream',
+    'studio', 'study', 'style', 'su', 'sucks', 'supplies', 'supply', 'support', 'surf', 'surgery', 'sv', 'sx',
+    'sy', 'systems', 'sz', 'tattoo', 'tax', 'taxi', 'tc', 'td', 'team', 'tech', 'technology', 'tel', 'tennis',
+    'tf', 'tg', 'th', 'theater', 'tickets', 'tienda', 'tips', 'tires', 'tj', 'tk', 'tl', 'tm', 'tn', 'to',
+    'today', 'tools', 'top', 'tours', 'town', 'toys', 'tr', 'trade', 'trading', 'training', 'travel', 'tt',
+    'tube', 'tv', 'tw', 'tz', 'ua', 'ug', 'uk', 'university', 'uno', 'us', 'uy', 'uz', 'va', 'vacations',
+    'vc', 've', 'vegas', 'ventures', 'vet', 'vg', 'vi', 'viajes', 'video', 'villas', 'vin', 'vip', 'vision',
+    'vn', 'vodka', 'vote', 'voto', 'voyage', 'vu', 'wang', 'watch', 'webcam', 'website', 'wedding', 'wf',
+    'wiki', 'win', 'wine', 'work', 'works', 'world', 'ws', 'wtf', 'xn--3e0b707e', 'xn--80asehdb',
+    'xn--80aswg', 'xn--90ais', 'xn--c1avg', 'xn--fiqs8s', 'xn--fiqz9s', 'xn--i1b6b1a6a2e', 'xn--j1amh',
+    'xn--mgbaam7a8h', 'xn--p1ai', 'xn--wgbh1c', 'xyz', 'ye', 'yoga', 'yt', 'za', 'zm', 'zone', 'zw',
+];
@@ -0,0 +1,59 @@
+// Common English words that show up in domain names, used to split names into dictionary words.
+export const WORDS = [
+    'able', 'about', 'access', 'act', 'action', 'active', 'ad', 'add', 'admin', 'ads', 'agency', 'agent',
+    'ai', 'air', 'alert', 'all', 'alpha', 'amp', 'analytics', 'angel', 'ant', 'app', 'apps', 'arc', 'area',
+    'arena', 'art', 'ask', 'asset', 'atlas', 'audio', 'auto', 'aware', 'axis', 'baby', 'back', 'bag', 'bank',
+    'bar', 'base', 'basic', 'bay', 'beam', 'bean', 'bear', 'beat', 'bee', 'bell', 'best', 'bet', 'big',
+    'bike', 'bill', 'bio', 'bird', 'bit', 'black', 'blade', 'blend', 'block', 'blog', 'bloom', 'blue',
+    'board', 'boat', 'body', 'bold', 'bolt', 'bond', 'book', 'boost', 'boot', 'bot', 'box', 'brain', 'brand',
+    'brave', 'bread', 'bridge', 'bright', 'bring', 'bud', 'buddy', 'build', 'bull', 'buy', 'buzz', 'byte',
+    'cafe', 'call', 'calm', 'camp', 'can', 'cap', 'capital', 'car', 'card', 'care', 'cart', 'case', 'cash',
+    'cast', 'cat', 'cell', 'center', 'chain', 'chart', 'chat', 'check', 'chef', 'chip', 'city', 'claim',
+    'class', 'clean', 'clear', 'click', 'client', 'climb', 'clip', 'clock', 'cloud', 'club', 'coach', 'code',
+    'coin', 'cold', 'color', 'cook', 'cool', 'core', 'corn', 'cost', 'craft', 'crew', 'cross', 'crowd',
+    'crown', 'cube', 'cup', 'cure', 'cyber', 'daily', 'dash', 'data', 'date', 'day', 'deal', 'deck', 'deep',
+    'deli', 'desk', 'dev', 'dial', 'diet', 'dig', 'digital', 'direct', 'disk', 'doc', 'dock', 'dog', 'dollar',
+    'door', 'dot', 'dream', 'drive', 'drop', 'duck', 'dynamic', 'eagle', 'earth', 'easy', 'eat', 'echo',
+    'eco', 'edge', 'edit', 'egg', 'elite', 'email', 'energy', 'engine', 'epic', 'event', 'ever', 'expert',
+    'eye', 'face', 'fact', 'fair', 'faith', 'fan', 'farm', 'fast', 'fee', 'feed', 'field', 'file', 'film',
+    'find', 'fine', 'fire', 'first', 'fish', 'fit', 'five', 'fix', 'flag', 'flash', 'fleet', 'flex', 'flight',
+    'flow', 'fly', 'focus', 'folk', 'food', 'force', 'forge', 'form', 'fort', 'forward', 'fox', 'frame',
+    'free', 'fresh', 'friend', 'front', 'fruit', 'fuel', 'fun', 'fund', 'future', 'gain', 'game', 'garden',
+    'gate', 'gear', 'gem', 'genius', 'get', 'giant', 'gift', 'glass', 'global', 'glow', 'go', 'goal', 'gold',
+    'good', 'grab', 'grace', 'grade', 'grand', 'graph', 'green', 'grid', 'grill', 'grip', 'group', 'grow',
+    'guard', 'guide', 'guru', 'gym', 'hack', 'hair', 'half', 'hand', 'happy', 'harbor', 'hat', 'hawk', 'head',
+    'health', 'heart', 'heat', 'help', 'hero', 'high', 'hill', 'hire', 'hit', 'hive', 'hold', 'home', 'honey',
+    'hook', 'hope', 'host', 'hot', 'house', 'hub', 'hunt', 'ice', 'icon', 'idea', 'image', 'impact', 'inbox',
+    'index', 'info', 'ink', 'insight', 'iron', 'island', 'jet', 'job', 'join', 'joy', 'juice', 'jump', 'just',
+    'keen', 'key', 'kid', 'kind', 'king', 'kit', 'kite', 'lab', 'land', 'lane', 'laser', 'launch', 'law',
+    'layer', 'lead', 'leaf', 'lean', 'learn', 'legal', 'lens', 'level', 'life', 'lift', 'light', 'like',
+    'lime', 'line', 'link', 'lion', 'list', 'live', 'loan', 'local', 'lock', 'logic', 'look', 'loop', 'love',
+    'luck', 'lux', 'mad', 'magic', 'mail', 'main', 'maker', 'man', 'map', 'mark', 'market', 'mart', 'master',
+    'match', 'mate', 'max', 'meal', 'media', 'meet', 'mega', 'menu', 'merge', 'mesh', 'meta', 'metal',
+    'method', 'micro', 'mind', 'mint', 'mission', 'mix', 'mobile', 'mode', 'money', 'monkey', 'moon', 'more',
+    'motion', 'motor', 'mountain', 'move', 'movie', 'music', 'name', 'nation', 'native', 'nature', 'near',
+    'neat', 'nest', 'net', 'new', 'news', 'next', 'nice', 'night', 'ninja', 'noble', 'node', 'north', 'note',
+    'nova', 'now', 'oak', 'ocean', 'offer', 'office', 'one', 'open', 'optic', 'orange', 'orbit', 'order',
+    'organic', 'origin', 'owl', 'pace', 'pack', 'page', 'paint', 'pal', 'palm', 'panda', 'paper', 'park',
+    'pass', 'path', 'pay', 'peak', 'pen', 'people', 'pet', 'phone', 'photo', 'pick', 'pilot', 'pin', 'pine',
+    'pink', 'pipe', 'pitch', 'pixel', 'pizza', 'place', 'plan', 'plant', 'play', 'plus', 'pod', 'point',
+    'polar', 'pool', 'pop', 'port', 'post', 'power', 'press', 'prime', 'print', 'pro', 'profit', 'prompt',
+    'proof', 'pulse', 'pump', 'pure', 'push', 'quest', 'quick', 'quiz', 'race', 'radar', 'radio', 'rain',
+    'rank', 'rapid', 'rate', 'raw', 'ray', 'reach', 'ready', 'real', 'red', 'rent', 'rest', 'rich', 'ride',
+    'right', 'ring', 'rise', 'river', 'road', 'robot', 'rock', 'rocket', 'roof', 'room', 'root', 'rose',
+    'route', 'royal', 'run', 'rush', 'safe', 'sage', 'sail', 'sale', 'salt', 'sand', 'save', 'scale', 'scan',
+    'scene', 'school', 'scope', 'score', 'scout', 'sea', 'seed', 'sell', 'send', 'sense', 'serve', 'set',
+    'shape', 'share', 'sharp', 'shelf', 'shield', 'shift', 'shine', 'ship', 'shop', 'shot', 'show', 'side',
+    'sign', 'signal', 'silk', 'silver', 'simple', 'site', 'skill', 'sky', 'smart', 'smile', 'snap', 'social',
+    'soft', 'solar', 'solid', 'sound', 'source', 'space', 'spark', 'speed', 'sphere', 'spice', 'spin', 'spot',
+    'spring', 'square', 'stack', 'stage', 'star', 'start', 'state', 'station', 'step', 'stock', 'stone',
+    'store', 'storm', 'story', 'stream', 'street', 'strong', 'studio', 'style', 'sugar', 'summit', 'sun',
+    'super', 'sure', 'swift', 'switch', 'sync', 'system', 'table', 'tag', 'tail', 'talent', 'talk', 'tank',
+    'target', 'task', 'taste', 'tax', 'team', 'tech', 'ten', 'test', 'text', 'think', 'tide', 'tiger', 'time',
+    'tiny', 'tip', 'titan', 'today', 'token', 'tool', 'top', 'touch', 'tour', 'tower', 'town', 'track',
+    'trade', 'trail', 'train', 'travel', 'tree', 'trend', 'tribe', 'trip', 'true', 'trust', 'truth', 'tube',
+    'turbo', 'twin', 'unit', 'up', 'urban', 'user', 'value', 'vault', 'venture', 'verse', 'via', 'vibe',
+    'video', 'view', 'villa', 'vision', 'vital', 'voice', 'volt', 'vote', 'wall', 'wave', 'way', 'wealth',
+    'web', 'well', 'west', 'whale', 'wild', 'win', 'wind', 'wing', 'wise', 'wolf', 'wonder', 'wood', 'word',
+    'work', 'world', 'yard', 'year', 'yes', 'yoga', 'zen', 'zero', 'zone',
+];
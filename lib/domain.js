@@ -0,0 +1,183 @@
+// Domain syntax validation shared by the browser client and the API.
+// Works in both environments: no Node built-ins, IDN conversion goes through the WHATWG URL parser.
+
+import { KNOWN_TLDS } from './data/tlds.js';
+import { PUBLIC_SUFFIXES } from './data/public-suffixes.js';
+
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_LABEL_LENGTH = 63;
+const ACE_PREFIX = 'xn--';
+
+const knownTlds = new Set(KNOWN_TLDS);
+const publicSuffixes = new Set(PUBLIC_SUFFIXES);
+
+// RFC 3492 (Punycode) parameters
+const BASE = 36;
+const T_MIN = 1;
+const T_MAX = 26;
+const SKEW = 38;
+const DAMP = 700;
+const INITIAL_BIAS = 72;
+const INITIAL_N = 128;
+
+function adaptBias(delta, numPoints, firstTime) {
+    delta = firstTime ? Math.floor(delta / DAMP) : delta >> 1;
+    delta += Math.floor(delta / numPoints);
+    let k = 0;
+    while (delta > ((BASE - T_MIN) * T_MAX) >> 1) {
+        delta = Math.floor(delta / (BASE - T_MIN));
+        k += BASE;
+    }
+    return k + Math.floor(((BASE - T_MIN + 1) * delta) / (delta + SKEW));
+}
+
+function basicToDigit(codePoint) {
+    if (codePoint >= 0x30 && codePoint <= 0x39) return codePoint - 22; // 0-9 -> 26-35
+    if (codePoint >= 0x41 && codePoint <= 0x5a) return codePoint - 0x41; // A-Z -> 0-25
+    if (codePoint >= 0x61 && codePoint <= 0x7a) return codePoint - 0x61; // a-z -> 0-25
+    return BASE;
+}
+
+/**
+ * Decodes a single Punycode label (without the xn-- prefix). Throws on malformed input.
+ */
+function decodePunycodeLabel(input) {
+    const output = [];
+    const basicLength = Math.max(input.lastIndexOf('-'), 0);
+    for (let j = 0; j < basicLength; j++) {
+        output.push(input.charCodeAt(j));
+    }
+
+    let n = INITIAL_N;
+    let bias = INITIAL_BIAS;
+    let i = 0;
+    for (let index = basicLength > 0 ? basicLength + 1 : 0; index < input.length;) {
+        const oldI = i;
+        let weight = 1;
+        for (let k = BASE; ; k += BASE) {
+            if (index >= input.length) throw new Error('Invalid punycode');
+            const digit = basicToDigit(input.charCodeAt(index++));
+            if (digit >= BASE) throw new Error('Invalid punycode');
+            i += digit * weight;
+            const threshold = k <= bias ? T_MIN : k >= bias + T_MAX ? T_MAX : k - bias;
+            if (digit < threshold) break;
+            weight *= BASE - threshold;
+        }
+        const length = output.length + 1;
+        bias = adaptBias(i - oldI, length, oldI === 0);
+        n += Math.floor(i / length);
+        i %= length;
+        output.splice(i++, 0, n);
+    }
+    return String.fromCodePoint(...output);
+}
+
+/**
+ * Converts an ASCII (punycode) domain to its Unicode display form. Labels that fail to decode are left as-is.
+ */
+export function toUnicode(domain) {
+    return domain.split('.').map(label => {
+        if (!label.startsWith(ACE_PREFIX)) return label;
+        try {
+            return decodePunycodeLabel(label.slice(ACE_PREFIX.length));
+        } catch {
+            return label;
+        }
+    }).join('.');
+}
+
+/**
+ * Converts a (possibly Unicode) domain to its ASCII lookup form using UTS #46 mapping. Returns null if it can't be converted.
+ */
+export function toAscii(domain) {
+    try {
+        return new URL(`http://${domain}`).hostname;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Normalizes a domain string by cleaning it up: scheme, www., credentials, path, port and trailing dot are removed.
+ */
+export function normalizeDomain(domainStr) {
+    let cleanedDomain = domainStr.trim().toLowerCase();
+    cleanedDomain = cleanedDomain.replace(/^([a-z][a-z0-9+.-]*:\/\/)?([^@/]*@)?(www\.)?/, '');
+    cleanedDomain = cleanedDomain.split(/[/?#]/)[0];
+    cleanedDomain = cleanedDomain.replace(/:\d+$/, '').replace(/\.$/, '');
+    return cleanedDomain;
+}
+
+function checkLabel(label) {
+    if (label.length === 0) return 'Empty label (consecutive or leading dots).';
+    if (label.length > MAX_LABEL_LENGTH) return `Label "${label}" is longer than ${MAX_LABEL_LENGTH} characters.`;
+    if (!/^[a-z0-9-]+$/.test(label)) return `Label "${label}" contains invalid characters.`;
+    if (label.startsWith('-') || label.endsWith('-')) return `Label "${label}" starts or ends with a hyphen.`;
+    if (label.slice(2, 4) === '--') {
+        if (!label.startsWith(ACE_PREFIX)) return `Label "${label}" has hyphens in the third and fourth positions.`;
+        if (toUnicode(label) === label) return `Label "${label}" is not valid punycode.`;
+    }
+    return null;
+}
+
+/**
+ * Returns the registrable part of an ASCII domain (one label below its longest public suffix),
+ * or null when the domain is itself a public suffix.
+ */
+export function getRegistrableDomain(domain) {
+    const labels = domain.split('.');
+    // Walk from the longest candidate suffix to the TLD; the first listed one wins.
+    for (let i = 0; i < labels.length; i++) {
+        const suffix = labels.slice(i).join('.');
+        if (i === labels.length - 1 || publicSuffixes.has(suffix)) {
+            return i === 0 ? null : labels.slice(i - 1).join('.');
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a user-supplied domain and reduces it to the name that can actually be registered.
+ * Returns { valid: true, domain, display } where domain is the ASCII lookup form and display the Unicode form,
+ * or { valid: false, domain, error } with the normalized input and a human-readable reason.
+ */
+export function validateDomain(input) {
+    const normalized = normalizeDomain(String(input ?? ''));
+    if (!normalized) {
+        return { valid: false, domain: normalized, error: 'Empty domain.' };
+    }
+
+    const ascii = toAscii(normalized);
+    if (!ascii || ascii.includes('%')) {
+        return { valid: false, domain: normalized, error: 'Contains characters that are not allowed in domain names.' };
+    }
+    if (ascii.length > MAX_DOMAIN_LENGTH) {
+        return { valid: false, domain: normalized, error: `Longer than ${MAX_DOMAIN_LENGTH} characters.` };
+    }
+
+    const labels = ascii.split('.');
+    if (labels.length < 2) {
+        return { valid: false, domain: normalized, error: 'Missing a TLD.' };
+    }
+    for (const label of labels) {
+        const labelError = checkLabel(label);
+        if (labelError) {
+            return { valid: false, domain: normalized, error: labelError };
+        }
+    }
+
+    const tld = labels[labels.length - 1];
+    if (!knownTlds.has(tld)) {
+        return { valid: false, domain: normalized, error: `Unknown TLD ".${toUnicode(tld)}".` };
+    }
+
+    const registrable = getRegistrableDomain(ascii);
+    if (!registrable) {
+        return { valid: false, domain: normalized, error: `"${normalized}" is a public suffix, not a registrable domain.` };
+    }
+    return { valid: true, domain: registrable, display: toUnicode(registrable) };
+}
+
+export function isKnownTld(tld) {
+    return knownTlds.has(tld.replace(/^\./, '').toLowerCase());
+}
@@ -0,0 +1,32 @@
+// TLD expansion: crosses bare second-level names with a set of TLDs.
+
+import { TLD_PRESETS } from './data/tld-sets.js';
+import { normalizeDomain } from './domain.js';
+
+export { TLD_PRESETS };
+
+/**
+ * Returns the TLDs for a preset name; "all" is the union of every preset.
+ */
+export function getTldPreset(name) {
+    if (name === 'all') {
+        return [...new Set(Object.values(TLD_PRESETS).flatMap(preset => preset.tlds))];
+    }
+    return TLD_PRESETS[name] ? [...TLD_PRESETS[name].tlds] : null;
+}
+
+/**
+ * Reduces an entry to a bare name: "https://www.AcmeFlow.com/" and "acmeflow" both become "acmeflow".
+ */
+export function toBareName(entry) {
+    return normalizeDomain(entry).split('.')[0];
+}
+
+/**
+ * Crosses names with TLDs. Returns one { name, tld, domain } per pair, names first, in input order.
+ */
+export function expandNames(names, tlds) {
+    const bareNames = [...new Set(names.map(toBareName).filter(Boolean))];
+    const cleanTlds = [...new Set(tlds.map(tld => tld.trim().toLowerCase().replace(/^\./, '')).filter(Boolean))];
+    return bareNames.flatMap(name => cleanTlds.map(tld => ({ name, tld, domain: `${name}.${tld}` })));
+}
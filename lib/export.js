@@ -0,0 +1,106 @@
+// Result exports: every checked domain, not only the available ones, as CSV, JSON or .xlsx.
+
+import { toUnicode } from './domain.js';
+import { formatBreakdown } from './scoring.js';
+import { createXlsx } from './xlsx.js';
+
+export const EXPORT_COLUMNS = [
+    { key: 'domain', label: 'Domain' },
+    { key: 'unicode', label: 'Display name' },
+    { key: 'status', label: 'Status' },
+    { key: 'category', label: 'Category' },
+    { key: 'score', label: 'Score' },
+    { key: 'scoreBreakdown', label: 'Score breakdown' },
+    { key: 'checkedAt', label: 'Checked at' },
+    { key: 'error', label: 'Error' },
+    { key: 'resolver', label: 'Resolver' },
+    { key: 'registrar', label: 'Registrar' },
+    { key: 'expires', label: 'Expires' },
+    { key: 'cached', label: 'From cache' },
+];
+
+/**
+ * Flattens check results into export rows.
+ * - categories maps a domain to its category (only available domains are categorized)
+ * - scoreFor(domain) returns { score, breakdown } for available domains, or null to leave them blank
+ * - metadata maps a domain to the extra columns it was imported with
+ */
+export function buildExportRows(results, { categories = new Map(), scoreFor = () => null, metadata = new Map() } = {}) {
+    return results.map(result => {
+        const scored = result.availability === 'Available' ? scoreFor(result.domain) : null;
+        return {
+            domain: result.domain,
+            unicode: toUnicode(result.domain),
+            status: result.availability,
+            category: categories.get(result.domain) ?? null,
+            score: scored ? scored.score : null,
+            scoreBreakdown: scored ? scored.breakdown : null,
+            checkedAt: result.checkedAt ?? null,
+            error: result.error ?? null,
+            resolver: result.resolver ?? null,
+            registrar: result.registrar ?? null,
+            expires: result.expires ?? null,
+            cached: typeof result.cached === 'boolean' ? result.cached : null,
+            metadata: metadata.get(result.domain) ?? null,
+        };
+    });
+}
+
+// Flat cell value for CSV and spreadsheet output.
+function cellValue(row, key) {
+    const value = row[key];
+    if (value === null || value === undefined) return '';
+    if (key === 'scoreBreakdown') return formatBreakdown(value);
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    return value;
+}
+
+// Imported columns become extra columns after the standard ones, in first-seen order.
+function metadataKeys(rows) {
+    return [...new Set(rows.flatMap(row => Object.keys(row.metadata || {})))];
+}
+
+function flatRow(row, keys) {
+    return [
+        ...EXPORT_COLUMNS.map(column => cellValue(row, column.key)),
+        ...keys.map(key => row.metadata?.[key] ?? ''),
+    ];
+}
+
+function csvField(value) {
+    let text = String(value);
+    // Spreadsheets run cells starting with these as formulas; a leading quote keeps them as text.
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serializes rows as RFC 4180 CSV with a header row.
+ */
+export function toCsv(rows) {
+    const keys = metadataKeys(rows);
+    const lines = [[...EXPORT_COLUMNS.map(column => column.label), ...keys], ...rows.map(row => flatRow(row, keys))];
+    return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function toJson(rows) {
+    return JSON.stringify(rows, null, 2);
+}
+
+/**
+ * Builds an .xlsx workbook (Uint8Array) of the rows with a header row.
+ */
+export function toXlsx(rows) {
+    const keys = metadataKeys(rows);
+    return createXlsx([
+        [...EXPORT_COLUMNS.map(column => column.label), ...keys],
+        ...rows.map(row => flatRow(row, keys)),
+    ], { sheetName: 'Domains' });
+}
+
+export const EXPORT_FORMATS = {
+    // The byte-order mark makes Excel read the file as UTF-8, so IDN display names survive.
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv;charset=utf-8', serialize: (rows) => '\ufeff' + toCsv(rows) },
+    json: { label: 'JSON', extension: 'json', type: 'application/json', serialize: toJson },
+    xlsx: { label: 'Excel', extension: 'xlsx', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', serialize: toXlsx },
+};
@@ -0,0 +1,104 @@
+// "Generate until N available": alternates AI generation and availability checks until a target is met.
+
+const DEFAULT_TARGET = 10;
+const MAX_TARGET = 100;
+const DEFAULT_MAX_ROUNDS = 5;
+const MAX_ROUNDS = 10;
+// The loop runs in api/orchestrator.js, whose maxDuration in vercel.json is 300 s. The budget only stops new
+// rounds, so the cap leaves a minute for the generate call in progress when it runs out.
+const DEFAULT_TIME_BUDGET_MS = 60_000;
+const MAX_TIME_BUDGET_MS = 4 * 60_000;
+
+// Taken names fed back into the prompt; older ones are dropped so the prompt stays bounded.
+const MAX_AVOID = 200;
+
+function readLimit(value, fallback, max) {
+    if (value === undefined || value === null) return { value: fallback };
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+        return { error: true };
+    }
+    return { value: number };
+}
+
+/**
+ * Validates the loop budget fields of a request body.
+ * Returns { budget: { target, maxRounds, timeBudgetMs } } or { error }.
+ */
+export function normalizeLoopBudget(body) {
+    const target = readLimit(body.target, DEFAULT_TARGET, MAX_TARGET);
+    if (target.error) return { error: `target must be an integer between 1 and ${MAX_TARGET}.` };
+    const maxRounds = readLimit(body.maxRounds, DEFAULT_MAX_ROUNDS, MAX_ROUNDS);
+    if (maxRounds.error) return { error: `maxRounds must be an integer between 1 and ${MAX_ROUNDS}.` };
+    const timeBudgetMs = readLimit(body.timeBudgetMs, DEFAULT_TIME_BUDGET_MS, MAX_TIME_BUDGET_MS);
+    if (timeBudgetMs.error) return { error: `timeBudgetMs must be an integer between 1 and ${MAX_TIME_BUDGET_MS}.` };
+
+    return { budget: { target: target.value, maxRounds: maxRounds.value, timeBudgetMs: timeBudgetMs.value } };
+}
+
+/**
+ * Runs generate/check rounds until budget.target names are available, maxRounds have run or the time budget is spent.
+ *
+ * - generate(avoid) resolves to candidate domains; avoid lists names already taken or suggested
+ * - check(domains, { signal, onResult }) checks candidates (checkDomains' signature)
+ * - onEvent receives { type: 'round' | 'result' | 'round-complete' | 'done', ... } progress events
+ *
+ * Resolves to the final 'done' event. Aborting signal stops after the in-flight lookups.
+ */
+export async function runGenerateLoop({ generate, check, budget, signal, onEvent = () => {} }) {
+    const startedAt = Date.now();
+    const deadline = new AbortController();
+    const timer = setTimeout(() => deadline.abort(), budget.timeBudgetMs);
+    const onAbort = () => deadline.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const seen = new Set();
+    const taken = [];
+    const available = [];
+    let round = 0;
+    let reason = 'rounds';
+
+    try {
+        while (round < budget.maxRounds) {
+            if (deadline.signal.aborted) {
+                reason = signal?.aborted ? 'cancelled' : 'time';
+                break;
+            }
+            round++;
+
+            const candidates = (await generate(taken.slice(-MAX_AVOID))).filter(domain => !seen.has(domain));
+            candidates.forEach(domain => seen.add(domain));
+            onEvent({ type: 'round', round, maxRounds: budget.maxRounds, generated: candidates });
+
+            let roundAvailable = 0;
+            await check(candidates, {
+                signal: deadline.signal,
+                onResult: (result) => {
+                    if (result.availability === 'Available' && available.length < budget.target) {
+                        available.push(result.domain);
+                        roundAvailable++;
+                    } else if (result.availability === 'Unavailable') {
+                        taken.push(result.domain);
+                    }
+                    onEvent({ type: 'result', round, result });
+                },
+            });
+            onEvent({ type: 'round-complete', round, available: roundAvailable, totalAvailable: available.length });
+
+            if (available.length >= budget.target) {
+                reason = 'target';
+                break;
+            }
+        }
+        if (reason === 'rounds' && deadline.signal.aborted) {
+            reason = signal?.aborted ? 'cancelled' : 'time';
+        }
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+
+    const done = { type: 'done', reason, rounds: round, available, elapsedMs: Date.now() - startedAt };
+    onEvent(done);
+    return done;
+}
@@ -0,0 +1,165 @@
+// Options, prompt and output filtering for the AI "generate" mode.
+
+import { validateDomain, isKnownTld, toAscii, toUnicode } from './domain.js';
+import { buildPrompt } from './prompt.js';
+
+export const GENERATE_STYLES = ['brandable', 'compound', 'exact-match'];
+
+// Exported for the OpenAPI document (openapi.js).
+export const DEFAULT_COUNT = 30;
+export const MAX_COUNT = 100;
+export const MAX_KEYWORDS_LENGTH = 200;
+export const MAX_EXCLUDE_WORDS = 50;
+export const MAX_TLDS = 20;
+export const MIN_NAME_LENGTH = 2;
+export const MAX_NAME_LENGTH = 63;
+
+const STYLE_DESCRIPTIONS = {
+    'brandable': 'brandable: invented or blended words that are short, memorable and easy to say',
+    'compound': 'compound: two real words joined together',
+    'exact-match': 'exact-match: plain descriptive phrases built directly from the keywords',
+};
+
+/**
+ * Parses a TLD list given as an array or a free-text string like ".com, .io ai" into ["com", "io", "ai"].
+ * Multi-label suffixes such as ".co.uk" are kept whole.
+ */
+export function parseTlds(tlds) {
+    const list = Array.isArray(tlds) ? tlds : String(tlds ?? '').split(/[\s,;]+/);
+    const names = list.map(tld => String(tld).trim().toLowerCase().replace(/^\./, '')).filter(Boolean);
+    // IDN TLDs like ".рф" are kept in their ASCII form so they match validated domains.
+    return [...new Set(names.map(tld => toAscii(tld) || tld))];
+}
+
+function toWordList(value) {
+    const list = Array.isArray(value) ? value : String(value ?? '').split(/[\s,]+/);
+    return [...new Set(list.map(word => String(word).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Validates the generate request body and fills in defaults.
+ * Returns { options } or { error } with a message suitable for a 400 response.
+ */
+export function normalizeGenerateOptions(body) {
+    // Control characters have no place in keywords and only help to disguise text sent to the model.
+    const keywords = String(body.keywords ?? '').replace(/\p{Cc}+/gu, ' ').trim();
+    const tlds = parseTlds(body.tlds);
+    if (!keywords || tlds.length === 0) {
+        return { error: 'Keywords and TLDs are required.' };
+    }
+    if (keywords.length > MAX_KEYWORDS_LENGTH) {
+        return { error: `Keywords must be at most ${MAX_KEYWORDS_LENGTH} characters.` };
+    }
+    if (tlds.length > MAX_TLDS) {
+        return { error: `At most ${MAX_TLDS} TLDs can be used at once.` };
+    }
+    const unknownTlds = tlds.filter(tld => !isKnownTld(tld.split('.').pop()));
+    if (unknownTlds.length > 0) {
+        return { error: `Unknown TLDs: ${unknownTlds.map(tld => `.${tld}`).join(', ')}` };
+    }
+
+    const count = body.count === undefined ? DEFAULT_COUNT : Number(body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+        return { error: `count must be an integer between 1 and ${MAX_COUNT}.` };
+    }
+
+    const maxLength = body.maxLength === undefined || body.maxLength === null ? null : Number(body.maxLength);
+    if (maxLength !== null && (!Number.isInteger(maxLength) || maxLength < MIN_NAME_LENGTH || maxLength > MAX_NAME_LENGTH)) {
+        return { error: `maxLength must be an integer between ${MIN_NAME_LENGTH} and ${MAX_NAME_LENGTH}.` };
+    }
+
+    const styles = body.styles === undefined ? [...GENERATE_STYLES] : toWordList(body.styles);
+    const unknownStyles = styles.filter(style => !GENERATE_STYLES.includes(style));
+    if (styles.length === 0 || unknownStyles.length > 0) {
+        return { error: `styles must be one or more of: ${GENERATE_STYLES.join(', ')}.` };
+    }
+
+    // null lets the configured LLM provider pick its default model.
+    const model = body.model === undefined || body.model === null ? null : String(body.model);
+    if (model !== null && !/^[\w.:/-]+$/.test(model)) {
+        return { error: 'Invalid model name.' };
+    }
+
+    const exclude = toWordList(body.exclude);
+    if (exclude.length > MAX_EXCLUDE_WORDS || exclude.some(word => word.length > MAX_NAME_LENGTH)) {
+        return { error: `exclude must be at most ${MAX_EXCLUDE_WORDS} words of up to ${MAX_NAME_LENGTH} characters.` };
+    }
+
+    return {
+        options: {
+            keywords,
+            tlds,
+            count,
+            maxLength,
+            styles,
+            exclude,
+            allowHyphens: Boolean(body.allowHyphens),
+            allowNumbers: Boolean(body.allowNumbers),
+            model,
+        },
+    };
+}
+
+/**
+ * Builds the generation prompt (see prompt.js). avoid lists names already known to be taken, so the model steers away from them.
+ */
+export function buildGeneratePrompt(options, avoid = []) {
+    const rules = [
+        'Only use the extensions (TLDs) listed in "tlds".',
+        `Use these naming styles: ${options.styles.map(style => STYLE_DESCRIPTIONS[style]).join('; ')}.`,
+        options.maxLength ? `The part before the TLD must be at most ${options.maxLength} characters.` : null,
+        options.allowHyphens ? null : 'Do not use hyphens.',
+        options.allowNumbers ? null : 'Do not use digits.',
+        options.exclude.length > 0 ? 'Never use the words listed in "exclude".' : null,
+        avoid.length > 0 ? 'The names in "taken" are already registered; do not suggest them or close variations of them.' : null,
+        'Every domain must be unique, lowercase, and contain no spaces, protocol or path.',
+    ].filter(Boolean);
+
+    return buildPrompt(
+        `Generate a creative list of ${options.count} domain names based on the keywords in "keywords".\n${rules.map(rule => `- ${rule}`).join('\n')}`,
+        {
+            keywords: options.keywords,
+            tlds: options.tlds.map(tld => `.${toUnicode(tld)}`),
+            ...(options.exclude.length > 0 ? { exclude: options.exclude } : {}),
+            ...(avoid.length > 0 ? { taken: avoid.map(toUnicode) } : {}),
+        },
+    );
+}
+
+/**
+ * Drops model output that doesn't match the request: invalid names, other TLDs, rule violations and duplicates.
+ * Returns at most options.count ASCII domains.
+ */
+export function filterGeneratedDomains(candidates, options) {
+    if (!Array.isArray(candidates)) return [];
+
+    const accepted = new Set();
+    for (const candidate of candidates) {
+        if (typeof candidate !== 'string') continue;
+        const validation = validateDomain(candidate);
+        if (!validation.valid) continue;
+
+        const { domain } = validation;
+        const tld = options.tlds.find(t => domain.endsWith(`.${t}`));
+        if (!tld) continue;
+        // Length, hyphen and digit rules apply to what the user sees, not the punycode form.
+        const name = toUnicode(domain.slice(0, -(tld.length + 1)));
+        // Subdomains were already reduced away, so a dot here means a multi-label suffix we weren't asked for.
+        if (name.includes('.')) continue;
+        if (options.maxLength && name.length > options.maxLength) continue;
+        if (!options.allowHyphens && name.includes('-')) continue;
+        if (!options.allowNumbers && /\d/.test(name)) continue;
+        if (options.exclude.some(word => name.includes(word))) continue;
+
+        accepted.add(domain);
+        if (accepted.size >= options.count) break;
+    }
+    return [...accepted];
+}
+
+/**
+ * Asks an LLM provider (see llm/index.js) for ideas and keeps only the ones that pass filterGeneratedDomains.
+ */
+export async function generateDomains(provider, options, avoid = []) {
+    return filterGeneratedDomains(await provider.generateDomains(options, avoid), options);
+}
@@ -0,0 +1,65 @@
+// Response helpers shared by the API routes. Every JSON response carries a Content-Type header,
+// and every error body has the same shape: { error: message, code }.
+
+export const JSON_HEADERS = { 'Content-Type': 'application/json' };
+export const NDJSON_HEADERS = { 'Content-Type': 'application/x-ndjson' };
+
+export function jsonResponse(body, status = 200, headers = {}) {
+    return new Response(JSON.stringify(body), { status, headers: { ...JSON_HEADERS, ...headers } });
+}
+
+/**
+ * code is a stable machine-readable identifier (e.g. "invalid_request"); message is for people.
+ */
+export function errorResponse(status, code, message, headers = {}) {
+    return jsonResponse({ error: message, code }, status, headers);
+}
+
+/**
+ * Wraps a long-running task in an NDJSON stream: run(emit, signal) writes one JSON object per line.
+ * The signal aborts when the client disconnects, so the task can stop early.
+ * A failure is reported as a final { type: 'error', error } line, since the status has already been sent.
+ */
+export function ndjsonStream(run) {
+    const encoder = new TextEncoder();
+    const abortController = new AbortController();
+
+    return new ReadableStream({
+        async start(controller) {
+            const emit = (value) => {
+                if (!abortController.signal.aborted) {
+                    controller.enqueue(encoder.encode(JSON.stringify(value) + '\n'));
+                }
+            };
+            try {
+                await run(emit, abortController.signal);
+            } catch (e) {
+                console.error('API stream error:', e);
+                emit({ type: 'error', error: e.message || 'An internal server error occurred.' });
+            }
+            if (!abortController.signal.aborted) {
+                controller.close();
+            }
+        },
+        cancel() {
+            // The client aborted; skip queued work instead of writing to a closed stream.
+            abortController.abort();
+        },
+    });
+}
+
+/**
+ * Parses a JSON object body. Returns { body } or { error }.
+ */
+export async function readJsonBody(req) {
+    let body;
+    try {
+        body = await req.json();
+    } catch {
+        return { error: 'The request body must be valid JSON.' };
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'The request body must be a JSON object.' };
+    }
+    return { body };
+}
@@ -0,0 +1,157 @@
+// Import helpers: delimited-file parsing, header and domain-column detection, and domain extraction
+// from URLs, emails and free text. Shared by the browser client and scripts.
+
+import { validateDomain } from './domain.js';
+
+export const DELIMITERS = [',', ';', '\t', '|'];
+
+const HEADER_HINTS = ['domain', 'domains', 'domain name', 'url', 'website', 'site', 'host', 'hostname', 'email', 'e-mail'];
+const SAMPLE_LINES = 20;
+
+/**
+ * Reduces a URL, email address or bare name to its registrable ASCII domain, or null when there is none.
+ */
+export function extractDomain(value) {
+    const text = String(value ?? '').trim().replace(/^[<("'[]+|[>)"'\].,;:!?]+$/g, '');
+    if (!text.includes('.')) return null;
+    const validation = validateDomain(text);
+    return validation.valid ? validation.domain : null;
+}
+
+/**
+ * Finds every domain mentioned in free text: bare names, URLs and email addresses. Unique, in order of appearance.
+ */
+export function extractDomainsFromText(text) {
+    const domains = new Set();
+    for (const token of String(text ?? '').split(/[\s,;<>()[\]"'|]+/)) {
+        const domain = extractDomain(token);
+        if (domain) domains.add(domain);
+    }
+    return [...domains];
+}
+
+/**
+ * Parses delimited text (RFC 4180 quoting) into rows of cells. Blank lines are skipped.
+ */
+export function parseDelimited(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    const source = String(text ?? '').replace(/^\ufeff/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            if (row.some(value => value.trim() !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    return rows.map(cells => cells.map(value => value.trim()));
+}
+
+/**
+ * Picks the delimiter that splits the first lines into the most columns, consistently.
+ * Falls back to a comma, which also covers single-column lists.
+ */
+export function detectDelimiter(text) {
+    const lines = String(text ?? '').split(/\r?\n/).slice(0, SAMPLE_LINES);
+    let best = { delimiter: ',', score: 0 };
+    for (const delimiter of DELIMITERS) {
+        const counts = lines.map(line => parseDelimited(line, delimiter)[0]?.length).filter(Boolean);
+        if (counts.length === 0) continue;
+        const frequency = new Map();
+        counts.forEach(count => frequency.set(count, (frequency.get(count) || 0) + 1));
+        const [columns, lineCount] = [...frequency].sort((a, b) => b[1] - a[1])[0];
+        // Most sampled lines must agree, otherwise the character is probably just part of the data.
+        const score = columns > 1 && lineCount / counts.length >= 0.8 ? columns : 0;
+        if (score > best.score) best = { delimiter, score };
+    }
+    return best.delimiter;
+}
+
+function countDomains(values) {
+    return values.filter(value => extractDomain(value)).length;
+}
+
+/**
+ * Guesses whether the first row is a header: it names a known column, or holds no domains while later rows do.
+ */
+export function detectHeader(rows) {
+    if (rows.length < 2) return false;
+    const [first, ...rest] = rows;
+    if (first.some(value => HEADER_HINTS.includes(value.toLowerCase()))) return true;
+    return countDomains(first) === 0 && rest.slice(0, SAMPLE_LINES).some(row => countDomains(row) > 0);
+}
+
+/**
+ * Returns the index of the column most likely to hold domains: a header hint, else the most domain-like values.
+ */
+export function guessDomainColumn(rows, hasHeader) {
+    const columnCount = Math.max(0, ...rows.map(row => row.length));
+    if (hasHeader) {
+        const hinted = rows[0].findIndex(value => HEADER_HINTS.includes(value.toLowerCase()));
+        if (hinted >= 0) return hinted;
+    }
+    const body = rows.slice(hasHeader ? 1 : 0, (hasHeader ? 1 : 0) + SAMPLE_LINES);
+    let best = { index: 0, count: -1 };
+    for (let index = 0; index < columnCount; index++) {
+        const count = countDomains(body.map(row => row[index] ?? ''));
+        if (count > best.count) best = { index, count };
+    }
+    return best.index;
+}
+
+/**
+ * Column names for a table: the header row when there is one, otherwise "Column 1", "Column 2", ...
+ */
+export function columnNames(rows, hasHeader) {
+    const columnCount = Math.max(0, ...rows.map(row => row.length));
+    return Array.from({ length: columnCount }, (_, index) => (hasHeader && rows[0][index]) || `Column ${index + 1}`);
+}
+
+/**
+ * Turns parsed rows into import entries. Each row's domain comes from domainColumn; every other
+ * non-empty cell is kept as metadata under its column name. Rows without a domain are counted as skipped.
+ * Returns { entries: [{ domain, metadata }], skipped }.
+ */
+export function buildImportEntries(rows, { hasHeader, domainColumn }) {
+    const names = columnNames(rows, hasHeader);
+    const entries = new Map();
+    let skipped = 0;
+    for (const row of rows.slice(hasHeader ? 1 : 0)) {
+        const domain = extractDomain(row[domainColumn]);
+        if (!domain) {
+            skipped++;
+            continue;
+        }
+        const metadata = {};
+        row.forEach((value, index) => {
+            if (index !== domainColumn && value !== '') metadata[names[index]] = value;
+        });
+        // Later rows for the same domain add to, rather than replace, what was already imported.
+        entries.set(domain, { domain, metadata: { ...entries.get(domain)?.metadata, ...metadata } });
+    }
+    return { entries: [...entries.values()], skipped };
+}
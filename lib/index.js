@@ -0,0 +1,20 @@
+// Public entry point for using the checker and generator from Node scripts and CI, e.g.
+//
+//   import { checkDomains, resolveProvider, normalizeGenerateOptions, generateDomains } from 'ai-domain-finder';
+//
+// Everything here is the same code the API routes and the domain-finder CLI run, configured by the
+// same environment variables (DNS_RESOLVER, CACHE_BACKEND, CHECK_*, LLM_PROVIDER, ...).
+
+export { checkDomains, checkDomainAvailability } from './check.js';
+export { createResolver, RESOLVER_NAMES } from './resolvers.js';
+export { createCache } from './cache.js';
+export { validateDomain, normalizeDomain, toAscii, toUnicode } from './domain.js';
+export { expandNames, getTldPreset, toBareName, TLD_PRESETS } from './expand.js';
+export { parseTlds, normalizeGenerateOptions, generateDomains, GENERATE_STYLES } from './generate.js';
+export { resolveProvider, PROVIDER_NAMES } from './llm/index.js';
+export { categorizeDomains, normalizeCategories, mergeCategories } from './categorize.js';
+export { normalizeAiDomainList, batchAiDomains, MAX_AI_DOMAINS } from './prompt.js';
+export { normalizeVariationOptions, generateVariations, VARIATION_KINDS } from './variations.js';
+export { scoreDomain } from './scoring.js';
+export { buildExportRows, toCsv, toJson, toXlsx, EXPORT_FORMATS } from './export.js';
+export { extractDomain, extractDomainsFromText } from './import.js';
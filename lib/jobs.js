@@ -0,0 +1,417 @@
+// Background bulk-check jobs: a client submits a large list, workers check it in chunks through the
+// rate-limited checker, and results are appended as they go, so a job survives the client
+// disconnecting and a worker stopping mid-way.
+//
+// Jobs look like { id, status, total, processed, counts, options, createdAt, updatedAt, startedAt,
+// finishedAt, error, leaseUntil, ownerHash }. status is queued -> running -> completed, or cancelled / failed;
+// cancelled and failed jobs can be resumed, which queues them again from where they stopped.
+// ownerHash is the hash of the token that api/jobs.js hands to whoever created the job.
+
+import { open, readFile, writeFile, appendFile, rm, mkdir, readdir } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { checkDomains } from './check.js';
+
+export const JOB_STATUSES = ['queued', 'running', 'completed', 'cancelled', 'failed'];
+export const FINISHED_STATUSES = new Set(['completed', 'cancelled', 'failed']);
+
+const CHUNK_SIZE = 100;
+// A running job whose worker hasn't reported for this long is assumed dead and picked up again.
+const LEASE_MS = 2 * 60 * 1000;
+const DEFAULT_MAX_JOB_DOMAINS = 100_000;
+
+let defaultStore = null;
+
+function countStatuses(results, counts = {}) {
+    for (const result of results) {
+        counts[result.availability] = (counts[result.availability] || 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * One directory per store: <id>.json (the job), <id>.domains.json (the input) and <id>.results.ndjson
+ * (one result per line, in input order). Claiming isn't atomic across processes; the lease keeps
+ * two workers from holding the same job for long, and results are re-counted when a job is claimed.
+ */
+export function createFileJobBackend(dir) {
+    const path = (id, suffix) => {
+        // Ids end up in file names, so nothing but UUID characters gets near the file system.
+        if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid job id: ${id}`);
+        return join(dir, `${id}${suffix}`);
+    };
+
+    // Where each result line starts, per job, so a page or a stream poll only reads the lines it returns.
+    // end is the byte after the last complete line; a line still being appended is left for the next read.
+    const lineIndex = new Map();
+
+    async function indexResults(id, handle) {
+        const { size } = await handle.stat();
+        let index = lineIndex.get(id);
+        if (!index || size < index.end) index = { starts: [], end: 0 };
+        if (size > index.end) {
+            const buffer = Buffer.alloc(size - index.end);
+            await handle.read(buffer, 0, buffer.length, index.end);
+            let lineStart = index.end;
+            for (let i = buffer.indexOf(10); i !== -1; i = buffer.indexOf(10, i + 1)) {
+                index.starts.push(lineStart);
+                lineStart = index.end + i + 1;
+            }
+            index.end = lineStart;
+        }
+        lineIndex.set(id, index);
+        return index;
+    }
+
+    async function readJson(file) {
+        try {
+            return JSON.parse(await readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    return {
+        async create(job, domains) {
+            await mkdir(dir, { recursive: true });
+            await writeFile(path(job.id, '.domains.json'), JSON.stringify(domains));
+            await writeFile(path(job.id, '.results.ndjson'), '');
+            await writeFile(path(job.id, '.json'), JSON.stringify(job));
+        },
+        get(id) {
+            return readJson(path(id, '.json'));
+        },
+        async put(job) {
+            await writeFile(path(job.id, '.json'), JSON.stringify(job));
+        },
+        async list() {
+            let files;
+            try {
+                files = await readdir(dir);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            const ids = files.filter(file => /^[\w-]+\.json$/.test(file)).map(file => file.slice(0, -'.json'.length));
+            return (await Promise.all(ids.map(id => this.get(id)))).filter(Boolean);
+        },
+        async getDomains(id) {
+            return (await readJson(path(id, '.domains.json'))) || [];
+        },
+        async appendResults(id, results) {
+            await appendFile(path(id, '.results.ndjson'), results.map(result => JSON.stringify(result) + '\n').join(''));
+        },
+        async readResults(id, { offset = 0, limit = Infinity } = {}) {
+            let handle;
+            try {
+                handle = await open(path(id, '.results.ndjson'), 'r');
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            try {
+                const { starts, end } = await indexResults(id, handle);
+                const from = Math.min(offset, starts.length);
+                const to = Math.min(offset + limit, starts.length);
+                if (from >= to) return [];
+                const buffer = Buffer.alloc((to < starts.length ? starts[to] : end) - starts[from]);
+                await handle.read(buffer, 0, buffer.length, starts[from]);
+                return buffer.toString('utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+            } finally {
+                await handle.close();
+            }
+        },
+        async remove(id) {
+            lineIndex.delete(id);
+            await Promise.all(['.json', '.domains.json', '.results.ndjson'].map(suffix => rm(path(id, suffix), { force: true })));
+        },
+    };
+}
+
+/**
+ * SQLite through node:sqlite (Node 22.5 and later, with --experimental-sqlite before 22.13), so the
+ * queue needs no outside service either.
+ */
+export async function createSqliteJobBackend(file) {
+    let DatabaseSync;
+    try {
+        ({ DatabaseSync } = await import('node:sqlite'));
+    } catch {
+        throw new Error('JOB_STORE is "sqlite" but node:sqlite is not available. It needs Node.js 22.13 or later, or Node.js 22.5 to 22.12 started with --experimental-sqlite.');
+    }
+    const db = new DatabaseSync(file);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS jobs (id TEXT PRIMARY KEY, data TEXT NOT NULL, domains TEXT NOT NULL);
+        CREATE TABLE IF NOT EXISTS job_results (job_id TEXT NOT NULL, seq INTEGER NOT NULL, result TEXT NOT NULL, PRIMARY KEY (job_id, seq));
+    `);
+
+    return {
+        async create(job, domains) {
+            db.prepare('INSERT INTO jobs (id, data, domains) VALUES (?, ?, ?)').run(job.id, JSON.stringify(job), JSON.stringify(domains));
+        },
+        async get(id) {
+            const row = db.prepare('SELECT data FROM jobs WHERE id = ?').get(id);
+            return row ? JSON.parse(row.data) : null;
+        },
+        async put(job) {
+            db.prepare('UPDATE jobs SET data = ? WHERE id = ?').run(JSON.stringify(job), job.id);
+        },
+        async list() {
+            return db.prepare('SELECT data FROM jobs').all().map(row => JSON.parse(row.data));
+        },
+        async getDomains(id) {
+            const row = db.prepare('SELECT domains FROM jobs WHERE id = ?').get(id);
+            return row ? JSON.parse(row.domains) : [];
+        },
+        async appendResults(id, results) {
+            const { next } = db.prepare('SELECT COALESCE(MAX(seq) + 1, 0) AS next FROM job_results WHERE job_id = ?').get(id);
+            const insert = db.prepare('INSERT INTO job_results (job_id, seq, result) VALUES (?, ?, ?)');
+            db.exec('BEGIN');
+            try {
+                results.forEach((result, i) => insert.run(id, next + i, JSON.stringify(result)));
+                db.exec('COMMIT');
+            } catch (error) {
+                db.exec('ROLLBACK');
+                throw error;
+            }
+        },
+        async readResults(id, { offset = 0, limit = Infinity } = {}) {
+            // LIMIT -1 means no limit in SQLite.
+            return db.prepare('SELECT result FROM job_results WHERE job_id = ? ORDER BY seq LIMIT ? OFFSET ?')
+                .all(id, Number.isFinite(limit) ? limit : -1, offset)
+                .map(row => JSON.parse(row.result));
+        },
+        async remove(id) {
+            db.prepare('DELETE FROM job_results WHERE job_id = ?').run(id);
+            db.prepare('DELETE FROM jobs WHERE id = ?').run(id);
+        },
+    };
+}
+
+/**
+ * Builds the backend selected by JOB_STORE: "file" (default, JOBS_DIR) or "sqlite" (JOBS_SQLITE_FILE).
+ */
+export async function createJobBackend(store = process.env.JOB_STORE || 'file') {
+    switch (store) {
+        case 'file':
+            return createFileJobBackend(process.env.JOBS_DIR || '.data/jobs');
+        case 'sqlite': {
+            const file = process.env.JOBS_SQLITE_FILE || '.data/jobs.sqlite';
+            await mkdir(dirname(file), { recursive: true });
+            return createSqliteJobBackend(file);
+        }
+        default:
+            throw new Error(`Unknown job store: ${store}`);
+    }
+}
+
+/**
+ * Creates the job store on top of a backend. Job updates within one process run one at a time.
+ */
+export function createJobStore(backend) {
+    let queue = Promise.resolve();
+
+    // mutate(job) changes the job in place; returning false skips the write.
+    function update(id, mutate) {
+        const run = queue.then(async () => {
+            const job = await backend.get(id);
+            if (!job) return null;
+            if (mutate(job) === false) return job;
+            job.updatedAt = new Date().toISOString();
+            await backend.put(job);
+            return job;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return {
+        /**
+         * Queues a job for the domains. options: { force, resolver } as for checkDomains, and ownerHash.
+         */
+        async create(domains, options = {}) {
+            const now = new Date().toISOString();
+            const job = {
+                id: crypto.randomUUID(),
+                status: 'queued',
+                total: domains.length,
+                processed: 0,
+                counts: {},
+                options: { force: Boolean(options.force), resolver: options.resolver ?? null },
+                createdAt: now,
+                updatedAt: now,
+                startedAt: null,
+                finishedAt: null,
+                error: null,
+                leaseUntil: null,
+                ownerHash: options.ownerHash ?? null,
+            };
+            await backend.create(job, domains);
+            return job;
+        },
+
+        get: (id) => backend.get(id),
+
+        /**
+         * Jobs, newest first.
+         */
+        async list() {
+            const jobs = await backend.list();
+            return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+
+        update,
+        getDomains: (id) => backend.getDomains(id),
+        appendResults: (id, results) => backend.appendResults(id, results),
+
+        /**
+         * Results checked so far, in input order; offset and limit page through them.
+         */
+        readResults: (id, { offset = 0, limit = Infinity } = {}) => backend.readResults(id, { offset, limit }),
+
+        /**
+         * Stops a queued or running job. A running job stops after its current chunk.
+         */
+        cancel(id) {
+            return update(id, job => {
+                if (FINISHED_STATUSES.has(job.status)) return false;
+                job.status = 'cancelled';
+                job.finishedAt = new Date().toISOString();
+                job.leaseUntil = null;
+            });
+        },
+
+        /**
+         * Queues a cancelled or failed job again; it continues after the last checked domain.
+         */
+        resume(id) {
+            return update(id, job => {
+                if (job.status !== 'cancelled' && job.status !== 'failed') return false;
+                job.status = 'queued';
+                job.finishedAt = null;
+                job.error = null;
+            });
+        },
+
+        remove: (id) => backend.remove(id),
+
+        /**
+         * Takes the oldest queued job, or a running one whose worker went quiet, and marks it running.
+         * Returns the job, or null when there is nothing to do.
+         */
+        async claimNext() {
+            const now = Date.now();
+            const candidates = (await backend.list())
+                .filter(job => job.status === 'queued' || (job.status === 'running' && Date.parse(job.leaseUntil) < now))
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            for (const candidate of candidates) {
+                // The results on disk are the truth about progress, whatever the last worker managed to record.
+                const results = await backend.readResults(candidate.id);
+                let claimed = false;
+                const job = await update(candidate.id, job => {
+                    // Someone else claimed, cancelled or resumed it since the list was read.
+                    if (job.status !== candidate.status || job.leaseUntil !== candidate.leaseUntil) return false;
+                    job.status = 'running';
+                    job.startedAt ??= new Date().toISOString();
+                    job.leaseUntil = new Date(now + LEASE_MS).toISOString();
+                    job.processed = results.length;
+                    job.counts = countStatuses(results);
+                    claimed = true;
+                });
+                if (claimed) return job;
+            }
+            return null;
+        },
+    };
+}
+
+/**
+ * Returns the process-wide job store (see createJobBackend for the environment it reads).
+ */
+export async function getJobStore() {
+    defaultStore ??= createJobBackend().then(createJobStore);
+    try {
+        return await defaultStore;
+    } catch (error) {
+        defaultStore = null;
+        throw error;
+    }
+}
+
+/**
+ * Maximum domains per job, from JOB_MAX_DOMAINS (default 100,000).
+ */
+export function maxJobDomains() {
+    const value = Number(process.env.JOB_MAX_DOMAINS);
+    return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_JOB_DOMAINS;
+}
+
+/**
+ * Checks a claimed job chunk by chunk until it is done, cancelled, or the deadline passes
+ * (then it goes back to the queue for the next worker run). check has checkDomains' signature.
+ * Resolves to the job as last stored.
+ */
+export async function processJob(store, job, { check = checkDomains, deadline = Infinity, signal } = {}) {
+    const domains = await store.getDomains(job.id);
+    let processed = job.processed;
+
+    try {
+        while (processed < domains.length) {
+            if (Date.now() >= deadline || signal?.aborted) {
+                return await store.update(job.id, current => {
+                    if (current.status !== 'running') return false;
+                    current.status = 'queued';
+                    current.leaseUntil = null;
+                });
+            }
+
+            const chunk = domains.slice(processed, processed + CHUNK_SIZE);
+            const results = await check(chunk, { force: job.options.force, resolver: job.options.resolver || undefined });
+            await store.appendResults(job.id, results);
+            processed += chunk.length;
+
+            const current = await store.update(job.id, current => {
+                current.processed = processed;
+                current.counts = countStatuses(results, current.counts);
+                if (current.status === 'running') {
+                    current.leaseUntil = new Date(Date.now() + LEASE_MS).toISOString();
+                }
+            });
+            // Cancelled (or removed) while this chunk was being checked.
+            if (current?.status !== 'running') return current;
+        }
+
+        return await store.update(job.id, current => {
+            if (current.status !== 'running') return false;
+            current.status = 'completed';
+            current.finishedAt = new Date().toISOString();
+            current.leaseUntil = null;
+        });
+    } catch (error) {
+        console.error(`Job ${job.id} failed:`, error);
+        return store.update(job.id, current => {
+            if (current.status !== 'running') return false;
+            current.status = 'failed';
+            current.error = error.message;
+            current.finishedAt = new Date().toISOString();
+            current.leaseUntil = null;
+        });
+    }
+}
+
+/**
+ * Works through queued jobs one after another until there are none left or timeBudgetMs is spent.
+ * Returns { processed: [jobIds] }.
+ */
+export async function runJobWorker({ store, check, timeBudgetMs = Infinity, signal } = {}) {
+    store ??= await getJobStore();
+    const deadline = Date.now() + timeBudgetMs;
+    const processed = [];
+    while (Date.now() < deadline && !signal?.aborted) {
+        const job = await store.claimNext();
+        if (!job) break;
+        await processJob(store, job, { check, deadline, signal });
+        processed.push(job.id);
+    }
+    return { processed };
+}
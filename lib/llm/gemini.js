@@ -0,0 +1,60 @@
+import { GoogleGenAI, Type } from '@google/genai';
+import { buildGeneratePrompt } from '../generate.js';
+import { buildCategorizePrompt } from '../categorize.js';
+import { buildBrandabilityPrompt } from '../brandability.js';
+
+export const DEFAULT_GEMINI_MODEL = 'gemini-2.5-flash';
+
+/**
+ * LLM provider backed by Google Gemini through @google/genai.
+ */
+export function createGeminiProvider({ apiKey, model = DEFAULT_GEMINI_MODEL }) {
+    const ai = new GoogleGenAI({ apiKey });
+
+    // prompt is { system, user } from prompt.js; the instructions go in as the system instruction.
+    async function generateJson({ system, user }, responseSchema, requestModel) {
+        const response = await ai.models.generateContent({
+            model: requestModel || model,
+            contents: user,
+            config: { systemInstruction: system, responseMimeType: 'application/json', responseSchema },
+        });
+        return JSON.parse(response.text);
+    }
+
+    return {
+        name: 'gemini',
+
+        async generateDomains(options, avoid = []) {
+            return generateJson(buildGeneratePrompt(options, avoid), {
+                type: Type.ARRAY,
+                items: { type: Type.STRING, description: 'A fully qualified domain name, e.g. "example.com".' }
+            }, options.model);
+        },
+
+        async categorizeDomains(domains) {
+            return generateJson(buildCategorizePrompt(domains), {
+                type: Type.ARRAY,
+                items: {
+                    type: Type.OBJECT,
+                    properties: {
+                        category: { type: Type.STRING, description: 'The name of the category.' },
+                        domains: { type: Type.ARRAY, items: { type: Type.STRING }, description: 'The domains in this category.' }
+                    }
+                }
+            });
+        },
+
+        async rateBrandability(domains) {
+            return generateJson(buildBrandabilityPrompt(domains), {
+                type: Type.ARRAY,
+                items: {
+                    type: Type.OBJECT,
+                    properties: {
+                        domain: { type: Type.STRING, description: 'The domain being rated.' },
+                        score: { type: Type.INTEGER, description: 'Brandability from 0 (poor) to 100 (excellent).' }
+                    }
+                }
+            });
+        },
+    };
+}
@@ -0,0 +1,48 @@
+import { createGeminiProvider, DEFAULT_GEMINI_MODEL } from './gemini.js';
+import { createOpenAiProvider, DEFAULT_OPENAI_BASE_URL, DEFAULT_OPENAI_MODEL } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+// LLM providers implement:
+//   name
+//   generateDomains(options, avoid) -> raw candidate domains (filtered by the caller)
+//   categorizeDomains(domains) -> [{ category, domains }]
+//   rateBrandability(domains) -> [{ domain, score }] with scores from 0 to 100
+
+export const PROVIDER_NAMES = ['gemini', 'openai', 'mock'];
+
+/**
+ * Picks the provider from the environment.
+ * LLM_PROVIDER selects one explicitly; otherwise Gemini when API_KEY is set, then OpenAI-compatible
+ * when OPENAI_API_KEY is set, and the offline mock provider when no key is configured at all.
+ * Returns { provider } or { error } when the selected provider is missing its configuration.
+ */
+export function resolveProvider(env = process.env) {
+    const name = (env.LLM_PROVIDER || (env.API_KEY ? 'gemini' : env.OPENAI_API_KEY ? 'openai' : 'mock')).toLowerCase();
+
+    switch (name) {
+        case 'gemini':
+            if (!env.API_KEY) {
+                return { error: 'Server configuration error: API_KEY is missing.' };
+            }
+            return { provider: createGeminiProvider({ apiKey: env.API_KEY, model: env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL }) };
+
+        case 'openai':
+            // Self-hosted OpenAI-compatible servers often run without a key, so only a base URL is required.
+            if (!env.OPENAI_API_KEY && !env.OPENAI_BASE_URL) {
+                return { error: 'Server configuration error: OPENAI_API_KEY is missing.' };
+            }
+            return {
+                provider: createOpenAiProvider({
+                    apiKey: env.OPENAI_API_KEY,
+                    baseUrl: env.OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+                    model: env.OPENAI_MODEL || DEFAULT_OPENAI_MODEL,
+                }),
+            };
+
+        case 'mock':
+            return { provider: createMockProvider() };
+
+        default:
+            return { error: `Server configuration error: unknown LLM_PROVIDER "${name}". Expected one of: ${PROVIDER_NAMES.join(', ')}.` };
+    }
+}
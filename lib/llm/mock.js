@@ -0,0 +1,90 @@
+// Deterministic offline provider: rule-based ideas and keyword heuristics instead of a model.
+// Used in CI, local development and whenever no LLM API key is configured.
+
+import { scoreDomain } from '../scoring.js';
+
+const BRANDABLE_PREFIXES = ['get', 'try', 'go', 'my'];
+const BRANDABLE_SUFFIXES = ['ly', 'ify', 'io', 'hub', 'lab', 'hq', 'base', 'kit'];
+const COMPOUND_WORDS = ['cloud', 'flow', 'stack', 'spark', 'forge', 'nest', 'wave', 'point', 'works', 'craft'];
+
+const CATEGORY_RULES = [
+    { category: 'Technology', words: ['ai', 'tech', 'data', 'cloud', 'dev', 'code', 'app', 'soft', 'net', 'bot', 'lab', 'stack', 'byte', 'cyber', 'web'] },
+    { category: 'Business', words: ['biz', 'pay', 'shop', 'market', 'trade', 'finance', 'consult', 'pro', 'hq', 'store', 'sales', 'corp', 'capital', 'deal'] },
+    { category: 'Creative', words: ['design', 'studio', 'art', 'media', 'craft', 'story', 'pixel', 'create', 'brand', 'ink', 'wave', 'spark'] },
+];
+const SHORT_NAME_LENGTH = 6;
+
+function keywordList(keywords) {
+    return [...new Set(keywords.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length > 1))];
+}
+
+function blend(a, b) {
+    return a.slice(0, Math.ceil(a.length / 2)) + b.slice(Math.floor(b.length / 2));
+}
+
+function namesForStyle(style, words) {
+    switch (style) {
+        case 'exact-match':
+            return [words.join(''), ...words, ...words.slice(1).map(word => words[0] + word)];
+        case 'compound':
+            return words.flatMap(word => COMPOUND_WORDS.map(extra => word + extra));
+        case 'brandable':
+            return [
+                ...words.flatMap(word => BRANDABLE_SUFFIXES.map(suffix => word + suffix)),
+                ...words.flatMap(word => BRANDABLE_PREFIXES.map(prefix => prefix + word)),
+                ...words.flatMap(a => words.filter(b => b !== a).map(b => blend(a, b))),
+            ];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Creates the mock provider. Output depends only on its input, so tests can assert on it.
+ */
+export function createMockProvider() {
+    return {
+        name: 'mock',
+
+        async generateDomains(options, avoid = []) {
+            const words = keywordList(options.keywords);
+            const taken = new Set(avoid);
+            // Interleave styles so a small count still gets a mix.
+            const perStyle = options.styles.map(style => namesForStyle(style, words));
+            const names = [];
+            for (let i = 0; perStyle.some(list => i < list.length); i++) {
+                perStyle.forEach(list => i < list.length && names.push(list[i]));
+            }
+
+            const domains = [];
+            for (const name of new Set(names)) {
+                for (const tld of options.tlds) {
+                    const domain = `${name}.${tld}`;
+                    if (!taken.has(domain)) domains.push(domain);
+                }
+            }
+            // Over-generate so server-side filtering still leaves enough.
+            return domains.slice(0, options.count * 2);
+        },
+
+        async categorizeDomains(domains) {
+            const groups = new Map();
+            for (const domain of domains) {
+                const name = domain.split('.')[0];
+                const rule = CATEGORY_RULES.find(r => r.words.some(word => name.includes(word)));
+                const category = rule ? rule.category : name.length <= SHORT_NAME_LENGTH ? 'Short & Brandable' : 'General';
+                if (!groups.has(category)) groups.set(category, []);
+                groups.get(category).push(domain);
+            }
+            return [...groups].map(([category, categoryDomains]) => ({ category, domains: categoryDomains }));
+        },
+
+        async rateBrandability(domains) {
+            // Stand-in for a model's judgement: how short and sayable the name is.
+            return domains.map(domain => {
+                const { breakdown } = scoreDomain(domain);
+                return { domain, score: Math.round((breakdown.length + breakdown.pronounceability) / 2) };
+            });
+        },
+    };
+}
@@ -0,0 +1,120 @@
+import { buildGeneratePrompt } from '../generate.js';
+import { buildCategorizePrompt } from '../categorize.js';
+import { buildBrandabilityPrompt } from '../brandability.js';
+
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+export const DEFAULT_OPENAI_MODEL = 'gpt-4o-mini';
+// Generous, since a long domain list can take a while to write, but a stalled request must not hold the function.
+export const DEFAULT_OPENAI_TIMEOUT_MS = 60_000;
+
+// Structured outputs in strict mode need an object at the root, so lists are wrapped in a property.
+const DOMAINS_SCHEMA = {
+    type: 'object',
+    properties: {
+        domains: { type: 'array', items: { type: 'string' }, description: 'Fully qualified domain names, e.g. "example.com".' },
+    },
+    required: ['domains'],
+    additionalProperties: false,
+};
+
+const CATEGORIES_SCHEMA = {
+    type: 'object',
+    properties: {
+        categories: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    category: { type: 'string', description: 'The name of the category.' },
+                    domains: { type: 'array', items: { type: 'string' }, description: 'The domains in this category.' },
+                },
+                required: ['category', 'domains'],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ['categories'],
+    additionalProperties: false,
+};
+
+const SCORES_SCHEMA = {
+    type: 'object',
+    properties: {
+        scores: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    domain: { type: 'string', description: 'The domain being rated.' },
+                    score: { type: 'integer', description: 'Brandability from 0 (poor) to 100 (excellent).' },
+                },
+                required: ['domain', 'score'],
+                additionalProperties: false,
+            },
+        },
+    },
+    required: ['scores'],
+    additionalProperties: false,
+};
+
+/**
+ * LLM provider for any OpenAI-compatible chat completions API (OpenAI, Azure OpenAI, OpenRouter, vLLM, Ollama, ...).
+ */
+export function createOpenAiProvider({ apiKey, baseUrl = DEFAULT_OPENAI_BASE_URL, model = DEFAULT_OPENAI_MODEL, timeout = DEFAULT_OPENAI_TIMEOUT_MS }) {
+    // prompt is { system, user } from prompt.js, sent as separate system and user messages.
+    async function completeJson(prompt, schemaName, schema, requestModel) {
+        let data;
+        try {
+            const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                },
+                body: JSON.stringify({
+                    model: requestModel || model,
+                    messages: [{ role: 'system', content: prompt.system }, { role: 'user', content: prompt.user }],
+                    response_format: { type: 'json_schema', json_schema: { name: schemaName, strict: true, schema } },
+                }),
+                signal: AbortSignal.timeout(timeout),
+            });
+
+            if (!response.ok) {
+                throw new Error(`LLM provider request failed with status ${response.status}: ${await response.text()}`);
+            }
+            data = await response.json();
+        } catch (error) {
+            if (error.name === 'TimeoutError') {
+                throw new Error(`LLM provider request timed out after ${timeout} ms.`);
+            }
+            throw error;
+        }
+
+        // Refusals and responses cut off by a content filter come back without content.
+        const choice = data?.choices?.[0];
+        if (typeof choice?.message?.content !== 'string') {
+            const reason = choice?.message?.refusal || `finish reason: ${choice?.finish_reason ?? 'unknown'}`;
+            throw new Error(`LLM provider returned no content (${reason}).`);
+        }
+        return JSON.parse(choice.message.content);
+    }
+
+    return {
+        name: 'openai',
+
+        async generateDomains(options, avoid = []) {
+            const { domains } = await completeJson(buildGeneratePrompt(options, avoid), 'domain_ideas', DOMAINS_SCHEMA, options.model);
+            return domains;
+        },
+
+        async categorizeDomains(domains) {
+            const { categories } = await completeJson(buildCategorizePrompt(domains), 'domain_categories', CATEGORIES_SCHEMA);
+            return categories;
+        },
+
+        async rateBrandability(domains) {
+            const { scores } = await completeJson(buildBrandabilityPrompt(domains), 'brandability_scores', SCORES_SCHEMA);
+            return scores;
+        },
+    };
+}
@@ -0,0 +1,242 @@
+// OpenAPI 3.1 description of the versioned /api/v1 routes, served by api/v1/openapi.js.
+// Enums and limits come from the same lists and constants the validators use, so the document can't drift from them.
+
+import { GENERATE_STYLES, DEFAULT_COUNT, MAX_COUNT, MAX_KEYWORDS_LENGTH, MAX_EXCLUDE_WORDS, MAX_TLDS, MIN_NAME_LENGTH, MAX_NAME_LENGTH } from './generate.js';
+import { VARIATION_KINDS, DEFAULT_LIMIT as DEFAULT_VARIATION_LIMIT, MAX_LIMIT as MAX_VARIATION_LIMIT } from './variations.js';
+import { MAX_CATEGORY_LENGTH } from './categorize.js';
+import { MAX_AI_DOMAINS } from './prompt.js';
+import { RESOLVER_NAMES } from './resolvers.js';
+import { MAX_CHECK_DOMAINS } from './api.js';
+
+const AVAILABILITY_STATES = ['Available', 'Unavailable', 'Inconclusive', 'Timeout', 'Error', 'Invalid'];
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const domainList = (maxItems) => ({
+    type: 'array',
+    items: { type: 'string' },
+    maxItems,
+    description: 'Domains to process. Counts against the per-request domain quota of the API key.',
+});
+
+function errorResponses(...statuses) {
+    const descriptions = {
+        400: 'The request body is invalid.',
+        401: 'The API key is missing or unknown.',
+        413: 'More domains than the API key allows per request.',
+        429: 'The API key\'s rate limit is used up; retry after the Retry-After header.',
+        503: 'The API or the AI provider is not configured on this server.',
+    };
+    return Object.fromEntries(statuses.map(status => [status, {
+        description: descriptions[status],
+        content: { 'application/json': { schema: ref('Error') } },
+    }]));
+}
+
+function operation({ summary, description, request, response, ai = false }) {
+    return {
+        post: {
+            summary,
+            description,
+            requestBody: { required: true, content: { 'application/json': { schema: request } } },
+            responses: {
+                200: {
+                    description: 'Success.',
+                    headers: {
+                        'X-RateLimit-Limit': { schema: { type: 'integer' }, description: 'Requests allowed per minute.' },
+                        'X-RateLimit-Remaining': { schema: { type: 'integer' }, description: 'Requests left in the current minute.' },
+                        'X-RateLimit-Reset': { schema: { type: 'integer' }, description: 'When the window resets, in epoch seconds.' },
+                        ...(ai ? { 'X-AI-Provider': { schema: { type: 'string' }, description: 'The LLM provider that answered, e.g. "mock".' } } : {}),
+                    },
+                    content: response,
+                },
+                ...errorResponses(400, 401, 413, 429, 503),
+                500: { description: 'Unexpected server error.', content: { 'application/json': { schema: ref('Error') } } },
+            },
+        },
+    };
+}
+
+export function buildOpenApiDocument() {
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'AI Domain Finder API',
+            version: '1.0.0',
+            description: 'Check domain availability, generate and categorize name ideas, and build variations of a taken name. '
+                + 'Every request needs an API key, sent as "Authorization: Bearer <key>" or "X-API-Key: <key>". '
+                + 'Errors always have the body { "error": message, "code": identifier }.',
+        },
+        servers: [{ url: '/api/v1' }],
+        security: [{ bearerKey: [] }, { headerKey: [] }],
+        paths: {
+            '/check': operation({
+                summary: 'Check domain availability',
+                description: 'Looks every domain up in DNS and verifies available ones through RDAP. '
+                    + 'With stream: true the response is NDJSON, one CheckResult per line in completion order; '
+                    + 'a failure after the stream has started arrives as a final { "type": "error", "error": message } line.',
+                request: {
+                    type: 'object',
+                    required: ['domains'],
+                    properties: {
+                        domains: domainList(MAX_CHECK_DOMAINS),
+                        force: { type: 'boolean', default: false, description: 'Skip the availability cache.' },
+                        stream: { type: 'boolean', default: false, description: 'Stream results as NDJSON.' },
+                        resolver: {
+                            description: 'DNS backend; a list asks several and combines their answers.',
+                            oneOf: [
+                                { type: 'string', enum: RESOLVER_NAMES },
+                                { type: 'array', items: { type: 'string', enum: RESOLVER_NAMES } },
+                            ],
+                        },
+                    },
+                },
+                response: {
+                    'application/json': { schema: { type: 'object', properties: { results: { type: 'array', items: ref('CheckResult') } } } },
+                    'application/x-ndjson': { schema: ref('CheckResult') },
+                },
+            }),
+            '/generate': operation({
+                summary: 'Generate domain ideas with AI',
+                description: 'Returns up to count valid names; they are not checked for availability. count is what counts against the domain quota.',
+                ai: true,
+                request: {
+                    type: 'object',
+                    required: ['keywords', 'tlds'],
+                    properties: {
+                        keywords: { type: 'string', maxLength: MAX_KEYWORDS_LENGTH },
+                        tlds: { oneOf: [{ type: 'string', description: 'e.g. ".com, .io"' }, { type: 'array', items: { type: 'string' }, maxItems: MAX_TLDS }] },
+                        count: { type: 'integer', minimum: 1, maximum: MAX_COUNT, default: DEFAULT_COUNT },
+                        maxLength: { type: ['integer', 'null'], minimum: MIN_NAME_LENGTH, maximum: MAX_NAME_LENGTH },
+                        styles: { type: 'array', items: { type: 'string', enum: GENERATE_STYLES } },
+                        exclude: { type: 'array', items: { type: 'string', maxLength: MAX_NAME_LENGTH }, maxItems: MAX_EXCLUDE_WORDS, description: 'Words the names must not contain.' },
+                        allowHyphens: { type: 'boolean', default: false },
+                        allowNumbers: { type: 'boolean', default: false },
+                        model: { type: ['string', 'null'], description: 'Overrides the provider\'s default model.' },
+                    },
+                },
+                response: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: { domains: { type: 'array', items: { type: 'string' } }, provider: { type: 'string' } },
+                        },
+                    },
+                },
+            }),
+            '/categorize': operation({
+                summary: 'Group domains into categories with AI',
+                description: 'Every requested domain appears in exactly one category; domains the model could not place are under "Other".',
+                ai: true,
+                request: { type: 'object', required: ['domains'], properties: { domains: domainList(MAX_AI_DOMAINS) } },
+                response: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                categories: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { category: { type: 'string', maxLength: MAX_CATEGORY_LENGTH }, domains: { type: 'array', items: { type: 'string' } } },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            }),
+            '/brandability': operation({
+                summary: 'Rate how brandable domains are with AI',
+                ai: true,
+                request: { type: 'object', required: ['domains'], properties: { domains: domainList(MAX_AI_DOMAINS) } },
+                response: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                scores: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: { domain: { type: 'string' }, score: { type: 'integer', minimum: 0, maximum: 100 } },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            }),
+            '/variations': operation({
+                summary: 'Build rule-based variations of a name',
+                description: 'Deterministic alternatives to a taken name; they are not checked for availability. The limit counts against the domain quota.',
+                request: {
+                    type: 'object',
+                    required: ['seed'],
+                    properties: {
+                        seed: { type: 'string', description: 'A name or full domain.' },
+                        tlds: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' }, maxItems: MAX_TLDS }], description: 'Defaults to the seed\'s TLD, else com.' },
+                        kinds: { type: 'array', items: { type: 'string', enum: VARIATION_KINDS } },
+                        limit: { type: 'integer', minimum: 1, maximum: MAX_VARIATION_LIMIT, default: DEFAULT_VARIATION_LIMIT },
+                    },
+                },
+                response: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                variations: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        required: ['domain', 'kind'],
+                                        properties: {
+                                            domain: { type: 'string' },
+                                            kind: { type: 'string', enum: VARIATION_KINDS },
+                                            hack: { type: 'string', description: 'For TLD hacks, the name as it reads, e.g. "del.icio.us".' },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            }),
+        },
+        components: {
+            securitySchemes: {
+                bearerKey: { type: 'http', scheme: 'bearer' },
+                headerKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error', 'code'],
+                    properties: {
+                        error: { type: 'string', description: 'Human-readable message.' },
+                        code: {
+                            type: 'string',
+                            enum: ['invalid_request', 'unauthorized', 'quota_exceeded', 'rate_limited', 'api_disabled', 'provider_unavailable', 'method_not_allowed', 'internal_error'],
+                        },
+                    },
+                },
+                CheckResult: {
+                    type: 'object',
+                    required: ['domain', 'availability'],
+                    properties: {
+                        domain: { type: 'string', description: 'The registrable ASCII form of the input.' },
+                        availability: { type: 'string', enum: AVAILABILITY_STATES },
+                        error: { type: 'string', description: 'Why the lookup failed or the input is invalid.' },
+                        resolver: { type: 'string' },
+                        rdapStatus: { type: 'string', description: 'RDAP verdict for DNS-available names.' },
+                        registrar: { type: ['string', 'null'] },
+                        expires: { type: ['string', 'null'] },
+                        checkedAt: { type: 'string', format: 'date-time' },
+                        cached: { type: 'boolean' },
+                        ageSeconds: { type: 'integer' },
+                    },
+                },
+            },
+        },
+    };
+}
@@ -0,0 +1,93 @@
+// IndexedDB storage for projects and their runs. Browser only.
+//
+// projects: { id, name, createdAt, updatedAt }
+// runs:     { id, projectId, createdAt, mode, input, results, categories, metadata }
+
+const DB_NAME = 'domain-finder';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDatabase() {
+    dbPromise ??= new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            db.createObjectStore('projects', { keyPath: 'id' });
+            const runs = db.createObjectStore('runs', { keyPath: 'id' });
+            runs.createIndex('projectId', 'projectId');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+    return dbPromise;
+}
+
+// Runs one request in its own transaction and resolves with its result once the transaction commits.
+async function withStore(storeName, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+export async function listProjects() {
+    const projects = await withStore('projects', 'readonly', store => store.getAll());
+    return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getProject(id) {
+    return withStore('projects', 'readonly', store => store.get(id));
+}
+
+export function saveProject(project) {
+    return withStore('projects', 'readwrite', store => store.put(project));
+}
+
+/**
+ * Deletes a project together with all of its runs.
+ */
+export async function deleteProject(id) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(['projects', 'runs'], 'readwrite');
+        transaction.objectStore('projects').delete(id);
+        const cursorRequest = transaction.objectStore('runs').index('projectId').openKeyCursor(IDBKeyRange.only(id));
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (cursor) {
+                transaction.objectStore('runs').delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Returns a project's runs, newest first.
+ */
+export async function listRuns(projectId) {
+    const runs = await withStore('runs', 'readonly', store => store.index('projectId').getAll(IDBKeyRange.only(projectId)));
+    return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+export function getRun(id) {
+    return withStore('runs', 'readonly', store => store.get(id));
+}
+
+export function saveRun(run) {
+    return withStore('runs', 'readwrite', store => store.put(run));
+}
+
+export function deleteRun(id) {
+    return withStore('runs', 'readwrite', store => store.delete(id));
+}
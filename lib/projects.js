@@ -0,0 +1,149 @@
+// Saved projects and run history: run diffs and the shareable project file format.
+// Storage itself lives in project-store.js (IndexedDB, browser only).
+
+export const PROJECT_FILE_FORMAT = 'domain-finder-project';
+export const PROJECT_FILE_VERSION = 1;
+
+// The app's modes, as stored in run.mode and run.input.mode.
+export const RUN_MODES = ['checker', 'generator', 'variations'];
+
+const MAX_PROJECT_NAME_LENGTH = 100;
+// Free-text fields of run.input, restored into the form as they are.
+const INPUT_TEXT_FIELDS = ['domains', 'tldPreset', 'customTlds', 'keywords', 'tlds', 'seed', 'variationTlds'];
+// Optional result fields the results table formats; null means unknown (e.g. RDAP named no registrar).
+const RESULT_TEXT_FIELDS = ['error', 'registrar', 'expires', 'rdapStatus', 'resolver'];
+const RESULT_NUMBER_FIELDS = ['latencyMs', 'ageSeconds', 'attempts'];
+
+/**
+ * Compares two runs' results domain by domain.
+ * Returns { becameAvailable, becameUnavailable, changed: [{ domain, from, to }], added, removed }.
+ */
+export function diffRuns(previousResults, currentResults) {
+    const previous = new Map(previousResults.map(result => [result.domain, result.availability]));
+    const current = new Map(currentResults.map(result => [result.domain, result.availability]));
+
+    const changed = [];
+    for (const [domain, to] of current) {
+        const from = previous.get(domain);
+        if (from !== undefined && from !== to) changed.push({ domain, from, to });
+    }
+    return {
+        becameAvailable: changed.filter(change => change.to === 'Available').map(change => change.domain),
+        becameUnavailable: changed.filter(change => change.from === 'Available' && change.to === 'Unavailable').map(change => change.domain),
+        changed,
+        added: [...current.keys()].filter(domain => !previous.has(domain)),
+        removed: [...previous.keys()].filter(domain => !current.has(domain)),
+    };
+}
+
+/**
+ * One-line description of a diff, e.g. "3 domains became available, 1 was taken".
+ */
+export function summarizeDiff(diff) {
+    const domains = (count) => `${count} domain${count === 1 ? '' : 's'}`;
+    const taken = diff.becameUnavailable.length;
+    const otherChanges = diff.changed.length - diff.becameAvailable.length - taken;
+    const parts = [];
+    if (diff.becameAvailable.length > 0) parts.push(`${domains(diff.becameAvailable.length)} became available`);
+    if (taken > 0) parts.push(`${domains(taken)} ${taken === 1 ? 'was' : 'were'} taken`);
+    if (otherChanges > 0) parts.push(`${domains(otherChanges)} changed status`);
+    return parts.length > 0 ? parts.join(', ') : 'No changes since the last check';
+}
+
+/**
+ * Serializes a project and its runs into a file teammates can import.
+ */
+export function createProjectFile(project, runs) {
+    return JSON.stringify({
+        format: PROJECT_FILE_FORMAT,
+        version: PROJECT_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        project: { name: project.name, createdAt: project.createdAt },
+        runs: runs.map(({ projectId, ...run }) => run),
+    }, null, 2);
+}
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isTimestamp = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+function isValidResult(result) {
+    if (!isPlainObject(result) || typeof result.domain !== 'string' || typeof result.availability !== 'string') return false;
+    const optional = (field, isValid) => result[field] === undefined || result[field] === null || isValid(result[field]);
+    return RESULT_TEXT_FIELDS.every(field => optional(field, value => typeof value === 'string'))
+        && RESULT_NUMBER_FIELDS.every(field => optional(field, Number.isFinite))
+        && optional('checkedAt', isTimestamp)
+        && optional('cached', value => typeof value === 'boolean');
+}
+
+// Returns what is wrong with an imported run, or null when it can be restored as it is.
+function findRunProblem(run) {
+    if (!isPlainObject(run)) return 'is not an object';
+    if (!RUN_MODES.includes(run.mode)) return `has an unknown mode (${JSON.stringify(run.mode)})`;
+    if (run.createdAt !== undefined && !isTimestamp(run.createdAt)) return 'has an invalid date';
+    if (run.input !== undefined) {
+        if (!isPlainObject(run.input)) return 'has invalid inputs';
+        if (run.input.mode !== undefined && !RUN_MODES.includes(run.input.mode)) return `has an unknown mode (${JSON.stringify(run.input.mode)})`;
+        if (INPUT_TEXT_FIELDS.some(field => run.input[field] !== undefined && typeof run.input[field] !== 'string')) return 'has invalid inputs';
+        if (run.input.expandTlds !== undefined && !isStringArray(run.input.expandTlds)) return 'has invalid inputs';
+    }
+    if (!Array.isArray(run.results) || !run.results.every(isValidResult)) {
+        return 'has invalid results';
+    }
+    if (run.categories !== undefined && !(Array.isArray(run.categories) && run.categories.every(cat => isPlainObject(cat) && typeof cat.category === 'string' && isStringArray(cat.domains)))) {
+        return 'has invalid categories';
+    }
+    if (run.metadata !== undefined && !(isPlainObject(run.metadata) && Object.values(run.metadata).every(isPlainObject))) {
+        return 'has invalid import metadata';
+    }
+    return null;
+}
+
+/**
+ * Validates a project file, including every run, so nothing malformed reaches storage or the UI.
+ * Returns { project, runs } with fresh ids, or { error }.
+ */
+export function parseProjectFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { error: 'The file is not valid JSON.' };
+    }
+    if (data?.format !== PROJECT_FILE_FORMAT) {
+        return { error: 'This is not a domain project file.' };
+    }
+    if (data.version > PROJECT_FILE_VERSION) {
+        return { error: 'The project file was made by a newer version of this app.' };
+    }
+    if (!Array.isArray(data.runs)) {
+        return { error: 'The project file has no valid runs.' };
+    }
+    for (const [index, run] of data.runs.entries()) {
+        const problem = findRunProblem(run);
+        if (problem) return { error: `Run ${index + 1} of the project file ${problem}.` };
+    }
+
+    const now = new Date().toISOString();
+    const project = {
+        id: crypto.randomUUID(),
+        name: String(data.project?.name || 'Imported project').slice(0, MAX_PROJECT_NAME_LENGTH),
+        createdAt: isTimestamp(data.project?.createdAt) ? data.project.createdAt : now,
+        updatedAt: now,
+    };
+    const runs = data.runs.map(run => ({
+        id: crypto.randomUUID(),
+        projectId: project.id,
+        createdAt: run.createdAt || now,
+        mode: run.mode,
+        input: run.input ?? {},
+        results: run.results,
+        categories: run.categories ?? [],
+        metadata: run.metadata ?? {},
+    }));
+    return { project, runs };
+}
+
+export function normalizeProjectName(name) {
+    return String(name ?? '').trim().slice(0, MAX_PROJECT_NAME_LENGTH);
+}
@@ -0,0 +1,125 @@
+import { readFileSync } from 'node:fs';
+
+// IANA RDAP bootstrap file (https://data.iana.org/rdap/dns.json), bundled so lookups don't depend on IANA being reachable.
+const BOOTSTRAP_FILE = new URL('./data/rdap-bootstrap.json', import.meta.url);
+
+// RDAP states that mean the name cannot be registered right now.
+const UNAVAILABLE_STATES = new Set(['Registered', 'Reserved', 'Pending Delete']);
+
+let tldServers = null;
+
+/**
+ * Builds the TLD -> RDAP base URL map from the bundled bootstrap file.
+ */
+function loadBootstrap() {
+    if (tldServers) return tldServers;
+
+    const bootstrap = JSON.parse(readFileSync(BOOTSTRAP_FILE, 'utf8'));
+    tldServers = new Map();
+    for (const [tlds, urls] of bootstrap.services) {
+        // Prefer an HTTPS server when the registry publishes several.
+        const url = urls.find(u => u.startsWith('https://')) || urls[0];
+        tlds.forEach(tld => tldServers.set(tld.toLowerCase(), url));
+    }
+    return tldServers;
+}
+
+/**
+ * Returns the RDAP base URL for a domain's TLD.
+ * RDAP_BASE_URL (or the baseUrl option) overrides the bootstrap file, e.g. to point at a local mock server.
+ */
+export function getRdapBaseUrl(domain, baseUrl = process.env.RDAP_BASE_URL) {
+    if (baseUrl) return baseUrl;
+    const tld = domain.split('.').pop().toLowerCase();
+    return loadBootstrap().get(tld) || null;
+}
+
+function findRegistrar(entities = []) {
+    const registrar = entities.find(e => Array.isArray(e.roles) && e.roles.includes('registrar'));
+    if (!registrar) return null;
+    // vcardArray is jCard: ["vcard", [[name, params, type, value], ...]]
+    const fn = registrar.vcardArray?.[1]?.find(prop => prop[0] === 'fn');
+    return fn?.[3] || registrar.handle || null;
+}
+
+function findExpiry(events = []) {
+    const expiration = events.find(e => e.eventAction === 'expiration');
+    return expiration?.eventDate || null;
+}
+
+/**
+ * Maps an RDAP domain object to one of our verification states.
+ */
+function classifyDomainObject(data) {
+    const statuses = (data.status || []).map(s => s.toLowerCase());
+    if (statuses.includes('pending delete') || statuses.includes('redemption period')) {
+        return 'Pending Delete';
+    }
+    if (statuses.some(s => s.includes('reserved'))) {
+        return 'Reserved';
+    }
+    return 'Registered';
+}
+
+/**
+ * Queries the TLD's RDAP server for a single domain.
+ * Resolves to { state, registrar, expires } where state is one of
+ * Registered, Available, Reserved, Pending Delete or Unknown.
+ */
+export async function lookupRdap(domain, { baseUrl, timeout = 5000 } = {}) {
+    const base = getRdapBaseUrl(domain, baseUrl);
+    if (!base) {
+        return { state: 'Unknown', registrar: null, expires: null };
+    }
+
+    // The timeout also covers reading the body, so it is cleared only once the lookup is over.
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(`${base.replace(/\/?$/, '/')}domain/${encodeURIComponent(domain)}`, {
+            headers: { 'accept': 'application/rdap+json' },
+            signal: controller.signal,
+        });
+
+        // RFC 7480: 404 means the registry has no object for this name.
+        if (response.status === 404) {
+            return { state: 'Available', registrar: null, expires: null };
+        }
+        if (!response.ok) {
+            return { state: 'Unknown', registrar: null, expires: null };
+        }
+
+        const data = await response.json();
+        return {
+            state: classifyDomainObject(data),
+            registrar: findRegistrar(data.entities),
+            expires: findExpiry(data.events),
+        };
+    } catch (error) {
+        console.error(`RDAP lookup failed for ${domain}:`, error.name === 'AbortError' ? 'Timeout' : error.message);
+        return { state: 'Unknown', registrar: null, expires: null };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Second verification stage: re-checks the DNS "Available" candidates against RDAP.
+ * Names RDAP reports as registered, reserved or pending delete are downgraded to "Unavailable";
+ * when RDAP can't answer, the DNS verdict stands and rdapStatus is "Unknown".
+ */
+export async function verifyAvailableDomains(results, options = {}) {
+    return Promise.all(results.map(async (result) => {
+        if (result.availability !== 'Available') {
+            return result;
+        }
+        const { state, registrar, expires } = await lookupRdap(result.domain, options);
+        return {
+            ...result,
+            availability: UNAVAILABLE_STATES.has(state) ? 'Unavailable' : 'Available',
+            rdapStatus: state,
+            registrar,
+            expires,
+        };
+    }));
+}
@@ -0,0 +1,62 @@
+// Registrar hand-off: deep links for a single domain and paste-ready bulk lists for their bulk search pages.
+// searchUrl opens the registrar's search for one domain; bulkUrl is the page the bulk list is pasted into.
+
+export const REGISTRARS = {
+    namecheap: {
+        label: 'Namecheap',
+        searchUrl: (domain) => `https://www.namecheap.com/domains/registration/results/?domain=${encodeURIComponent(domain)}`,
+        bulkUrl: 'https://www.namecheap.com/domains/registration/results/?type=beast',
+        separator: '\n',
+        bulkLimit: 5000,
+    },
+    godaddy: {
+        label: 'GoDaddy',
+        searchUrl: (domain) => `https://www.godaddy.com/domainsearch/find?domainToCheck=${encodeURIComponent(domain)}`,
+        bulkUrl: 'https://www.godaddy.com/domains/bulk-domain-search',
+        separator: '\n',
+        bulkLimit: 500,
+    },
+    porkbun: {
+        label: 'Porkbun',
+        searchUrl: (domain) => `https://porkbun.com/checkout/search?q=${encodeURIComponent(domain)}`,
+        bulkUrl: 'https://porkbun.com/checkout/search',
+        separator: '\n',
+        bulkLimit: 100,
+    },
+    cloudflare: {
+        label: 'Cloudflare',
+        searchUrl: (domain) => `https://domains.cloudflare.com/?domain=${encodeURIComponent(domain)}`,
+        bulkUrl: 'https://domains.cloudflare.com/',
+        separator: '\n',
+        bulkLimit: 20,
+    },
+    dynadot: {
+        label: 'Dynadot',
+        searchUrl: (domain) => `https://www.dynadot.com/domain/search?domain=${encodeURIComponent(domain)}`,
+        bulkUrl: 'https://www.dynadot.com/domain/bulk-search',
+        separator: ',',
+        bulkLimit: 1000,
+    },
+};
+
+/**
+ * Splits domains into the registrar's bulk batches, each joined with its separator.
+ */
+export function formatBulkBatches(registrarId, domains) {
+    const registrar = REGISTRARS[registrarId];
+    if (!registrar) throw new Error(`Unknown registrar "${registrarId}".`);
+    const batches = [];
+    for (let i = 0; i < domains.length; i += registrar.bulkLimit) {
+        batches.push(domains.slice(i, i + registrar.bulkLimit).join(registrar.separator));
+    }
+    return batches;
+}
+
+/**
+ * Returns where to send the user: the domain's own search page for a single domain, otherwise the bulk page.
+ */
+export function registrarUrl(registrarId, domains) {
+    const registrar = REGISTRARS[registrarId];
+    if (!registrar) throw new Error(`Unknown registrar "${registrarId}".`);
+    return domains.length === 1 ? registrar.searchUrl(domains[0]) : registrar.bulkUrl;
+}
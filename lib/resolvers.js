@@ -0,0 +1,199 @@
+import { Resolver } from 'node:dns/promises';
+
+// DNS resolver backends. Each resolver is { name, lookup(domain, { signal }) } and resolves to
+// { availability: 'Available' | 'Unavailable' | 'Inconclusive' }; failures are thrown and classified by the checker.
+// Only NXDOMAIN means available and only NOERROR means taken; any other answer (SERVFAIL, REFUSED, ...)
+// says nothing about the domain and is thrown, so the scheduler retries it.
+
+const CLOUDFLARE_JSON_URL = 'https://cloudflare-dns.com/dns-query';
+const GOOGLE_JSON_URL = 'https://dns.google/resolve';
+const DEFAULT_WIRE_URL = 'https://cloudflare-dns.com/dns-query';
+
+const RCODE_NOERROR = 0;
+const RCODE_NXDOMAIN = 3;
+const QTYPE_NS = 2;
+const QCLASS_IN = 1;
+
+function httpError(response) {
+    const error = new Error(`HTTP ${response.status}`);
+    error.status = response.status;
+    return error;
+}
+
+const RCODE_NAMES = { 1: 'FORMERR', 2: 'SERVFAIL', 4: 'NOTIMP', 5: 'REFUSED' };
+
+function availabilityForRcode(rcode) {
+    if (rcode === RCODE_NXDOMAIN) return 'Available';
+    if (rcode === RCODE_NOERROR) return 'Unavailable';
+    const error = new Error(`DNS server answered ${RCODE_NAMES[rcode] || `rcode ${rcode}`}`);
+    error.rcode = rcode;
+    throw error;
+}
+
+/**
+ * DoH resolver for the JSON API flavour served by Cloudflare and Google.
+ */
+export function createJsonDohResolver({ name, url }) {
+    return {
+        name,
+        async lookup(domain, { signal } = {}) {
+            const response = await fetch(`${url}?name=${encodeURIComponent(domain)}&type=NS`, {
+                headers: { 'accept': 'application/dns-json' },
+                signal,
+            });
+            if (!response.ok) throw httpError(response);
+
+            const data = await response.json();
+            // NXDOMAIN (status 3) means the domain does not exist, so it's likely available.
+            return { availability: availabilityForRcode(data.Status) };
+        },
+    };
+}
+
+export function createCloudflareResolver() {
+    return createJsonDohResolver({ name: 'cloudflare', url: CLOUDFLARE_JSON_URL });
+}
+
+export function createGoogleResolver() {
+    return createJsonDohResolver({ name: 'google', url: GOOGLE_JSON_URL });
+}
+
+// Encodes an NS/IN question as an RFC 1035 message with ID 0, as RFC 8484 recommends for cacheability.
+function encodeNsQuery(domain) {
+    const labels = domain.split('.').filter(Boolean).map(label => new TextEncoder().encode(label));
+    const length = 12 + labels.reduce((sum, label) => sum + label.length + 1, 0) + 1 + 4;
+    const message = new Uint8Array(length);
+
+    message[2] = 0x01; // RD: recursion desired
+    message[5] = 1; // QDCOUNT
+    let offset = 12;
+    for (const label of labels) {
+        message[offset++] = label.length;
+        message.set(label, offset);
+        offset += label.length;
+    }
+    message[offset++] = 0; // root label
+    message[offset++] = 0;
+    message[offset++] = QTYPE_NS;
+    message[offset++] = 0;
+    message[offset] = QCLASS_IN;
+    return message;
+}
+
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Generic RFC 8484 DoH client using the binary DNS wire format over GET.
+ */
+export function createWireDohResolver({ name = 'doh', url = DEFAULT_WIRE_URL } = {}) {
+    return {
+        name,
+        async lookup(domain, { signal } = {}) {
+            const response = await fetch(`${url}?dns=${toBase64Url(encodeNsQuery(domain))}`, {
+                headers: { 'accept': 'application/dns-message' },
+                signal,
+            });
+            if (!response.ok) throw httpError(response);
+
+            const answer = new Uint8Array(await response.arrayBuffer());
+            if (answer.length < 12) throw new Error('Truncated DNS response');
+            // RCODE lives in the low four bits of the second flags byte.
+            const rcode = answer[3] & 0x0f;
+            return { availability: availabilityForRcode(rcode) };
+        },
+    };
+}
+
+/**
+ * Resolver backed by Node's dns module, optionally pointed at a specific server (e.g. "9.9.9.9" or "127.0.0.1:5353").
+ */
+export function createNodeDnsResolver({ name = 'dns', server } = {}) {
+    return {
+        name,
+        async lookup(domain, { signal } = {}) {
+            const resolver = new Resolver();
+            if (server) resolver.setServers([server]);
+            signal?.addEventListener('abort', () => resolver.cancel(), { once: true });
+
+            try {
+                await resolver.resolveNs(domain);
+                return { availability: 'Unavailable' };
+            } catch (error) {
+                // ENOTFOUND is NXDOMAIN; ENODATA means the name exists without NS records.
+                if (error.code === 'ENOTFOUND') return { availability: 'Available' };
+                if (error.code === 'ENODATA') return { availability: 'Unavailable' };
+                if (error.code === 'ECANCELLED') {
+                    const abort = new Error('DNS query cancelled');
+                    abort.name = 'AbortError';
+                    throw abort;
+                }
+                throw error;
+            }
+        },
+    };
+}
+
+/**
+ * Queries every resolver and only trusts the answer when they agree.
+ * Disagreements come back as "Inconclusive" with each resolver's answer; failed resolvers are left out,
+ * and the lookup only throws when none of them answered.
+ * resolvers is exposed so the checker can rate limit each backend rather than the combination.
+ */
+export function createConsensusResolver(resolvers) {
+    return {
+        name: `consensus(${resolvers.map(r => r.name).join(',')})`,
+        resolvers,
+        async lookup(domain, options = {}) {
+            const settled = await Promise.allSettled(resolvers.map(r => r.lookup(domain, options)));
+            const answers = {};
+            settled.forEach((outcome, index) => {
+                if (outcome.status === 'fulfilled') {
+                    answers[resolvers[index].name] = outcome.value.availability;
+                }
+            });
+
+            const verdicts = new Set(Object.values(answers));
+            if (verdicts.size === 0) {
+                throw settled[0].reason;
+            }
+            return {
+                availability: verdicts.size === 1 ? [...verdicts][0] : 'Inconclusive',
+                answers,
+            };
+        },
+    };
+}
+
+// Named backends selectable per request. Endpoints come from the environment only,
+// so a request body can pick a backend but never point the server at an arbitrary host.
+const RESOLVER_FACTORIES = {
+    cloudflare: createCloudflareResolver,
+    google: createGoogleResolver,
+    doh: () => createWireDohResolver({ url: process.env.DOH_URL || DEFAULT_WIRE_URL }),
+    dns: () => createNodeDnsResolver({ server: process.env.DNS_SERVER || undefined }),
+};
+
+export const RESOLVER_NAMES = Object.keys(RESOLVER_FACTORIES);
+
+/**
+ * Builds a resolver from a name ("google"), a list of names (consensus) or a resolver object
+ * (returned as-is, which lets tests inject a fake). Falls back to DNS_RESOLVER, then Cloudflare.
+ */
+export function createResolver(spec = process.env.DNS_RESOLVER || 'cloudflare') {
+    if (spec && typeof spec.lookup === 'function') {
+        return spec;
+    }
+
+    const names = (Array.isArray(spec) ? spec : String(spec).split(','))
+        .map(name => String(name).trim().toLowerCase())
+        .filter(Boolean);
+    const unknown = names.filter(name => !RESOLVER_FACTORIES[name]);
+    if (names.length === 0 || unknown.length > 0) {
+        throw new Error(`Unknown DNS resolver: ${unknown.join(', ') || '(none)'}. Expected one of: ${RESOLVER_NAMES.join(', ')}.`);
+    }
+
+    const resolvers = [...new Set(names)].map(name => RESOLVER_FACTORIES[name]());
+    return resolvers.length === 1 ? resolvers[0] : createConsensusResolver(resolvers);
+}
@@ -0,0 +1,59 @@
+// DOM builders for the categorized results list (index.js). Category names come from the AI provider, so
+// everything is set as text or attributes, never parsed as HTML. The document is passed in so the
+// builders also run against a stand-in DOM in tests.
+
+import { toUnicode } from './domain.js';
+import { formatBreakdown } from './scoring.js';
+
+export function createSpan(doc, className, text, title) {
+    const span = doc.createElement('span');
+    span.className = className;
+    span.textContent = text;
+    if (title) span.title = title;
+    return span;
+}
+
+/**
+ * Builds the accordion for one category: a header with the name, count and a Copy button (.copy-cat-button),
+ * then a row per ranked { domain, score, breakdown } entry with a selection checkbox (.domain-select).
+ * The caller wires up the button and checkboxes.
+ */
+export function createCategorySection(doc, { category, ranked }, { open = false, selected = new Set() } = {}) {
+    const accordion = doc.createElement('details');
+    accordion.className = 'category-accordion';
+    accordion.open = open;
+
+    const header = doc.createElement('div');
+    header.className = 'category-header';
+    const title = doc.createElement('h2');
+    title.textContent = `${category} (${ranked.length})`;
+    const copyButton = doc.createElement('button');
+    copyButton.className = 'copy-cat-button';
+    copyButton.title = 'Copy domains in this category';
+    copyButton.textContent = 'Copy';
+    header.append(title, copyButton);
+    const summary = doc.createElement('summary');
+    summary.appendChild(header);
+
+    const list = doc.createElement('div');
+    list.className = 'domain-list';
+    list.append(...ranked.map(entry => {
+        const checkbox = doc.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'domain-select';
+        checkbox.value = entry.domain;
+        checkbox.checked = selected.has(entry.domain);
+        checkbox.setAttribute('aria-label', `Select ${toUnicode(entry.domain)}`);
+        const row = doc.createElement('p');
+        row.append(
+            checkbox,
+            createSpan(doc, 'domain-name', toUnicode(entry.domain)),
+            createSpan(doc, 'score-badge', String(entry.score), 'Overall score'),
+            createSpan(doc, 'score-breakdown', formatBreakdown(entry.breakdown)),
+        );
+        return row;
+    }));
+
+    accordion.append(summary, list);
+    return accordion;
+}
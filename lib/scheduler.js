@@ -0,0 +1,144 @@
+// Lookup scheduler: caps concurrent lookups, spaces requests per resolver and retries transient failures.
+
+function abortError() {
+    const error = new Error('The lookup was aborted.');
+    error.name = 'AbortError';
+    return error;
+}
+
+// Abort callbacks per signal. Each signal gets a single 'abort' listener however many of its lookups
+// are queued or backing off, and it is removed once none are left.
+const abortWatchers = new Map();
+
+// Calls callback when the signal aborts; returns a function that cancels this.
+function onAbort(signal, callback) {
+    if (!signal) return () => {};
+    let watcher = abortWatchers.get(signal);
+    if (!watcher) {
+        watcher = {
+            callbacks: new Set(),
+            listener: () => {
+                abortWatchers.delete(signal);
+                watcher.callbacks.forEach(cb => cb());
+            },
+        };
+        abortWatchers.set(signal, watcher);
+        signal.addEventListener('abort', watcher.listener, { once: true });
+    }
+    watcher.callbacks.add(callback);
+    return () => {
+        watcher.callbacks.delete(callback);
+        if (watcher.callbacks.size === 0 && abortWatchers.get(signal) === watcher) {
+            abortWatchers.delete(signal);
+            signal.removeEventListener('abort', watcher.listener);
+        }
+    };
+}
+
+// Resolves after ms; rejects with an AbortError as soon as the signal aborts.
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            stopWatching();
+            resolve();
+        }, ms);
+        const stopWatching = onAbort(signal, () => {
+            clearTimeout(timer);
+            reject(abortError());
+        });
+    });
+}
+
+/**
+ * Creates a scheduler shared by every check in this process.
+ *
+ * - concurrency: max lookups in flight at once
+ * - retries: extra attempts after the first when shouldRetry(result) is true
+ * - backoffMs: base delay for exponential backoff (backoffMs * 2^(attempt - 1), plus jitter)
+ * - requestsPerSecond: per-key request rate, where the key identifies the resolver; a task that queries
+ *   several (consensus) passes an array of keys and waits for a slot on each
+ */
+export function createLookupScheduler({
+    concurrency = 20,
+    retries = 2,
+    backoffMs = 250,
+    requestsPerSecond = 50,
+    shouldRetry = () => false,
+} = {}) {
+    let active = 0;
+    const waiting = [];
+    const nextSlotByKey = new Map();
+
+    async function acquire(signal) {
+        if (active < concurrency) {
+            active++;
+            return;
+        }
+        await new Promise((resolve, reject) => {
+            const entry = {
+                resolve() {
+                    stopWatching();
+                    resolve();
+                },
+            };
+            waiting.push(entry);
+            const stopWatching = onAbort(signal, () => {
+                waiting.splice(waiting.indexOf(entry), 1);
+                reject(abortError());
+            });
+        });
+    }
+
+    function release() {
+        const next = waiting.shift();
+        if (next) {
+            // Hand the slot straight to the next waiter; active stays the same.
+            next.resolve();
+        } else {
+            active--;
+        }
+    }
+
+    // Reserves the next request slot for the key (or keys) and waits until it comes up.
+    async function throttle(key, signal) {
+        if (!requestsPerSecond) return;
+        const keys = Array.isArray(key) ? key : [key];
+        const now = Date.now();
+        const slot = Math.max(now, ...keys.map(k => nextSlotByKey.get(k) || 0));
+        keys.forEach(k => nextSlotByKey.set(k, slot + 1000 / requestsPerSecond));
+        if (slot > now) {
+            await sleep(slot - now, signal);
+        }
+    }
+
+    /**
+     * Runs task(attempt) under the scheduler's limits and resolves to its final result,
+     * annotated with the number of attempts made and the latency of the last one.
+     */
+    async function schedule(key, task, { signal } = {}) {
+        for (let attempt = 1; ; attempt++) {
+            if (signal?.aborted) throw abortError();
+
+            await acquire(signal);
+            let result;
+            let latencyMs;
+            try {
+                await throttle(key, signal);
+                const startedAt = Date.now();
+                result = await task(attempt);
+                latencyMs = Date.now() - startedAt;
+            } finally {
+                release();
+            }
+
+            if (attempt > retries || !shouldRetry(result)) {
+                return { ...result, attempts: attempt, latencyMs };
+            }
+
+            const delay = backoffMs * 2 ** (attempt - 1);
+            await sleep(delay + Math.random() * delay / 2, signal);
+        }
+    }
+
+    return { schedule };
+}
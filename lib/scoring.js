@@ -0,0 +1,173 @@
+// Domain scoring shared by the browser client and the API.
+// Each factor is rated 0-100; the total is their weighted average.
+
+import { WORDS } from './data/words.js';
+import { toUnicode } from './domain.js';
+
+const dictionary = new Set(WORDS);
+const MAX_WORD_LENGTH = Math.max(...WORDS.map(word => word.length));
+
+const VOWELS = new Set(['a', 'e', 'i', 'o', 'u', 'y']);
+
+const TLD_TIERS = [
+    { score: 100, tlds: ['com'] },
+    { score: 80, tlds: ['io', 'ai', 'co', 'net', 'org', 'app', 'dev'] },
+    { score: 65, tlds: ['xyz', 'tech', 'so', 'me', 'inc', 'cloud', 'studio', 'design', 'shop', 'store'] },
+];
+const COUNTRY_CODE_TLD_SCORE = 55;
+const OTHER_TLD_SCORE = 45;
+
+export const SCORE_WEIGHTS = {
+    length: 0.2,
+    pronounceability: 0.2,
+    dictionary: 0.15,
+    tld: 0.15,
+    hyphensDigits: 0.1,
+    relevance: 0.1,
+    brandability: 0.1,
+};
+
+export const SCORE_LABELS = {
+    length: 'Length',
+    pronounceability: 'Pronounceability',
+    dictionary: 'Dictionary words',
+    tld: 'TLD tier',
+    hyphensDigits: 'Hyphens & digits',
+    relevance: 'Keyword relevance',
+    brandability: 'AI brandability',
+};
+
+function clamp(value) {
+    return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+// 5 characters or fewer is ideal; every extra character costs 6 points.
+function scoreLength(name) {
+    return clamp(100 - Math.max(0, name.length - 5) * 6);
+}
+
+// Rewards alternating vowels and consonants; long clusters like "xqtr" are hard to say.
+function scorePronounceability(name) {
+    const letters = name.replace(/[^a-z]/g, '');
+    if (!letters) return 0;
+
+    let penalty = 0;
+    let run = 1;
+    for (let i = 1; i < letters.length; i++) {
+        const sameKind = VOWELS.has(letters[i]) === VOWELS.has(letters[i - 1]);
+        run = sameKind ? run + 1 : 1;
+        if (run >= 3) penalty += VOWELS.has(letters[i]) ? 15 : 20;
+    }
+    const vowelRatio = [...letters].filter(letter => VOWELS.has(letter)).length / letters.length;
+    // Most easy-to-say words are 30-50% vowels.
+    const ratioPenalty = vowelRatio < 0.3 ? (0.3 - vowelRatio) * 200 : vowelRatio > 0.6 ? (vowelRatio - 0.6) * 150 : 0;
+    return clamp(100 - penalty - ratioPenalty);
+}
+
+/**
+ * Splits a name into dictionary words, preferring the fewest words. Returns null when no full split exists.
+ */
+export function splitIntoWords(name) {
+    const best = new Array(name.length + 1).fill(null);
+    best[0] = [];
+    for (let end = 1; end <= name.length; end++) {
+        for (let start = Math.max(0, end - MAX_WORD_LENGTH); start < end; start++) {
+            const word = name.slice(start, end);
+            if (best[start] && dictionary.has(word) && (!best[end] || best[start].length + 1 < best[end].length)) {
+                best[end] = [...best[start], word];
+            }
+        }
+    }
+    return best[name.length];
+}
+
+// One or two whole words is ideal; otherwise score by how much of the name is made of words.
+function scoreDictionary(name) {
+    const parts = name.split('-').filter(Boolean);
+    const splits = parts.map(splitIntoWords);
+    if (splits.every(Boolean)) {
+        const wordCount = splits.reduce((sum, words) => sum + words.length, 0);
+        return clamp(100 - Math.max(0, wordCount - 2) * 20);
+    }
+
+    let covered = 0;
+    for (const part of parts) {
+        for (let i = 0; i < part.length;) {
+            let matched = 0;
+            for (let length = Math.min(MAX_WORD_LENGTH, part.length - i); length >= 3; length--) {
+                if (dictionary.has(part.slice(i, i + length))) {
+                    matched = length;
+                    break;
+                }
+            }
+            covered += matched;
+            i += matched || 1;
+        }
+    }
+    return clamp((covered / parts.join('').length) * 70);
+}
+
+function scoreTld(tld) {
+    const tier = TLD_TIERS.find(t => t.tlds.includes(tld));
+    if (tier) return tier.score;
+    return /^[a-z]{2}$/.test(tld) ? COUNTRY_CODE_TLD_SCORE : OTHER_TLD_SCORE;
+}
+
+function scoreHyphensDigits(name) {
+    const hyphens = (name.match(/-/g) || []).length;
+    const hasDigits = /\d/.test(name);
+    return clamp(100 - hyphens * 40 - (hasDigits ? 30 : 0));
+}
+
+// Share of the keywords that appear in the name.
+function scoreRelevance(name, keywords) {
+    const hits = keywords.filter(keyword => name.includes(keyword)).length;
+    return clamp((hits / keywords.length) * 100);
+}
+
+function keywordList(keywords) {
+    const list = Array.isArray(keywords) ? keywords : String(keywords ?? '').split(/[^\p{L}\p{N}]+/u);
+    return [...new Set(list.map(word => word.toLowerCase()).filter(word => word.length > 1))];
+}
+
+/**
+ * Scores a domain. Keyword relevance only counts when keywords are given, and brandability
+ * only when an AI brandability score (0-100) is supplied.
+ * Returns { score, breakdown } with every factor on a 0-100 scale.
+ */
+export function scoreDomain(domain, { keywords, brandability } = {}) {
+    const unicode = toUnicode(domain);
+    const dot = unicode.indexOf('.');
+    const name = unicode.slice(0, dot);
+    const tld = domain.slice(domain.lastIndexOf('.') + 1);
+
+    const breakdown = {
+        length: scoreLength(name),
+        pronounceability: scorePronounceability(name),
+        dictionary: scoreDictionary(name.replace(/\d/g, '')),
+        tld: scoreTld(tld),
+        hyphensDigits: scoreHyphensDigits(name),
+    };
+    const keywordsToMatch = keywordList(keywords);
+    if (keywordsToMatch.length > 0) {
+        breakdown.relevance = scoreRelevance(name, keywordsToMatch);
+    }
+    if (typeof brandability === 'number' && Number.isFinite(brandability)) {
+        breakdown.brandability = clamp(brandability);
+    }
+
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [factor, value] of Object.entries(breakdown)) {
+        weighted += value * SCORE_WEIGHTS[factor];
+        totalWeight += SCORE_WEIGHTS[factor];
+    }
+    return { score: clamp(weighted / totalWeight), breakdown };
+}
+
+/**
+ * Formats a breakdown as "Length 90 · TLD tier 100 · ...", e.g. for exports and tooltips.
+ */
+export function formatBreakdown(breakdown) {
+    return Object.entries(breakdown).map(([factor, value]) => `${SCORE_LABELS[factor]} ${value}`).join(' · ');
+}
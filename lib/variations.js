@@ -0,0 +1,191 @@
+// Deterministic name variations for when the exact name is taken. No AI involved: the same seed
+// always yields the same candidates, which then go through the normal availability check.
+
+import { KNOWN_TLDS } from './data/tlds.js';
+import { SYNONYM_GROUPS } from './data/synonyms.js';
+import { validateDomain, isKnownTld } from './domain.js';
+import { parseTlds, MAX_TLDS } from './generate.js';
+import { toBareName } from './expand.js';
+import { splitIntoWords } from './scoring.js';
+
+export const VARIATION_KINDS = ['affix', 'plural', 'hyphen', 'vowels', 'synonym', 'tld-hack'];
+
+export const VARIATION_LABELS = {
+    'affix': 'Prefixes & suffixes',
+    'plural': 'Plural & singular',
+    'hyphen': 'Hyphenated',
+    'vowels': 'Dropped vowels',
+    'synonym': 'Synonym swaps',
+    'tld-hack': 'TLD hacks',
+};
+
+const PREFIXES = ['get', 'try', 'use', 'go', 'my', 'the'];
+const SUFFIXES = ['hq', 'app', 'labs', 'hub', 'ly', 'now'];
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+const MAX_SEED_LENGTH = 63;
+
+const VOWELS = /[aeiou]/;
+
+// Every word maps to all words it shares a group with.
+const synonyms = new Map();
+for (const group of SYNONYM_GROUPS) {
+    for (const word of group) {
+        const others = synonyms.get(word) || new Set();
+        group.filter(other => other !== word).forEach(other => others.add(other));
+        synonyms.set(word, others);
+    }
+}
+
+// Plain ASCII TLDs a name can end in; IDN TLDs can't be spelled with the name's own letters.
+const HACK_TLDS = KNOWN_TLDS.filter(tld => /^[a-z]{2,}$/.test(tld));
+
+/**
+ * Validates the variations request body.
+ * Returns { options: { seed, tlds, kinds, limit } } or { error }.
+ * The seed may be a full domain; its TLD is used when no TLDs are given.
+ */
+export function normalizeVariationOptions(body) {
+    const rawSeed = String(body.seed ?? '').trim();
+    const seed = rawSeed ? toBareName(rawSeed) : '';
+    if (!seed || seed.length > MAX_SEED_LENGTH || !/^[a-z0-9-]+$/.test(seed)) {
+        return { error: 'seed must be a name or domain made of ASCII letters, digits and hyphens.' };
+    }
+
+    const seedValidation = validateDomain(rawSeed);
+    const seedTld = seedValidation.valid && rawSeed.includes('.') ? seedValidation.domain.slice(seedValidation.domain.indexOf('.') + 1) : null;
+    const tlds = body.tlds === undefined || body.tlds === null || body.tlds === '' ? [seedTld || 'com'] : parseTlds(body.tlds);
+    if (tlds.length === 0) {
+        return { error: 'At least one TLD is required.' };
+    }
+    if (tlds.length > MAX_TLDS) {
+        return { error: `At most ${MAX_TLDS} TLDs can be used at once.` };
+    }
+    const unknownTlds = tlds.filter(tld => !isKnownTld(tld.split('.').pop()));
+    if (unknownTlds.length > 0) {
+        return { error: `Unknown TLDs: ${unknownTlds.map(tld => `.${tld}`).join(', ')}` };
+    }
+
+    const kinds = body.kinds === undefined ? [...VARIATION_KINDS] : [...new Set([].concat(body.kinds).map(String))];
+    const unknownKinds = kinds.filter(kind => !VARIATION_KINDS.includes(kind));
+    if (kinds.length === 0 || unknownKinds.length > 0) {
+        return { error: `kinds must be one or more of: ${VARIATION_KINDS.join(', ')}.` };
+    }
+
+    const limit = body.limit === undefined ? DEFAULT_LIMIT : Number(body.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_LIMIT}.` };
+    }
+
+    return { options: { seed, tlds, kinds, limit } };
+}
+
+// The seed as words: "acmeflow" -> ["acme", "flow"] when the dictionary allows, else the seed itself.
+function seedWords(seed) {
+    const parts = seed.split('-').filter(Boolean);
+    return parts.flatMap(part => splitIntoWords(part) || [part]);
+}
+
+function pluralize(word) {
+    if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+    if (/(s|x|z|ch|sh)$/.test(word)) return word + 'es';
+    return word + 's';
+}
+
+function singularize(word) {
+    if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+    if (/(ss|us|is)$/.test(word)) return null;
+    if (/(x|z|ch|sh|ss)es$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s') && word.length > 3) return word.slice(0, -1);
+    return null;
+}
+
+function affixNames(seed) {
+    return [...PREFIXES.map(prefix => prefix + seed), ...SUFFIXES.map(suffix => seed + suffix)];
+}
+
+function pluralNames(seed) {
+    return [singularize(seed) || pluralize(seed)];
+}
+
+// Hyphens between every word, at each single word boundary, or removed when the seed already has them.
+function hyphenNames(seed, words) {
+    if (seed.includes('-')) return [seed.replace(/-/g, '')];
+    if (words.length < 2) return [];
+    const names = [words.join('-')];
+    for (let i = 1; i < words.length; i++) {
+        names.push(`${words.slice(0, i).join('')}-${words.slice(i).join('')}`);
+    }
+    return names;
+}
+
+// "tumbler" -> "tumblr" (last vowel), then "tmblr" (every vowel after the first letter).
+function vowelNames(seed) {
+    if (!VOWELS.test(seed.slice(1))) return [];
+    const lastVowel = seed.slice(1).search(/[aeiou][^aeiou]*$/);
+    const names = [];
+    if (lastVowel >= 0 && lastVowel + 1 < seed.length - 1) {
+        names.push(seed.slice(0, lastVowel + 1) + seed.slice(lastVowel + 2));
+    }
+    names.push(seed[0] + seed.slice(1).replace(/[aeiou]/g, ''));
+    return names.filter(name => name.length >= 2 && name !== seed);
+}
+
+// Swaps one word at a time for each of its synonyms.
+function synonymNames(words) {
+    return words.flatMap((word, i) => [...(synonyms.get(word) || [])].map(other => [...words.slice(0, i), other, ...words.slice(i + 1)].join('')));
+}
+
+// "delicious" -> "delicio.us", plus subdomain splits like "deli.cio.us" (which register "cio.us").
+function tldHackDomains(seed) {
+    const domains = [];
+    for (const tld of HACK_TLDS) {
+        const rest = seed.slice(0, -tld.length);
+        if (!seed.endsWith(tld) || rest.length < 2 || rest.endsWith('-')) continue;
+        domains.push({ domain: `${rest}.${tld}` });
+        for (let i = 2; i <= rest.length - 3; i++) {
+            // The hack only reads right with the subdomain in front, so keep the spelled-out form.
+            domains.push({ domain: `${rest.slice(i)}.${tld}`, hack: `${rest.slice(0, i)}.${rest.slice(i)}.${tld}` });
+        }
+    }
+    return domains;
+}
+
+/**
+ * Builds variation candidates for options.seed across options.tlds.
+ * Returns up to options.limit unique, valid [{ domain, kind, hack? }] entries, where domain is the
+ * ASCII name to check and hack is the spelled-out form of a TLD hack. Kinds are interleaved so a
+ * small limit still gets a mix, and the seed's own domains are left out.
+ */
+export function generateVariations(options) {
+    const { seed, tlds, kinds, limit } = options;
+    const words = seedWords(seed);
+    const seedDomains = new Set(tlds.map(tld => `${seed}.${tld}`));
+
+    const withTlds = (names) => [...new Set(names)].filter(name => name !== seed).flatMap(name => tlds.map(tld => ({ domain: `${name}.${tld}` })));
+    const perKind = kinds.map(kind => {
+        switch (kind) {
+            case 'affix': return withTlds(affixNames(seed));
+            case 'plural': return withTlds(pluralNames(seed));
+            case 'hyphen': return withTlds(hyphenNames(seed, words));
+            case 'vowels': return withTlds(vowelNames(seed));
+            case 'synonym': return withTlds(synonymNames(words));
+            case 'tld-hack': return tldHackDomains(seed);
+            default: return [];
+        }
+    }).map((candidates, i) => candidates.map(candidate => ({ ...candidate, kind: kinds[i] })));
+
+    const seen = new Set();
+    const variations = [];
+    for (let i = 0; variations.length < limit && perKind.some(list => i < list.length); i++) {
+        for (const list of perKind) {
+            if (i >= list.length || variations.length >= limit) continue;
+            const validation = validateDomain(list[i].domain);
+            if (!validation.valid || seen.has(validation.domain) || seedDomains.has(validation.domain)) continue;
+            seen.add(validation.domain);
+            variations.push({ ...list[i], domain: validation.domain });
+        }
+    }
+    return variations;
+}
@@ -0,0 +1,168 @@
+// Watchlist of taken domains that are re-checked on a schedule, with per-domain status history.
+// The whole list is one JSON document, stored through the same backends as the availability cache.
+
+import { createMemoryCache, createFileCache, createRedisCache } from './cache.js';
+import { checkDomains } from './check.js';
+import { validateDomain } from './domain.js';
+
+const WATCHLIST_KEY = 'domain-watchlist';
+// The backends expire every key; the watchlist should outlive any deployment.
+const FOREVER_MS = 10 * 365 * 24 * 60 * 60 * 1000;
+const MAX_HISTORY = 50;
+const MAX_WATCHED = 500;
+const MAX_NOTE_LENGTH = 200;
+
+// A failed lookup says nothing about the domain, so it never counts as a status change.
+const FAILED_STATES = new Set(['Timeout', 'Error']);
+
+let defaultStore = null;
+
+/**
+ * Builds the watchlist backend selected by WATCHLIST_BACKEND: "file" (default, WATCHLIST_FILE),
+ * "redis" (REDIS_URL) or "memory" (lost on restart; for tests).
+ */
+export function createWatchlistBackend(backend = process.env.WATCHLIST_BACKEND || 'file') {
+    switch (backend) {
+        case 'memory':
+            return createMemoryCache();
+        case 'file':
+            // The API and the cron job run in separate processes, so every update re-reads the file.
+            // Unlike cache writes, a lost watchlist write must reach the caller.
+            return createFileCache(process.env.WATCHLIST_FILE || '.data/watchlist.json', { shared: true, throwOnWriteError: true });
+        case 'redis':
+            if (!process.env.REDIS_URL) {
+                throw new Error('WATCHLIST_BACKEND is "redis" but REDIS_URL is not set.');
+            }
+            return createRedisCache(process.env.REDIS_URL);
+        default:
+            throw new Error(`Unknown watchlist backend: ${backend}`);
+    }
+}
+
+/**
+ * Creates the watchlist store on top of a get/set backend.
+ *
+ * Entries look like { domain, note, addedAt, status, lastCheckedAt, lastError, history },
+ * where history lists status changes ({ at, status }), newest last.
+ */
+export function createWatchlistStore(backend = createWatchlistBackend()) {
+    let queue = Promise.resolve();
+
+    async function read() {
+        return (await backend.get(WATCHLIST_KEY)) || { domains: {} };
+    }
+
+    // Read-modify-write updates run one at a time so concurrent requests can't drop each other's changes.
+    function update(mutate) {
+        const run = queue.then(async () => {
+            const data = await read();
+            const result = await mutate(data);
+            await backend.set(WATCHLIST_KEY, data, FOREVER_MS);
+            return result;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    return {
+        async list() {
+            const { domains } = await read();
+            return Object.values(domains).sort((a, b) => a.domain.localeCompare(b.domain));
+        },
+
+        /**
+         * Adds domains; returns { added, invalid } where invalid carries the validation errors.
+         */
+        add(inputs, { note } = {}) {
+            return update(data => {
+                const added = [];
+                const invalid = [];
+                for (const input of inputs) {
+                    const validation = validateDomain(input);
+                    if (!validation.valid) {
+                        invalid.push({ domain: String(input), error: validation.error });
+                        continue;
+                    }
+                    if (data.domains[validation.domain]) continue;
+                    if (Object.keys(data.domains).length >= MAX_WATCHED) {
+                        invalid.push({ domain: validation.domain, error: `The watchlist is limited to ${MAX_WATCHED} domains.` });
+                        continue;
+                    }
+                    data.domains[validation.domain] = {
+                        domain: validation.domain,
+                        note: note ? String(note).slice(0, MAX_NOTE_LENGTH) : null,
+                        addedAt: new Date().toISOString(),
+                        status: null,
+                        lastCheckedAt: null,
+                        lastError: null,
+                        history: [],
+                    };
+                    added.push(validation.domain);
+                }
+                return { added, invalid };
+            });
+        },
+
+        remove(domains) {
+            return update(data => {
+                const removed = domains.filter(domain => data.domains[domain]);
+                removed.forEach(domain => delete data.domains[domain]);
+                return { removed };
+            });
+        },
+
+        /**
+         * Stores check results. Returns the status changes: [{ domain, from, to, at }].
+         * The first successful check sets the initial status without counting as a change.
+         */
+        recordResults(results) {
+            return update(data => {
+                const changes = [];
+                for (const result of results) {
+                    const entry = data.domains[result.domain];
+                    if (!entry) continue;
+                    const at = result.checkedAt || new Date().toISOString();
+                    entry.lastCheckedAt = at;
+                    if (FAILED_STATES.has(result.availability) || result.availability === 'Invalid') {
+                        entry.lastError = result.error || result.availability;
+                        continue;
+                    }
+                    entry.lastError = null;
+                    if (entry.status === result.availability) continue;
+
+                    if (entry.status !== null) {
+                        changes.push({ domain: entry.domain, from: entry.status, to: result.availability, at });
+                    }
+                    entry.status = result.availability;
+                    entry.history = [...entry.history, { at, status: result.availability }].slice(-MAX_HISTORY);
+                }
+                return changes;
+            });
+        },
+    };
+}
+
+// One store per process, so its update queue covers every request.
+export function getWatchlistStore() {
+    if (!defaultStore) {
+        defaultStore = createWatchlistStore();
+    }
+    return defaultStore;
+}
+
+/**
+ * Re-checks every watched domain, bypassing the availability cache, and notifies about status changes.
+ * check has checkDomains' signature; notifier is optional (see notify.js).
+ * Returns { checked, changes }.
+ */
+export async function runWatchlistChecks({ store, check = checkDomains, notifier, signal } = {}) {
+    const entries = await store.list();
+    if (entries.length === 0) return { checked: 0, changes: [] };
+
+    const results = await check(entries.map(entry => entry.domain), { force: true, signal });
+    const changes = await store.recordResults(results);
+    if (changes.length > 0 && notifier) {
+        await notifier.notify(changes);
+    }
+    return { checked: results.length, changes };
+}
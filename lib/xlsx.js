@@ -0,0 +1,249 @@
+// Minimal .xlsx support. The writer produces a zip (stored, no compression) of the few SpreadsheetML parts
+// Excel, Numbers and LibreOffice need, with strings written inline so no shared-strings table.
+// The reader takes the first sheet's cell values from any workbook, inflating with DecompressionStream.
+
+const encoder = new TextEncoder();
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Builds a zip archive without compression from [{ name, data: Uint8Array }].
+ */
+function zipStored(files) {
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const crc = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true); // version needed
+        local.setUint16(8, 0, true); // method: stored
+        local.setUint32(14, crc, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        chunks.push(new Uint8Array(local.buffer), name, file.data);
+
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, file.data.length, true);
+        entry.setUint32(24, file.data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        central.push(new Uint8Array(entry.buffer), name);
+
+        offset += 30 + name.length + file.data.length;
+    }
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+        output.set(part, position);
+        position += part.length;
+    }
+    return output;
+}
+
+function escapeXml(value) {
+    // Control characters other than tab and newlines are not allowed in XML 1.0.
+    return String(value)
+        .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 0 -> "A", 25 -> "Z", 26 -> "AA"
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+}
+
+function cellXml(value, ref) {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+/**
+ * Builds an .xlsx workbook with one sheet from rows of cell values (the first row is usually the header).
+ * Numbers stay numeric; everything else is written as text.
+ */
+export function createXlsx(rows, { sheetName = 'Sheet1' } = {}) {
+    const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`)).join('')}</row>`);
+
+    const parts = {
+        '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+            + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+            + '</Types>',
+        '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+            + '</Relationships>',
+        'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+            + `<sheets><sheet name="${escapeXml(sheetName.replace(/[[\]:*?/\\]/g, '').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>`
+            + '</workbook>',
+        'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+            + '</Relationships>',
+        'xl/worksheets/sheet1.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+            + `<sheetData>${sheetRows.join('')}</sheetData>`
+            + '</worksheet>',
+    };
+
+    return zipStored(Object.entries(parts).map(([name, xml]) => ({ name, data: encoder.encode(xml) })));
+}
+
+function readUint16(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+function readUint32(bytes, offset) {
+    return (readUint16(bytes, offset) | (readUint16(bytes, offset + 2) << 16)) >>> 0;
+}
+
+async function inflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Lists a zip's entries as a Map of name -> () => Promise<Uint8Array>, reading only what's asked for.
+ */
+function openZip(bytes) {
+    let end = -1;
+    // The end-of-central-directory record sits in the last 64 KiB (its comment can be up to 65535 bytes).
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (readUint32(bytes, i) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('Not a valid .xlsx file.');
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+    let offset = readUint32(bytes, end + 16);
+    for (let i = 0; i < readUint16(bytes, end + 10); i++) {
+        if (readUint32(bytes, offset) !== 0x02014b50) throw new Error('Corrupt .xlsx file.');
+        const method = readUint16(bytes, offset + 10);
+        const compressedSize = readUint32(bytes, offset + 20);
+        const nameLength = readUint16(bytes, offset + 28);
+        const extraLength = readUint16(bytes, offset + 30);
+        const commentLength = readUint16(bytes, offset + 32);
+        const localOffset = readUint32(bytes, offset + 42);
+        const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        entries.set(name, async () => {
+            const dataStart = localOffset + 30 + readUint16(bytes, localOffset + 26) + readUint16(bytes, localOffset + 28);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+            if (method === 0) return data;
+            if (method === 8) return inflateRaw(data);
+            throw new Error(`Unsupported compression in ${name}.`);
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+function unescapeXml(text) {
+    return text.replace(/&(lt|gt|quot|apos|amp|#x[0-9a-f]+|#\d+);/gi, (_, entity) => {
+        const named = { lt: '<', gt: '>', quot: '"', apos: "'", amp: '&' }[entity.toLowerCase()];
+        if (named) return named;
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    });
+}
+
+// All text runs inside an element, e.g. a rich-text <si> with several <r><t> runs.
+function textContent(xml) {
+    return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => unescapeXml(match[1])).join('');
+}
+
+// "B12" -> 1
+function columnIndex(ref) {
+    const letters = ref.match(/^[A-Z]+/)[0];
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Reads the first sheet of an .xlsx workbook into rows of trimmed string cells. Empty rows are dropped.
+ */
+export async function readXlsx(bytes) {
+    const zip = openZip(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+    const decoder = new TextDecoder();
+    const readText = async (name) => zip.has(name) ? decoder.decode(await zip.get(name)()) : null;
+
+    // Find the first sheet through the workbook's relationships; fall back to the conventional name.
+    let sheetPath = 'xl/worksheets/sheet1.xml';
+    const workbook = await readText('xl/workbook.xml');
+    const relationships = await readText('xl/_rels/workbook.xml.rels');
+    const firstSheetId = workbook?.match(/<sheet\s[^>]*r:id="([^"]+)"/)?.[1];
+    if (firstSheetId && relationships) {
+        const target = relationships.match(new RegExp(`<Relationship\\s[^>]*Id="${firstSheetId}"[^>]*Target="([^"]+)"`))?.[1]
+            ?? relationships.match(new RegExp(`<Relationship\\s[^>]*Target="([^"]+)"[^>]*Id="${firstSheetId}"`))?.[1];
+        if (target) sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    }
+
+    const sheet = await readText(sheetPath);
+    if (!sheet) throw new Error('The workbook has no readable sheet.');
+    const sharedXml = await readText('xl/sharedStrings.xml');
+    const sharedStrings = sharedXml ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textContent(match[1])) : [];
+
+    const rows = [];
+    for (const [, rowXml] of sheet.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+        const row = [];
+        for (const [, attributes, body = ''] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const ref = attributes.match(/\br="([A-Z]+)\d+"/)?.[1];
+            const type = attributes.match(/\bt="(\w+)"/)?.[1];
+            const value = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+            let text = '';
+            if (type === 's') text = sharedStrings[Number(value)] ?? '';
+            else if (type === 'inlineStr') text = textContent(body);
+            else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+            else if (value !== undefined) text = unescapeXml(value);
+            row[ref ? columnIndex(ref) : row.length] = text.trim();
+        }
+        const cells = Array.from(row, value => value ?? '');
+        if (cells.some(value => value !== '')) rows.push(cells);
+    }
+    return rows;
+}
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseApiClients, findApiClient, readApiKey, createRateLimiter } from '../lib/api-keys.js';
+import { createApiRoute } from '../lib/api.js';
+
+test('parseApiClients reads per-client limits and falls back to the global ones', () => {
+    const clients = parseApiClients({ API_CLIENT_KEYS: ' crm:sk_a:120:500 , reports:sk_b ', API_RATE_LIMIT: '30' });
+    assert.deepEqual(clients.map(({ name, rateLimit, maxDomains }) => ({ name, rateLimit, maxDomains })), [
+        { name: 'crm', rateLimit: 120, maxDomains: 500 },
+        { name: 'reports', rateLimit: 30, maxDomains: 100 },
+    ]);
+    assert.equal(findApiClient('sk_b', clients).name, 'reports');
+    assert.equal(findApiClient('sk_c', clients), null);
+    assert.equal(findApiClient(null, clients), null);
+    assert.deepEqual(parseApiClients({}), []);
+});
+
+test('parseApiClients rejects malformed entries without echoing the key', () => {
+    assert.throws(() => parseApiClients({ API_CLIENT_KEYS: 'crm' }), /name:key, got "crm:\.\.\."/);
+    assert.throws(() => parseApiClients({ API_CLIENT_KEYS: ':sk_secret' }), (error) => !error.message.includes('sk_secret'));
+    assert.throws(() => parseApiClients({ API_CLIENT_KEYS: 'crm:sk_a:0' }), /rate limit for API client "crm" must be a positive integer, got "0"/);
+    assert.throws(() => parseApiClients({ API_CLIENT_KEYS: 'crm:sk_a:10:many' }), /domain quota for API client "crm"/);
+    assert.throws(() => parseApiClients({ API_RATE_LIMIT: '1.5' }), /API_RATE_LIMIT must be a positive integer/);
+    assert.throws(() => parseApiClients({ API_MAX_DOMAINS: '-1' }), /API_MAX_DOMAINS must be a positive integer/);
+});
+
+test('readApiKey takes a bearer token or the X-API-Key header', () => {
+    const key = (headers) => readApiKey(new Request('http://localhost/', { headers }));
+    assert.equal(key({ Authorization: 'Bearer sk_a' }), 'sk_a');
+    assert.equal(key({ Authorization: 'bearer  sk_a ' }), 'sk_a');
+    assert.equal(key({ 'X-API-Key': 'sk_b' }), 'sk_b');
+    assert.equal(key({ Authorization: 'Basic abc' }), null);
+    assert.equal(key({}), null);
+});
+
+// Half a minute into a rate limit window, so the tests don't straddle two.
+const NOW = 1_800_000_030_000;
+
+test('the rate limiter counts requests per client and window', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const limiter = createRateLimiter(undefined, { windowMs: 60_000 });
+    const client = { name: 'crm', rateLimit: 2 };
+    const first = await limiter.consume(client);
+    assert.deepEqual([first.allowed, first.limit, first.remaining], [true, 2, 1]);
+    assert.equal(first.resetAt, (NOW + 30_000) / 1000);
+    assert.equal((await limiter.consume(client)).remaining, 0);
+    assert.deepEqual(await limiter.consume(client), { ...first, allowed: false, remaining: 0 });
+    assert.equal((await limiter.consume({ name: 'reports', rateLimit: 2 })).allowed, true);
+    t.mock.timers.setTime(NOW + 30_000);
+    assert.equal((await limiter.consume(client)).remaining, 1);
+});
+
+test('API routes answer with { error, code } for missing keys, quotas and rate limits', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    process.env.API_CLIENT_KEYS = 'crm:sk_test:2:5';
+    t.after(() => delete process.env.API_CLIENT_KEYS);
+    const check = createApiRoute('check');
+    const variations = createApiRoute('variations');
+    const post = (handler, body, headers = {}) => handler(new Request('http://localhost/api/v1/x', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    }));
+    const auth = { Authorization: 'Bearer sk_test' };
+
+    const methodNotAllowed = await check(new Request('http://localhost/api/v1/check'));
+    assert.equal(methodNotAllowed.status, 405);
+    assert.equal(methodNotAllowed.headers.get('Allow'), 'POST');
+
+    for (const headers of [{}, { Authorization: 'Bearer sk_wrong' }]) {
+        const response = await post(check, { domains: ['example.com'] }, headers);
+        assert.equal(response.status, 401);
+        assert.equal(response.headers.get('WWW-Authenticate'), 'Bearer');
+        assert.deepEqual(await response.json(), { error: 'A valid API key is required.', code: 'unauthorized' });
+    }
+
+    const overQuota = await post(check, { domains: ['a.com', 'b.com', 'c.com', 'd.com', 'e.com', 'f.com'] }, auth);
+    assert.equal(overQuota.status, 413);
+    assert.deepEqual(await overQuota.json(), { error: 'This API key allows at most 5 domains per request; got 6.', code: 'quota_exceeded' });
+    assert.equal(overQuota.headers.get('X-RateLimit-Limit'), '2');
+    assert.equal(overQuota.headers.get('X-RateLimit-Remaining'), '1');
+
+    const ok = await post(variations, { seed: 'example.com', limit: 3 }, { 'X-API-Key': 'sk_test' });
+    assert.equal(ok.status, 200);
+    assert.ok((await ok.json()).variations.length <= 3);
+    assert.equal(ok.headers.get('X-RateLimit-Remaining'), '0');
+    assert.equal(ok.headers.get('X-RateLimit-Reset'), String((NOW + 30_000) / 1000));
+
+    const limited = await post(variations, { seed: 'example.com', limit: 3 }, auth);
+    assert.equal(limited.status, 429);
+    assert.deepEqual(await limited.json(), { error: 'Rate limit of 2 requests per minute exceeded.', code: 'rate_limited' });
+    assert.equal(limited.headers.get('X-RateLimit-Remaining'), '0');
+    assert.equal(limited.headers.get('Retry-After'), '30');
+});
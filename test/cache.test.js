@@ -0,0 +1,190 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { mkdtemp, readFile, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createMemoryCache, createFileCache, createRedisCache, ttlFor, readCachedResult, writeCachedResult } from '../lib/cache.js';
+import { checkDomains } from '../lib/check.js';
+import { createLookupScheduler } from '../lib/scheduler.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Redis stub: parses RESP commands, records them and answers from an in-memory map.
+// AUTH only succeeds with the given password.
+async function startRedis({ password } = {}) {
+    const commands = [];
+    const values = new Map();
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        let buffer = '';
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let match;
+            while ((match = buffer.match(/^\*(\d+)\r\n((?:\$\d+\r\n[^\r]*\r\n)*)/)) && match[2].split('\r\n').length - 1 >= match[1] * 2) {
+                const args = match[2].split('\r\n').filter((_, i) => i % 2 === 1).slice(0, Number(match[1]));
+                buffer = buffer.slice(match[0].length);
+                commands.push(args);
+                const [name, ...rest] = args;
+                if (name === 'AUTH') socket.write(rest.at(-1) === password ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+                else if (name === 'SELECT') socket.write('+OK\r\n');
+                else if (name === 'SET') {
+                    values.set(rest[0], rest[1]);
+                    socket.write('+OK\r\n');
+                } else if (name === 'GET' && rest[0] === 'hang') {
+                    // Never answered; the test closes the connection instead.
+                } else if (name === 'GET') {
+                    const value = values.get(rest[0]);
+                    socket.write(value === undefined ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        port: server.address().port,
+        commands,
+        dropConnections: () => sockets.forEach(socket => socket.destroy()),
+        close: () => {
+            sockets.forEach(socket => socket.destroy());
+            return new Promise(resolve => server.close(resolve));
+        },
+    };
+}
+
+test('the memory cache expires entries after their TTL', async () => {
+    const cache = createMemoryCache();
+    await cache.set('a', { value: 1 }, 20);
+    assert.deepEqual(await cache.get('a'), { value: 1 });
+    await sleep(30);
+    assert.equal(await cache.get('a'), null);
+});
+
+test('ttlFor uses per-state TTLs, overrides and never caches failures', (t) => {
+    assert.equal(ttlFor({ availability: 'Available' }), 15 * 60 * 1000);
+    assert.equal(ttlFor({ availability: 'Unavailable' }), 24 * 60 * 60 * 1000);
+    assert.equal(ttlFor({ availability: 'Error' }), 0);
+    assert.equal(ttlFor({ availability: 'Timeout' }), 0);
+
+    process.env.CACHE_TTL_AVAILABLE = '60';
+    t.after(() => delete process.env.CACHE_TTL_AVAILABLE);
+    assert.equal(ttlFor({ availability: 'Available' }), 60 * 1000);
+});
+
+test('cached results carry their age', async () => {
+    const cache = createMemoryCache();
+    const checkedAt = new Date(Date.now() - 90_000).toISOString();
+    await writeCachedResult(cache, { domain: 'used.com', availability: 'Unavailable', checkedAt });
+    await writeCachedResult(cache, { domain: 'broken.com', availability: 'Error', checkedAt });
+    assert.deepEqual(await readCachedResult(cache, 'used.com'), { domain: 'used.com', availability: 'Unavailable', checkedAt, cached: true, ageSeconds: 90 });
+    assert.equal(await readCachedResult(cache, 'broken.com'), null);
+});
+
+test('checkDomains reuses cached results unless forced', async () => {
+    const calls = [];
+    const resolver = {
+        name: 'fake',
+        async lookup(domain) {
+            calls.push(domain);
+            return { availability: 'Unavailable' };
+        },
+    };
+    const options = { resolver, scheduler: createLookupScheduler({ requestsPerSecond: 0 }), cache: createMemoryCache() };
+    await checkDomains(['used.com'], options);
+    const [cached] = await checkDomains(['used.com'], options);
+    assert.deepEqual([cached.availability, cached.cached], ['Unavailable', true]);
+    assert.equal(calls.length, 1);
+
+    await checkDomains(['used.com'], { ...options, force: true });
+    assert.equal(calls.length, 2);
+});
+
+test('the file cache persists entries and drops expired ones on load', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'domain-finder-cache-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const path = join(dir, 'nested', 'cache.json');
+
+    const cache = createFileCache(path);
+    await cache.set('kept', 'value', 60_000);
+    await cache.set('expiring', 'value', 10);
+    assert.deepEqual(Object.keys(JSON.parse(await readFile(path, 'utf8'))), ['kept', 'expiring']);
+
+    await sleep(20);
+    const reloaded = createFileCache(path);
+    assert.equal(await reloaded.get('kept'), 'value');
+    assert.equal(await reloaded.get('expiring'), null);
+});
+
+test('a shared file cache sees writes from other instances', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'domain-finder-cache-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const path = join(dir, 'shared.json');
+
+    const first = createFileCache(path, { shared: true });
+    const second = createFileCache(path, { shared: true });
+    await first.set('a', 1, 60_000);
+    await second.set('b', 2, 60_000);
+    assert.equal(await first.get('b'), 2);
+    assert.equal(await second.get('a'), 1);
+});
+
+test('file cache write failures are logged, or rejected with throwOnWriteError', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'domain-finder-cache-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    await writeFile(join(dir, 'file'), '');
+    // A path below a regular file can't be created.
+    const path = join(dir, 'file', 'cache.json');
+    t.mock.method(console, 'error', () => {});
+
+    await createFileCache(path).set('key', 'value', 60_000);
+    assert.ok(console.error.mock.calls.some(call => call.arguments[0].startsWith('Could not write cache file')));
+
+    const strict = createFileCache(path, { throwOnWriteError: true });
+    await assert.rejects(strict.set('key', 'value', 60_000), /EEXIST/);
+    // The queue keeps going after a failure.
+    await assert.rejects(strict.set('key', 'value', 60_000), /EEXIST/);
+});
+
+test('the Redis cache authenticates, selects the database and round-trips values', async (t) => {
+    const redis = await startRedis({ password: 'secret' });
+    t.after(() => redis.close());
+    const cache = createRedisCache(`redis://:secret@127.0.0.1:${redis.port}/2`);
+
+    await cache.set('key', { availability: 'Unavailable' }, 1500.4);
+    assert.deepEqual(await cache.get('key'), { availability: 'Unavailable' });
+    assert.equal(await cache.get('missing'), null);
+    assert.deepEqual(redis.commands.slice(0, 3), [
+        ['AUTH', 'secret'],
+        ['SELECT', '2'],
+        ['SET', 'key', '{"availability":"Unavailable"}', 'PX', '1500'],
+    ]);
+});
+
+test('a failed Redis handshake rejects the command and the next one reconnects', async (t) => {
+    const redis = await startRedis({ password: 'secret' });
+    t.after(() => redis.close());
+
+    await assert.rejects(createRedisCache(`redis://:wrong@127.0.0.1:${redis.port}`).get('key'), /WRONGPASS/);
+    const cache = createRedisCache(`redis://:wrong@127.0.0.1:${redis.port}`);
+    await assert.rejects(cache.get('key'), /WRONGPASS/);
+    await assert.rejects(cache.get('key'), /WRONGPASS/);
+    assert.equal(redis.commands.filter(([name]) => name === 'AUTH').length, 3);
+    assert.equal(await createRedisCache(`redis://:secret@127.0.0.1:${redis.port}`).get('key'), null);
+});
+
+test('pending Redis commands fail when the connection closes', async (t) => {
+    const redis = await startRedis();
+    t.after(() => redis.close());
+    const cache = createRedisCache(`redis://127.0.0.1:${redis.port}`);
+    assert.equal(await cache.get('key'), null);
+
+    const pending = cache.get('hang');
+    while (!redis.commands.some(([name, key]) => name === 'GET' && key === 'hang')) await sleep(1);
+    redis.dropConnections();
+    await assert.rejects(pending, /The Redis connection was closed/);
+
+    // The next command opens a new connection.
+    assert.equal(await cache.get('again'), null);
+});
@@ -0,0 +1,102 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { checkDomains, checkDomainAvailability } from '../lib/check.js';
+import { createLookupScheduler } from '../lib/scheduler.js';
+
+// The resolver is injected, so no DNS traffic leaves the process; RDAP goes to a local server
+// that reports "taken.com" as registered and every other name as unknown to the registry.
+const ANSWERS = {
+    'free.com': 'Available',
+    'taken.com': 'Available',
+    'used.com': 'Unavailable',
+};
+
+function createFakeResolver({ failures = {} } = {}) {
+    const calls = [];
+    return {
+        name: 'fake',
+        calls,
+        async lookup(domain, { signal } = {}) {
+            calls.push(domain);
+            if (domain === 'slow.com') {
+                return new Promise((resolve, reject) => signal.addEventListener('abort', () => {
+                    const error = new Error('aborted');
+                    error.name = 'AbortError';
+                    reject(error);
+                }));
+            }
+            if (failures[domain] > 0) {
+                failures[domain]--;
+                throw new Error('HTTP 429');
+            }
+            if (!ANSWERS[domain]) throw new Error('SERVFAIL');
+            return { availability: ANSWERS[domain] };
+        },
+    };
+}
+
+function createScheduler() {
+    return createLookupScheduler({
+        retries: 2,
+        backoffMs: 1,
+        requestsPerSecond: 0,
+        shouldRetry: (result) => ['Timeout', 'Error'].includes(result.availability),
+    });
+}
+
+let server;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const taken = req.url.endsWith('/domain/taken.com');
+        res.writeHead(taken ? 200 : 404, { 'Content-Type': 'application/rdap+json' });
+        res.end(JSON.stringify(taken ? { status: ['active'] } : { errorCode: 404 }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.RDAP_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    delete process.env.RDAP_BASE_URL;
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('checkDomains uses the injected resolver and verifies available names over RDAP', async () => {
+    const resolver = createFakeResolver();
+    const results = await checkDomains(['free.com', 'taken.com', 'used.com'], { resolver, scheduler: createScheduler(), cache: null });
+    assert.deepEqual(resolver.calls.sort(), ['free.com', 'taken.com', 'used.com']);
+    assert.deepEqual(results.map(({ domain, availability, resolver: name, rdapStatus }) => [domain, availability, name, rdapStatus]), [
+        ['free.com', 'Available', 'fake', 'Available'],
+        ['taken.com', 'Unavailable', 'fake', 'Registered'],
+        ['used.com', 'Unavailable', 'fake', undefined],
+    ]);
+    assert.ok(results.every(result => result.attempts === 1 && result.cached === false && result.checkedAt));
+});
+
+test('checkDomains reports invalid entries without a lookup', async () => {
+    const resolver = createFakeResolver();
+    const results = await checkDomains(['<script>.com', 'USED.com'], { resolver, scheduler: createScheduler(), cache: null });
+    assert.equal(results[0].availability, 'Invalid');
+    assert.ok(results[0].error);
+    assert.equal(results[1].domain, 'used.com');
+    assert.deepEqual(resolver.calls, ['used.com']);
+});
+
+test('checkDomains retries failed lookups through the scheduler', async () => {
+    const resolver = createFakeResolver({ failures: { 'used.com': 2 } });
+    const [retried, failed] = await checkDomains(['used.com', 'broken.com'], { resolver, scheduler: createScheduler(), cache: null });
+    assert.deepEqual([retried.availability, retried.attempts], ['Unavailable', 3]);
+    assert.deepEqual([failed.availability, failed.attempts, failed.error], ['Error', 3, 'SERVFAIL']);
+});
+
+test('checkDomains calls onResult for every domain', async () => {
+    const seen = [];
+    await checkDomains(['free.com', 'nope'], { resolver: createFakeResolver(), scheduler: createScheduler(), cache: null, onResult: result => seen.push(result.domain) });
+    assert.deepEqual(seen.sort(), ['free.com', 'nope']);
+});
+
+test('checkDomainAvailability reports a timeout when the resolver does not answer', async () => {
+    const result = await checkDomainAvailability('slow.com', { resolver: createFakeResolver(), timeout: 20 });
+    assert.deepEqual(result, { domain: 'slow.com', availability: 'Timeout', resolver: 'fake', error: 'DNS lookup timed out' });
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toUnicode, toAscii, normalizeDomain, getRegistrableDomain, validateDomain, isKnownTld } from '../lib/domain.js';
+
+const label = (length) => 'a'.repeat(length);
+
+test('toUnicode decodes punycode labels and round trips with toAscii', () => {
+    assert.equal(toUnicode('xn--mnchen-3ya.de'), 'münchen.de');
+    assert.equal(toUnicode('xn--bcher-kva.xn--p1ai'), 'bücher.рф');
+    assert.equal(toUnicode('xn--e28h.com'), '😀.com');
+    assert.equal(toUnicode('example.com'), 'example.com');
+    for (const name of ['münchen.de', 'bücher.рф', '中国.com', 'ελληνικά.com', 'straße-und-weg.de', '😀.com']) {
+        assert.equal(toUnicode(toAscii(name)), name.normalize('NFC'));
+    }
+    // Malformed labels are shown as they are.
+    assert.equal(toUnicode('xn--a!.com'), 'xn--a!.com');
+    assert.equal(toUnicode('xn--99999999999a.com'), 'xn--99999999999a.com');
+});
+
+test('normalizeDomain strips schemes, credentials, www., paths, ports and the trailing dot', () => {
+    assert.equal(normalizeDomain(' HTTPS://user:pw@www.Example.COM:8080/path?q#f '), 'example.com');
+    assert.equal(normalizeDomain('example.com.'), 'example.com');
+});
+
+test('validateDomain returns the ASCII lookup form and the Unicode display form', () => {
+    assert.deepEqual(validateDomain('München.de'), { valid: true, domain: 'xn--mnchen-3ya.de', display: 'münchen.de' });
+    assert.deepEqual(validateDomain('xn--mnchen-3ya.de'), { valid: true, domain: 'xn--mnchen-3ya.de', display: 'münchen.de' });
+    assert.deepEqual(validateDomain('https://shop.example.com/cart'), { valid: true, domain: 'example.com', display: 'example.com' });
+});
+
+test('validateDomain enforces label length and hyphen rules', () => {
+    assert.equal(validateDomain(`${label(63)}.com`).valid, true);
+    assert.match(validateDomain(`${label(64)}.com`).error, /longer than 63 characters/);
+    assert.match(validateDomain('-shop.com').error, /starts or ends with a hyphen/);
+    assert.match(validateDomain('shop-.com').error, /starts or ends with a hyphen/);
+    assert.equal(validateDomain('my-shop.com').valid, true);
+    assert.equal(validateDomain('a--b.com').valid, true);
+    assert.match(validateDomain('ab--cd.com').error, /hyphens in the third and fourth positions/);
+    assert.match(validateDomain('a..com').error, /Empty label/);
+    assert.match(validateDomain('shop_1.com').error, /contains invalid characters/);
+    assert.equal(validateDomain('xn--abc.com').valid, false);
+});
+
+test('validateDomain limits the whole name to 253 characters', () => {
+    const name = (length) => `${[label(63), label(63), label(63)].join('.')}.${label(length - 3 * 64 - 4)}.com`;
+    assert.equal(name(253).length, 253);
+    assert.equal(validateDomain(name(253)).valid, true);
+    assert.match(validateDomain(name(254)).error, /Longer than 253 characters/);
+});
+
+test('validateDomain rejects empty names, missing and unknown TLDs', () => {
+    assert.deepEqual(validateDomain('  '), { valid: false, domain: '', error: 'Empty domain.' });
+    assert.equal(validateDomain(null).error, 'Empty domain.');
+    assert.equal(validateDomain('localhost').error, 'Missing a TLD.');
+    assert.equal(validateDomain('shop.notatld').error, 'Unknown TLD ".notatld".');
+    assert.equal(validateDomain('bücher.рф').valid, true);
+    assert.equal(isKnownTld('.COM'), true);
+    assert.equal(isKnownTld('notatld'), false);
+});
+
+test('multi-label public suffixes keep one label below them', () => {
+    assert.equal(getRegistrableDomain('example.co.uk'), 'example.co.uk');
+    assert.equal(getRegistrableDomain('www.shop.example.co.uk'), 'example.co.uk');
+    assert.equal(getRegistrableDomain('shop.example.com'), 'example.com');
+    assert.equal(getRegistrableDomain('co.uk'), null);
+    assert.equal(getRegistrableDomain('com'), null);
+
+    assert.deepEqual(validateDomain('blog.example.co.uk'), { valid: true, domain: 'example.co.uk', display: 'example.co.uk' });
+    assert.deepEqual(validateDomain('example.com.au'), { valid: true, domain: 'example.com.au', display: 'example.com.au' });
+    assert.equal(validateDomain('co.uk').error, '"co.uk" is a public suffix, not a registrable domain.');
+});
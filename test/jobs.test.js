@@ -0,0 +1,154 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, appendFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileJobBackend, createJobStore, processJob } from '../lib/jobs.js';
+
+async function tempStore(t) {
+    const dir = await mkdtemp(join(tmpdir(), 'domain-finder-jobs-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    return { dir, store: createJobStore(createFileJobBackend(dir)) };
+}
+
+const domainList = (count) => Array.from({ length: count }, (_, i) => `domain-${i}.com`);
+const checkAll = async (domains) => domains.map(domain => ({ domain, availability: 'Available' }));
+
+test('claimNext takes queued jobs oldest first and takes back jobs whose lease expired', async (t) => {
+    const { store } = await tempStore(t);
+    const first = await store.create(['a.com']);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const second = await store.create(['b.com']);
+
+    const claimed = await store.claimNext();
+    assert.equal(claimed.id, first.id);
+    assert.equal(claimed.status, 'running');
+    assert.ok(Date.parse(claimed.leaseUntil) > Date.now());
+    assert.equal((await store.claimNext()).id, second.id);
+    assert.equal(await store.claimNext(), null, 'running jobs with a live lease stay with their worker');
+
+    // The worker died after checking one domain without recording it.
+    await store.appendResults(first.id, [{ domain: 'a.com', availability: 'Unavailable' }]);
+    await store.update(first.id, job => { job.leaseUntil = new Date(Date.now() - 1000).toISOString(); });
+    const reclaimed = await store.claimNext();
+    assert.equal(reclaimed.id, first.id);
+    assert.equal(reclaimed.processed, 1);
+    assert.deepEqual(reclaimed.counts, { Unavailable: 1 });
+    assert.equal(reclaimed.startedAt, claimed.startedAt);
+});
+
+test('a job whose worker stops goes back to the queue and resumes after the last checked domain', async (t) => {
+    const { store } = await tempStore(t);
+    const job = await store.create(domainList(250));
+    const controller = new AbortController();
+    const checked = [];
+    const check = async (domains) => {
+        checked.push(domains[0]);
+        controller.abort();
+        return checkAll(domains);
+    };
+
+    const stopped = await processJob(store, await store.claimNext(), { check, signal: controller.signal });
+    assert.equal(stopped.status, 'queued');
+    assert.equal(stopped.processed, 100);
+    assert.equal(stopped.leaseUntil, null);
+
+    const done = await processJob(store, await store.claimNext(), { check });
+    assert.equal(done.status, 'completed');
+    assert.deepEqual(checked, ['domain-0.com', 'domain-100.com', 'domain-200.com']);
+    assert.deepEqual((await store.readResults(job.id)).map(result => result.domain), domainList(250));
+    assert.deepEqual(done.counts, { Available: 250 });
+});
+
+test('cancelling a running job keeps the chunk in progress, and resuming continues from there', async (t) => {
+    const { store } = await tempStore(t);
+    const job = await store.create(domainList(250));
+    const check = async (domains) => {
+        if (domains[0] === 'domain-100.com') await store.cancel(job.id);
+        return checkAll(domains);
+    };
+
+    const cancelled = await processJob(store, await store.claimNext(), { check });
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.processed, 200);
+    assert.ok(cancelled.finishedAt);
+    assert.equal(await store.claimNext(), null);
+    assert.equal((await store.readResults(job.id)).length, 200);
+
+    assert.equal((await store.resume(job.id)).status, 'queued');
+    const resumed = await store.claimNext();
+    assert.equal(resumed.processed, 200);
+    const done = await processJob(store, resumed, { check: checkAll });
+    assert.equal(done.status, 'completed');
+    assert.deepEqual((await store.readResults(job.id)).map(result => result.domain), domainList(250));
+});
+
+test('a failing check fails the job, which can be resumed', async (t) => {
+    const { store } = await tempStore(t);
+    const job = await store.create(domainList(150));
+    t.mock.method(console, 'error', () => {});
+    const check = async (domains) => {
+        if (domains[0] === 'domain-100.com') throw new Error('resolver down');
+        return checkAll(domains);
+    };
+
+    const failed = await processJob(store, await store.claimNext(), { check });
+    assert.deepEqual([failed.status, failed.error, failed.processed], ['failed', 'resolver down', 100]);
+    await store.resume(job.id);
+    const done = await processJob(store, await store.claimNext(), { check: checkAll });
+    assert.deepEqual([done.status, done.error, done.processed], ['completed', null, 150]);
+});
+
+test('readResults pages by line and leaves a line still being written for the next read', async (t) => {
+    const { dir, store } = await tempStore(t);
+    const job = await store.create(domainList(5));
+    await store.appendResults(job.id, [{ domain: 'domain-0.com' }, { domain: 'dömain-1.com' }, { domain: 'domain-2.com' }]);
+    const domains = (results) => results.map(result => result.domain);
+
+    assert.deepEqual(domains(await store.readResults(job.id, { offset: 1, limit: 1 })), ['dömain-1.com']);
+    assert.deepEqual(domains(await store.readResults(job.id, { offset: 1 })), ['dömain-1.com', 'domain-2.com']);
+    assert.deepEqual(await store.readResults(job.id, { offset: 3 }), []);
+
+    const file = join(dir, `${job.id}.results.ndjson`);
+    await appendFile(file, '{"domain":"domain-3');
+    assert.deepEqual(domains(await store.readResults(job.id, { offset: 2 })), ['domain-2.com']);
+    await appendFile(file, '.com"}\n{"domain":"domain-4.com"}\n');
+    assert.deepEqual(domains(await store.readResults(job.id, { offset: 2, limit: 2 })), ['domain-2.com', 'domain-3.com']);
+    assert.deepEqual(domains(await store.readResults(job.id, { offset: 4 })), ['domain-4.com']);
+
+    await store.remove(job.id);
+    assert.deepEqual(await store.readResults(job.id), []);
+    assert.equal(await store.get(job.id), null);
+});
+
+test('the jobs API only answers to the token the job was created with', async (t) => {
+    const { dir } = await tempStore(t);
+    process.env.JOBS_DIR = dir;
+    t.after(() => delete process.env.JOBS_DIR);
+    const { default: handler } = await import('../api/jobs.js');
+    const post = (body) => handler(new Request('http://localhost/api/jobs', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    }));
+    const get = (query) => handler(new Request(`http://localhost/api/jobs?${new URLSearchParams(query)}`));
+
+    const created = await post({ domains: ['example.com'] });
+    assert.equal(created.status, 202);
+    const { job, token } = await created.json();
+    assert.equal(job.ownerHash, undefined);
+
+    for (const wrong of [{ id: job.id }, { id: job.id, token: 'wrong' }, { id: job.id, token: token.slice(1) }, { id: '../x', token }]) {
+        const response = await get(wrong);
+        assert.equal(response.status, 404);
+        assert.deepEqual(await response.json(), { error: 'No job with this id.', code: 'not_found' });
+    }
+    assert.equal((await post({ action: 'cancel', id: job.id, token: 'wrong' })).status, 404);
+    assert.equal((await post({ action: 'delete', id: job.id })).status, 404);
+
+    const found = await get({ id: job.id, token });
+    assert.equal(found.status, 200);
+    assert.equal((await found.json()).job.status, 'queued');
+    const cancelled = await post({ action: 'cancel', id: job.id, token });
+    assert.equal((await cancelled.json()).job.status, 'cancelled');
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockProvider } from '../lib/llm/mock.js';
+import { resolveProvider } from '../lib/llm/index.js';
+import { generateDomains, normalizeGenerateOptions } from '../lib/generate.js';
+import { categorizeDomains } from '../lib/categorize.js';
+import handler from '../api/orchestrator.js';
+
+function post(body) {
+    return handler(new Request('http://localhost/api/orchestrator', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    }));
+}
+
+test('resolveProvider falls back to the mock provider when no key is configured', () => {
+    assert.equal(resolveProvider({}).provider.name, 'mock');
+    assert.equal(resolveProvider({ LLM_PROVIDER: 'MOCK', API_KEY: 'key' }).provider.name, 'mock');
+    assert.match(resolveProvider({ LLM_PROVIDER: 'gemini' }).error, /API_KEY is missing/);
+});
+
+test('the mock provider generates the same valid ideas for the same input', async () => {
+    const { options } = normalizeGenerateOptions({ keywords: 'cloud data', tlds: ['com', 'io'], count: 10 });
+    const first = await generateDomains(createMockProvider(), options);
+    assert.deepEqual(await generateDomains(createMockProvider(), options), first);
+    assert.equal(first.length, 10);
+    assert.ok(first.every(domain => /^[a-z]+\.(com|io)$/.test(domain)), first.join(', '));
+});
+
+test('the mock provider skips names it was asked to avoid', async () => {
+    const { options } = normalizeGenerateOptions({ keywords: 'cloud', tlds: ['com'], count: 5 });
+    const avoid = await createMockProvider().generateDomains(options);
+    const next = await createMockProvider().generateDomains(options, avoid);
+    assert.deepEqual(next.filter(domain => avoid.includes(domain)), []);
+});
+
+test('the mock provider categorizes by keyword', async () => {
+    assert.deepEqual(await categorizeDomains(createMockProvider(), ['cloudai.com', 'shopnow.com', 'zz.io', 'everything.net']), [
+        { category: 'Technology', domains: ['cloudai.com'] },
+        { category: 'Business', domains: ['shopnow.com'] },
+        { category: 'Short & Brandable', domains: ['zz.io'] },
+        { category: 'General', domains: ['everything.net'] },
+    ]);
+});
+
+test('the mock provider rates brandability from 0 to 100', async () => {
+    const scores = await createMockProvider().rateBrandability(['zz.io', 'averyveryverylongname.com']);
+    assert.deepEqual(scores.map(entry => entry.domain), ['zz.io', 'averyveryverylongname.com']);
+    assert.ok(scores.every(({ score }) => Number.isInteger(score) && score >= 0 && score <= 100));
+    assert.ok(scores[0].score > scores[1].score);
+});
+
+test('the API runs on the mock provider and rejects hostile domains', async () => {
+    process.env.LLM_PROVIDER = 'mock';
+    try {
+        const categorized = await post({ mode: 'categorize', domains: ['cloudai.com'] });
+        assert.equal(categorized.status, 200);
+        assert.deepEqual(await categorized.json(), [{ category: 'Technology', domains: ['cloudai.com'] }]);
+
+        const rejected = await post({ mode: 'categorize', domains: ['<img src=x onerror=alert(1)>.com'] });
+        assert.equal(rejected.status, 400);
+        assert.equal((await rejected.json()).code, 'invalid_request');
+    } finally {
+        delete process.env.LLM_PROVIDER;
+    }
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createOpenAiProvider } from '../lib/llm/openai.js';
+import { normalizeGenerateOptions } from '../lib/generate.js';
+
+// Chat completions stub: answers every request with reply(body), or never when reply returns null.
+async function startApi(t, reply) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => body += chunk);
+        req.on('end', () => {
+            requests.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+            const answer = reply(requests.at(-1).body);
+            if (answer) res.writeHead(answer.status ?? 200, { 'Content-Type': 'application/json' }).end(JSON.stringify(answer.body));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        server.closeAllConnections();
+        return new Promise(resolve => server.close(resolve));
+    });
+    return { baseUrl: `http://127.0.0.1:${server.address().port}/v1/`, requests };
+}
+
+const choice = (message, finishReason = 'stop') => ({ body: { choices: [{ message, finish_reason: finishReason }] } });
+
+test('the OpenAI provider sends a strict JSON schema and unwraps the answer', async (t) => {
+    const api = await startApi(t, () => choice({ content: JSON.stringify({ domains: ['cloudai.com'] }) }));
+    const provider = createOpenAiProvider({ apiKey: 'sk-test', baseUrl: api.baseUrl, model: 'test-model' });
+
+    const { options } = normalizeGenerateOptions({ keywords: 'cloud', tlds: ['com'], count: 1 });
+    assert.deepEqual(await provider.generateDomains(options), ['cloudai.com']);
+    const [request] = api.requests;
+    assert.equal(request.url, '/v1/chat/completions');
+    assert.equal(request.authorization, 'Bearer sk-test');
+    assert.equal(request.body.model, 'test-model');
+    assert.deepEqual(request.body.messages.map(message => message.role), ['system', 'user']);
+    assert.equal(request.body.response_format.json_schema.strict, true);
+});
+
+test('a response without content is a provider error', async (t) => {
+    const answers = [
+        choice({ content: null, refusal: 'I can not help with that.' }),
+        choice({ content: null }, 'content_filter'),
+        { body: { choices: [] } },
+    ];
+    const api = await startApi(t, () => answers.shift());
+    const provider = createOpenAiProvider({ baseUrl: api.baseUrl });
+
+    await assert.rejects(provider.categorizeDomains(['a.com']), { message: 'LLM provider returned no content (I can not help with that.).' });
+    await assert.rejects(provider.categorizeDomains(['a.com']), { message: 'LLM provider returned no content (finish reason: content_filter).' });
+    await assert.rejects(provider.categorizeDomains(['a.com']), { message: 'LLM provider returned no content (finish reason: unknown).' });
+});
+
+test('failed and stalled requests are provider errors', async (t) => {
+    const failing = await startApi(t, () => ({ status: 429, body: { error: 'slow down' } }));
+    await assert.rejects(createOpenAiProvider({ baseUrl: failing.baseUrl }).rateBrandability(['a.com']), /failed with status 429: .*slow down/);
+
+    const stalled = await startApi(t, () => null);
+    await assert.rejects(createOpenAiProvider({ baseUrl: stalled.baseUrl, timeout: 50 }).rateBrandability(['a.com']), {
+        message: 'LLM provider request timed out after 50 ms.',
+    });
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProjectFile, parseProjectFile, diffRuns, summarizeDiff } from '../lib/projects.js';
+
+const PROJECT = { name: 'Launch', createdAt: '2026-01-01T00:00:00.000Z' };
+const RESULT = {
+    domain: 'example.com',
+    availability: 'Unavailable',
+    resolver: 'cloudflare',
+    registrar: null,
+    expires: '2030-01-02T00:00:00Z',
+    rdapStatus: 'Registered',
+    latencyMs: 12,
+    attempts: 1,
+    checkedAt: '2026-01-01T00:00:00.000Z',
+    cached: false,
+    ageSeconds: 0,
+};
+const RUN = { projectId: 'old', createdAt: '2026-01-01T00:00:00.000Z', mode: 'checker', input: { domains: 'example.com' }, results: [RESULT] };
+
+function fileWithRun(run) {
+    return createProjectFile(PROJECT, [run]);
+}
+
+test('a project file round-trips with fresh ids', () => {
+    const { project, runs, error } = parseProjectFile(fileWithRun(RUN));
+    assert.equal(error, undefined);
+    assert.equal(project.name, 'Launch');
+    assert.equal(runs.length, 1);
+    assert.equal(runs[0].projectId, project.id);
+    assert.deepEqual(runs[0].results, [RESULT]);
+});
+
+test('parseProjectFile rejects results with wrongly typed optional fields', () => {
+    for (const [field, value] of [
+        ['expires', 5],
+        ['registrar', { name: 'x' }],
+        ['error', ['failed']],
+        ['rdapStatus', true],
+        ['checkedAt', 'yesterday'],
+        ['cached', 'yes'],
+        ['latencyMs', '12 ms'],
+    ]) {
+        const { error } = parseProjectFile(fileWithRun({ ...RUN, results: [{ ...RESULT, [field]: value }] }));
+        assert.equal(error, 'Run 1 of the project file has invalid results.', field);
+    }
+});
+
+test('parseProjectFile rejects malformed runs', () => {
+    assert.equal(parseProjectFile('{').error, 'The file is not valid JSON.');
+    assert.equal(parseProjectFile('{"format":"other"}').error, 'This is not a domain project file.');
+    assert.equal(parseProjectFile(fileWithRun({ ...RUN, mode: 'hack' })).error, 'Run 1 of the project file has an unknown mode ("hack").');
+    assert.equal(parseProjectFile(fileWithRun({ ...RUN, createdAt: 'soon' })).error, 'Run 1 of the project file has an invalid date.');
+    assert.equal(parseProjectFile(fileWithRun({ ...RUN, categories: [{ category: 1, domains: [] }] })).error, 'Run 1 of the project file has invalid categories.');
+});
+
+test('diffRuns and summarizeDiff describe status changes', () => {
+    const diff = diffRuns(
+        [{ domain: 'a.com', availability: 'Unavailable' }, { domain: 'b.com', availability: 'Available' }, { domain: 'c.com', availability: 'Error' }],
+        [{ domain: 'a.com', availability: 'Available' }, { domain: 'b.com', availability: 'Unavailable' }, { domain: 'd.com', availability: 'Available' }],
+    );
+    assert.deepEqual(diff.becameAvailable, ['a.com']);
+    assert.deepEqual(diff.becameUnavailable, ['b.com']);
+    assert.deepEqual(diff.added, ['d.com']);
+    assert.deepEqual(diff.removed, ['c.com']);
+    assert.equal(summarizeDiff(diff), '1 domain became available, 1 domain was taken');
+});
@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { getRdapBaseUrl, lookupRdap, verifyAvailableDomains } from '../lib/rdap.js';
+
+// A local RDAP server stands in for the registries; RDAP_BASE_URL points every lookup at it.
+const REGISTERED = {
+    objectClassName: 'domain',
+    status: ['active'],
+    entities: [{ roles: ['registrar'], vcardArray: ['vcard', [['version', {}, 'text', '4.0'], ['fn', {}, 'text', 'Example Registrar, Inc.']]] }],
+    events: [{ eventAction: 'expiration', eventDate: '2030-01-02T00:00:00Z' }],
+};
+const RESPONSES = {
+    'taken.com': { status: 200, body: REGISTERED },
+    'expiring.com': { status: 200, body: { ...REGISTERED, status: ['pending delete'] } },
+    'premium.com': { status: 200, body: { status: ['server reserved'] } },
+    'broken.com': { status: 500, body: {} },
+};
+// Sends the headers, then never finishes the body.
+const STALLED = 'stalled.com';
+
+let server;
+const requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push({ url: req.url, accept: req.headers.accept });
+        const domain = decodeURIComponent(req.url.replace(/^\/rdap\/domain\//, ''));
+        if (domain === STALLED) {
+            res.writeHead(200, { 'Content-Type': 'application/rdap+json' });
+            res.write('{');
+            return;
+        }
+        const { status, body } = RESPONSES[domain] ?? { status: 404, body: { errorCode: 404 } };
+        res.writeHead(status, { 'Content-Type': 'application/rdap+json' });
+        res.end(JSON.stringify(body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.RDAP_BASE_URL = `http://127.0.0.1:${server.address().port}/rdap`;
+});
+
+after(async () => {
+    delete process.env.RDAP_BASE_URL;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+});
+
+test('RDAP_BASE_URL overrides the bootstrap file', () => {
+    assert.equal(getRdapBaseUrl('example.com'), process.env.RDAP_BASE_URL);
+    assert.equal(getRdapBaseUrl('example.com', 'https://rdap.test/'), 'https://rdap.test/');
+    assert.equal(getRdapBaseUrl('example.com', ''), 'https://rdap.verisign.com/com/v1/');
+});
+
+test('lookupRdap queries the mock server', async () => {
+    requests.length = 0;
+    assert.deepEqual(await lookupRdap('free.com'), { state: 'Available', registrar: null, expires: null });
+    assert.deepEqual(requests, [{ url: '/rdap/domain/free.com', accept: 'application/rdap+json' }]);
+});
+
+test('lookupRdap reads the registrar, expiry and status', async () => {
+    assert.deepEqual(await lookupRdap('taken.com'), { state: 'Registered', registrar: 'Example Registrar, Inc.', expires: '2030-01-02T00:00:00Z' });
+    assert.equal((await lookupRdap('expiring.com')).state, 'Pending Delete');
+    assert.equal((await lookupRdap('premium.com')).state, 'Reserved');
+});
+
+test('lookupRdap reports Unknown when the server fails', async () => {
+    assert.deepEqual(await lookupRdap('broken.com'), { state: 'Unknown', registrar: null, expires: null });
+});
+
+test('lookupRdap times out on a stalled body and clears its timer when the request fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.deepEqual(await lookupRdap(STALLED, { timeout: 100 }), { state: 'Unknown', registrar: null, expires: null });
+
+    const { setTimeout: realSetTimeout, clearTimeout: realClearTimeout } = globalThis;
+    const started = [];
+    const cleared = [];
+    t.mock.method(globalThis, 'setTimeout', (callback, ms, ...args) => {
+        const id = realSetTimeout(callback, ms, ...args);
+        if (ms === 60_000) started.push(id);
+        return id;
+    });
+    t.mock.method(globalThis, 'clearTimeout', (id) => {
+        cleared.push(id);
+        realClearTimeout(id);
+    });
+    // Nothing listens on port 9 here, so the request fails before any response.
+    const result = await lookupRdap('example.com', { baseUrl: 'http://127.0.0.1:9/rdap', timeout: 60_000 });
+    assert.equal(result.state, 'Unknown');
+    assert.equal(started.length, 1);
+    assert.ok(cleared.includes(started[0]));
+});
+
+test('verifyAvailableDomains only re-checks DNS "Available" results', async () => {
+    requests.length = 0;
+    const results = await verifyAvailableDomains([
+        { domain: 'free.com', availability: 'Available' },
+        { domain: 'taken.com', availability: 'Available' },
+        { domain: 'broken.com', availability: 'Available' },
+        { domain: 'other.com', availability: 'Unavailable' },
+    ]);
+    assert.deepEqual(results.map(({ domain, availability, rdapStatus }) => [domain, availability, rdapStatus]), [
+        ['free.com', 'Available', 'Available'],
+        ['taken.com', 'Unavailable', 'Registered'],
+        ['broken.com', 'Available', 'Unknown'],
+        ['other.com', 'Unavailable', undefined],
+    ]);
+    assert.equal(requests.length, 3);
+});
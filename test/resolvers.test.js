@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createJsonDohResolver, createWireDohResolver, createConsensusResolver, createResolver } from '../lib/resolvers.js';
+import { checkDomains } from '../lib/check.js';
+
+// Local DoH server: the first label of the name picks the rcode, e.g. "servfail.example.com".
+const RCODES = { taken: 0, free: 3, servfail: 2, refused: 5 };
+
+function rcodeFor(name) {
+    return RCODES[name.split('.')[0]] ?? 0;
+}
+
+// Reads the question name out of an RFC 1035 query.
+function decodeName(query) {
+    const labels = [];
+    for (let offset = 12; query[offset] !== 0; offset += query[offset] + 1) {
+        labels.push(query.subarray(offset + 1, offset + 1 + query[offset]).toString());
+    }
+    return labels.join('.');
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/json') {
+            res.writeHead(200, { 'Content-Type': 'application/dns-json' });
+            res.end(JSON.stringify({ Status: rcodeFor(url.searchParams.get('name')) }));
+        } else if (url.pathname === '/wire') {
+            const query = Buffer.from(url.searchParams.get('dns'), 'base64url');
+            const answer = Buffer.from(query);
+            answer[2] |= 0x80; // QR: this is a response
+            answer[3] = (answer[3] & 0xf0) | rcodeFor(decodeName(query));
+            res.writeHead(200, { 'Content-Type': 'application/dns-message' });
+            res.end(answer);
+        } else {
+            res.writeHead(429).end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+for (const [label, create] of [
+    ['JSON', () => createJsonDohResolver({ name: 'json', url: `${baseUrl}/json` })],
+    ['wire format', () => createWireDohResolver({ name: 'wire', url: `${baseUrl}/wire` })],
+]) {
+    test(`the ${label} DoH resolver maps NOERROR to Unavailable and NXDOMAIN to Available`, async () => {
+        const resolver = create();
+        assert.deepEqual(await resolver.lookup('taken.example.com'), { availability: 'Unavailable' });
+        assert.deepEqual(await resolver.lookup('free.example.com'), { availability: 'Available' });
+    });
+
+    test(`the ${label} DoH resolver throws for SERVFAIL and REFUSED`, async () => {
+        const resolver = create();
+        await assert.rejects(resolver.lookup('servfail.example.com'), { message: 'DNS server answered SERVFAIL', rcode: 2 });
+        await assert.rejects(resolver.lookup('refused.example.com'), { message: 'DNS server answered REFUSED', rcode: 5 });
+    });
+}
+
+test('DoH resolvers throw on HTTP errors', async () => {
+    await assert.rejects(createJsonDohResolver({ name: 'json', url: `${baseUrl}/other` }).lookup('taken.example.com'), { message: 'HTTP 429', status: 429 });
+});
+
+test('a SERVFAIL from one backend does not make the consensus inconclusive', async () => {
+    const resolver = createConsensusResolver([
+        createJsonDohResolver({ name: 'json', url: `${baseUrl}/json` }),
+        { name: 'failing', lookup: async () => { throw new Error('DNS server answered SERVFAIL'); } },
+    ]);
+    assert.deepEqual(await resolver.lookup('free.example.com'), { availability: 'Available', answers: { json: 'Available' } });
+});
+
+test('consensus lookups are rate limited per backend', async () => {
+    const keys = [];
+    const scheduler = {
+        async schedule(key, task) {
+            keys.push(key);
+            return task(1);
+        },
+    };
+    const backend = (name) => ({ name, lookup: async () => ({ availability: 'Unavailable' }) });
+    await checkDomains(['example.com'], { resolver: createConsensusResolver([backend('a'), backend('b')]), scheduler, cache: null });
+    await checkDomains(['example.com'], { resolver: backend('a'), scheduler, cache: null });
+    assert.deepEqual(keys, [['a', 'b'], 'a']);
+});
+
+test('createResolver builds named backends and rejects unknown ones', () => {
+    assert.equal(createResolver('google').name, 'google');
+    assert.deepEqual(createResolver('cloudflare,google').resolvers.map(r => r.name), ['cloudflare', 'google']);
+    assert.throws(() => createResolver('nope'), /Unknown DNS resolver: nope/);
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCategorySection, createSpan } from '../lib/results-view.js';
+import { scoreDomain } from '../lib/scoring.js';
+
+// Just enough of the DOM for the builders. Anything that would parse HTML throws, so a builder that
+// reaches for innerHTML fails the test instead of passing by accident.
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.attributes = {};
+        this.className = '';
+        this.text = '';
+    }
+
+    set textContent(value) {
+        this.children = [];
+        this.text = String(value);
+    }
+
+    get textContent() {
+        return this.text + this.children.map(child => child.textContent).join('');
+    }
+
+    set innerHTML(value) {
+        throw new Error(`innerHTML set on <${this.tagName.toLowerCase()}>: ${value}`);
+    }
+
+    insertAdjacentHTML() {
+        throw new Error('insertAdjacentHTML called');
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => this.appendChild(node));
+    }
+
+    appendChild(node) {
+        assert.ok(node instanceof FakeElement, `only elements are appended, got ${JSON.stringify(node)}`);
+        this.children.push(node);
+        return node;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    get elements() {
+        return this.children.flatMap(child => [child, ...child.elements]);
+    }
+
+    querySelectorAll(selector) {
+        const className = selector.replace(/^\./, '');
+        return this.elements.filter(element => element.className.split(' ').includes(className));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] ?? null;
+    }
+}
+
+const fakeDocument = { createElement: (tagName) => new FakeElement(tagName) };
+
+const HOSTILE_CATEGORY = '<img src=x onerror="alert(1)"><script>alert(2)</script>';
+
+function rankedEntry(domain) {
+    return { domain, ...scoreDomain(domain) };
+}
+
+test('category names are rendered as text', () => {
+    const section = createCategorySection(fakeDocument, { category: HOSTILE_CATEGORY, ranked: [rankedEntry('cloudai.com')] });
+    const title = section.elements.find(element => element.tagName === 'H2');
+    assert.equal(title.textContent, `${HOSTILE_CATEGORY} (1)`);
+    assert.deepEqual(title.children, []);
+    assert.deepEqual(section.elements.filter(element => ['IMG', 'SCRIPT'].includes(element.tagName)), []);
+});
+
+test('domain strings are rendered as text and attribute values', () => {
+    const domain = '"><svg onload=alert(1)>.com';
+    const section = createCategorySection(fakeDocument, { category: 'Technology', ranked: [{ domain, score: 50, breakdown: {} }] });
+    const [checkbox] = section.querySelectorAll('.domain-select');
+    assert.equal(checkbox.value, domain);
+    assert.equal(checkbox.attributes['aria-label'], `Select ${domain}`);
+    assert.equal(section.querySelector('.domain-name').textContent, domain);
+    assert.deepEqual(section.elements.filter(element => element.tagName === 'SVG'), []);
+});
+
+test('createCategorySection shows IDNs in Unicode and ticks the selected domains', () => {
+    const section = createCategorySection(fakeDocument, {
+        category: 'Books',
+        ranked: [rankedEntry('xn--bcher-kva.de'), rankedEntry('books.com')],
+    }, { open: true, selected: new Set(['books.com']) });
+    assert.equal(section.open, true);
+    assert.deepEqual(section.querySelectorAll('.domain-name').map(span => span.textContent), ['bücher.de', 'books.com']);
+    assert.deepEqual(section.querySelectorAll('.domain-select').map(checkbox => [checkbox.value, checkbox.checked]), [
+        ['xn--bcher-kva.de', false],
+        ['books.com', true],
+    ]);
+    assert.ok(section.querySelector('.copy-cat-button'));
+    assert.match(section.querySelector('.score-breakdown').textContent, /^Length \d+ · /);
+});
+
+test('createSpan sets text, class and title without parsing markup', () => {
+    const span = createSpan(fakeDocument, 'score-badge', '<b>97</b>', 'Overall <i>score</i>');
+    assert.equal(span.textContent, '<b>97</b>');
+    assert.equal(span.title, 'Overall <i>score</i>');
+    assert.deepEqual(span.children, []);
+});
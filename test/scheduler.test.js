@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLookupScheduler } from '../lib/scheduler.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('schedule caps the number of tasks in flight', async () => {
+    const scheduler = createLookupScheduler({ concurrency: 2, requestsPerSecond: 0 });
+    let active = 0;
+    let maxActive = 0;
+    const results = await Promise.all(Array.from({ length: 6 }, (_, i) => scheduler.schedule('key', async () => {
+        maxActive = Math.max(maxActive, ++active);
+        await sleep(5);
+        active--;
+        return { value: i };
+    })));
+    assert.equal(maxActive, 2);
+    assert.deepEqual(results.map(result => result.value), [0, 1, 2, 3, 4, 5]);
+});
+
+test('schedule retries while shouldRetry says so and reports the attempts', async () => {
+    const scheduler = createLookupScheduler({ retries: 2, backoffMs: 1, requestsPerSecond: 0, shouldRetry: result => !result.ok });
+    const attempts = [];
+    const result = await scheduler.schedule('key', async (attempt) => {
+        attempts.push(attempt);
+        return { ok: attempt === 3 };
+    });
+    assert.deepEqual(attempts, [1, 2, 3]);
+    assert.equal(result.ok, true);
+    assert.equal(result.attempts, 3);
+    assert.equal(typeof result.latencyMs, 'number');
+
+    const failed = await scheduler.schedule('key', async () => ({ ok: false }));
+    assert.deepEqual([failed.ok, failed.attempts], [false, 3]);
+});
+
+test('schedule spaces requests per key', async () => {
+    const scheduler = createLookupScheduler({ requestsPerSecond: 20 });
+    const startedAt = Date.now();
+    const times = await Promise.all([0, 1, 2].map(() => scheduler.schedule('resolver', async () => ({ at: Date.now() - startedAt }))));
+    assert.ok(times[2].at >= 90, `third request started after ${times[2].at} ms`);
+
+    const other = await scheduler.schedule('other', async () => ({ at: Date.now() - startedAt }));
+    assert.ok(other.at < times[2].at + 50);
+});
+
+test('queued tasks are skipped when the signal aborts', async () => {
+    const scheduler = createLookupScheduler({ concurrency: 1, requestsPerSecond: 0 });
+    const controller = new AbortController();
+    const ran = [];
+    const first = scheduler.schedule('key', async () => {
+        await sleep(10);
+        ran.push('first');
+        return {};
+    }, { signal: controller.signal });
+    const second = scheduler.schedule('key', async () => {
+        ran.push('second');
+        return {};
+    }, { signal: controller.signal });
+    const skipped = assert.rejects(second, { name: 'AbortError' });
+    controller.abort();
+
+    await first;
+    await skipped;
+    assert.deepEqual(ran, ['first']);
+    // The slot is free again for later work.
+    assert.equal((await scheduler.schedule('key', async () => ({ ok: true }))).ok, true);
+});
+
+test('queued tasks share one abort listener and remove it once they get a slot', async () => {
+    const scheduler = createLookupScheduler({ concurrency: 2, requestsPerSecond: 0 });
+    const signal = new AbortController().signal;
+    let listeners = 0;
+    let maxListeners = 0;
+    const { addEventListener, removeEventListener } = signal;
+    signal.addEventListener = (...args) => {
+        maxListeners = Math.max(maxListeners, ++listeners);
+        addEventListener.apply(signal, args);
+    };
+    signal.removeEventListener = (...args) => {
+        listeners--;
+        removeEventListener.apply(signal, args);
+    };
+
+    await Promise.all(Array.from({ length: 50 }, () => scheduler.schedule('key', async () => {
+        await sleep(1);
+        return {};
+    }, { signal })));
+    assert.equal(listeners, 0);
+    assert.equal(maxListeners, 1);
+});
+
+test('aborting stops the retry backoff', async () => {
+    const scheduler = createLookupScheduler({ retries: 1, backoffMs: 60_000, requestsPerSecond: 0, shouldRetry: () => true });
+    const controller = new AbortController();
+    let attempts = 0;
+    const scheduled = scheduler.schedule('key', async () => {
+        attempts++;
+        setTimeout(() => controller.abort(), 5);
+        return {};
+    }, { signal: controller.signal });
+    await assert.rejects(scheduled, { name: 'AbortError' });
+    assert.equal(attempts, 1);
+});
+
+test('a task with several keys waits for a slot on each', async () => {
+    const scheduler = createLookupScheduler({ requestsPerSecond: 20 });
+    const startedAt = Date.now();
+    await scheduler.schedule('a', async () => ({}));
+    await scheduler.schedule('b', async () => ({}));
+    const both = await scheduler.schedule(['a', 'b'], async () => ({ at: Date.now() - startedAt }));
+    const next = await scheduler.schedule('b', async () => ({ at: Date.now() - startedAt }));
+    assert.ok(both.at >= 40, `started after ${both.at} ms`);
+    assert.ok(next.at >= both.at + 40, `started ${next.at - both.at} ms after the shared slot`);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createMemoryCache } from '../lib/cache.js';
+import { createWatchlistStore, createWatchlistBackend, runWatchlistChecks } from '../lib/watchlist.js';
+
+test('the watchlist store adds, validates and removes domains', async () => {
+    const store = createWatchlistStore(createMemoryCache());
+    const { added, invalid } = await store.add(['Example.com', 'example.com', '<b>x</b>.com'], { note: 'renewal' });
+    assert.deepEqual(added, ['example.com']);
+    assert.deepEqual(invalid.map(item => item.domain), ['<b>x</b>.com']);
+    assert.ok(invalid[0].error);
+    const [entry] = await store.list();
+    assert.deepEqual([entry.domain, entry.note, entry.status, entry.history], ['example.com', 'renewal', null, []]);
+
+    assert.deepEqual(await store.remove(['example.com', 'other.com']), { removed: ['example.com'] });
+    assert.deepEqual(await store.list(), []);
+});
+
+test('recordResults reports status changes but not failed lookups', async () => {
+    const store = createWatchlistStore(createMemoryCache());
+    await store.add(['example.com']);
+    const check = (status) => async (domains) => domains.map(domain => ({ domain, availability: status, checkedAt: '2026-01-01T00:00:00.000Z' }));
+
+    assert.deepEqual(await runWatchlistChecks({ store, check: check('Unavailable') }), { checked: 1, changes: [] });
+    assert.deepEqual((await runWatchlistChecks({ store, check: check('Error') })).changes, []);
+    const notified = [];
+    const { changes } = await runWatchlistChecks({ store, check: check('Available'), notifier: { notify: async (c) => notified.push(c) } });
+    assert.deepEqual(changes, [{ domain: 'example.com', from: 'Unavailable', to: 'Available', at: '2026-01-01T00:00:00.000Z' }]);
+    assert.deepEqual(notified, [changes]);
+    const [entry] = await store.list();
+    assert.deepEqual(entry.history.map(item => item.status), ['Unavailable', 'Available']);
+});
+
+test('a watchlist file that cannot be written fails the update', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'domain-finder-watchlist-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    await writeFile(join(dir, 'file'), '');
+    t.mock.method(console, 'error', () => {});
+    process.env.WATCHLIST_FILE = join(dir, 'file', 'watchlist.json');
+    t.after(() => delete process.env.WATCHLIST_FILE);
+
+    const store = createWatchlistStore(createWatchlistBackend('file'));
+    await assert.rejects(store.add(['example.com']), /EEXIST/);
+    assert.deepEqual(await store.list(), []);
+});
+
+test('the watchlist API needs CRON_SECRET or an API key for changes', async (t) => {
+    Object.assign(process.env, { WATCHLIST_BACKEND: 'memory', CRON_SECRET: 'cron-secret', API_CLIENT_KEYS: 'crm:sk_test' });
+    t.after(() => ['WATCHLIST_BACKEND', 'CRON_SECRET', 'API_CLIENT_KEYS'].forEach(name => delete process.env[name]));
+    const { default: handler } = await import('../api/watchlist.js');
+    const post = (body, headers = {}) => handler(new Request('http://localhost/api/watchlist', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    }));
+
+    for (const headers of [{}, { Authorization: 'Bearer wrong' }, { 'X-API-Key': 'cron-secret-and-more' }]) {
+        const response = await post({ action: 'add', domains: ['example.com'] }, headers);
+        assert.equal(response.status, 401);
+        assert.equal(response.headers.get('WWW-Authenticate'), 'Bearer');
+        assert.deepEqual(await response.json(), { error: 'Changing the watchlist requires CRON_SECRET or an API key.', code: 'unauthorized' });
+    }
+    assert.equal((await post({ action: 'check' })).status, 401);
+
+    assert.equal((await post({ action: 'add', domains: ['example.com'] }, { Authorization: 'Bearer cron-secret' })).status, 200);
+    assert.equal((await post({ action: 'add', domains: ['example.org'] }, { 'X-API-Key': 'sk_test' })).status, 200);
+    const listed = await handler(new Request('http://localhost/api/watchlist'));
+    assert.deepEqual((await listed.json()).domains.map(entry => entry.domain), ['example.com', 'example.org']);
+});